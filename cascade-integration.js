@@ -18,42 +18,7 @@ log('Node version:', process.version);
 log('Process arguments:', process.argv);
 log('Current working directory:', process.cwd());
 
-// Initialize readline interface
-const readline = require('readline');
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout,
-  terminal: false
-});
-
-// Handle incoming messages
-rl.on('line', async (line) => {
-  try {
-    const message = JSON.parse(line);
-    log('Received message:', message);
-    
-    // Process the message using the cascade module
-    await cascade.processMessage(message, cascade.sendResponse, cascade.sendNotification);
-  } catch (error) {
-    log('Error processing message:', error);
-    
-    // Send error response
-    cascade.sendResponse({
-      jsonrpc: '2.0',
-      error: {
-        code: -32700,
-        message: 'Parse error'
-      },
-      id: null
-    });
-  }
-});
-
-// Handle process exit
-process.on('exit', () => {
-  log('Process exiting, closing readline interface');
-  rl.close();
-});
+// Messages on stdin are read and processed by the cascade module itself
 
 // Handle uncaught exceptions and unhandled rejections
 process.on('uncaughtException', (error) => {
@@ -65,11 +30,3 @@ process.on('unhandledRejection', (reason, promise) => {
 });
 
 log('Waiting for client messages...');
-
-// Send an initial notification to stdout to help with debugging
-cascade.sendNotification({
-  method: 'notification',
-  params: {
-    message: 'Auto Tool Switcher ready for connection'
-  }
-});
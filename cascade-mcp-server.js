@@ -25,46 +25,7 @@ const { fetchToolsFromServer, forwardToolCall } = require('./src/cascade/client'
 // Import the server module
 const { processMessage } = require('./src/cascade/server');
 
-// Import readline
-const readline = require('readline');
-
-// Initialize readline interface
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout,
-  terminal: false
-});
-
-// Use the sendResponse and sendNotification functions from the cascade module
-
-// Process incoming messages
-rl.on('line', async (line) => {
-  try {
-    const message = JSON.parse(line);
-    log('Received message:', message);
-    
-    // Process the message
-    await cascade.processMessage(message, cascade.sendResponse, cascade.sendNotification);
-  } catch (error) {
-    log('Error processing message:', error);
-    
-    // Send error response
-    cascade.sendResponse({
-      jsonrpc: '2.0',
-      error: {
-        code: -32700,
-        message: 'Parse error'
-      },
-      id: null
-    });
-  }
-});
-
-// Handle process exit
-process.on('exit', () => {
-  log('Process exiting, closing readline interface');
-  rl.close();
-});
+// Messages on stdin are read and processed by the cascade module itself
 
 // Handle uncaught exceptions and unhandled rejections
 process.on('uncaughtException', (error) => {
@@ -81,11 +42,3 @@ log('Node version:', process.version);
 log('Process arguments:', process.argv);
 log('Current working directory:', process.cwd());
 log('Waiting for client messages...');
-
-// Send an initial notification to stdout to help with debugging
-cascade.sendNotification({
-  method: 'notification',
-  params: {
-    message: 'Cascade MCP server ready for connection'
-  }
-});
@@ -0,0 +1,89 @@
+/**
+ * Auth module for the Cascade MCP Server
+ * Builds the per-server HTTP headers configured in servers.json
+ */
+const { registerSecret, isSensitiveKey } = require('./logger');
+const { getAccessToken } = require('./oauth');
+
+/**
+ * Resolve a secret that is either given inline or read from an environment variable
+ * @param {Object} server - Server configuration
+ * @param {string} value - Inline value
+ * @param {string} envName - Name of the environment variable holding the value
+ * @param {string} what - Description for error messages
+ * @returns {string} Secret
+ */
+function resolveSecret(server, value, envName, what) {
+  if (envName) {
+    if (process.env[envName] === undefined) {
+      throw new Error(`Environment variable ${envName} for the ${what} of ${server.name} is not set`);
+    }
+    return process.env[envName];
+  }
+
+  if (!value) {
+    throw new Error(`No ${what} configured for ${server.name}`);
+  }
+  return value;
+}
+
+/**
+ * Expand `${VAR}` references in a header value from the environment
+ * @param {Object} server - Server configuration
+ * @param {string} value - Header value
+ * @returns {string} Expanded value
+ */
+function expandEnv(server, value) {
+  return String(value).replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (match, envName) => {
+    if (process.env[envName] === undefined) {
+      throw new Error(`Environment variable ${envName} for the headers of ${server.name} is not set`);
+    }
+    return registerSecret(process.env[envName]);
+  });
+}
+
+/**
+ * Get the headers to send on every request to a server
+ * Supports static `headers` (with `${VAR}` expansion) and an `auth` block:
+ * - `{ "type": "bearer", "token": "..." }` or `{ "type": "bearer", "tokenEnv": "VAR" }`
+ * - `{ "type": "apiKey", "header": "X-API-Key", "key": "..." }` or `"keyEnv": "VAR"`
+ * - `{ "type": "oauth" }`, or no `auth` block, uses the token stored by `mcp0_servers_login`
+ * Credentials are registered with the logger so they never reach the log file
+ * @param {Object} server - Server configuration
+ * @returns {Object} Headers
+ */
+function getAuthHeaders(server) {
+  const headers = {};
+
+  for (const [name, value] of Object.entries(server.headers || {})) {
+    headers[name] = expandEnv(server, value);
+    if (isSensitiveKey(name)) {
+      registerSecret(headers[name]);
+    }
+  }
+
+  const auth = server.auth;
+  if (!auth || auth.type === 'oauth') {
+    const accessToken = getAccessToken(server);
+    if (accessToken) {
+      headers['Authorization'] = `Bearer ${accessToken}`;
+    }
+    return headers;
+  }
+
+  if (auth.type === 'bearer') {
+    const token = resolveSecret(server, auth.token, auth.tokenEnv, 'bearer token');
+    headers['Authorization'] = `Bearer ${registerSecret(token)}`;
+  } else if (auth.type === 'apiKey') {
+    const key = resolveSecret(server, auth.key, auth.keyEnv, 'API key');
+    headers[auth.header || 'X-API-Key'] = registerSecret(key);
+  } else {
+    throw new Error(`Unsupported auth type '${auth.type}' for ${server.name}`);
+  }
+
+  return headers;
+}
+
+module.exports = {
+  getAuthHeaders
+};
@@ -0,0 +1,164 @@
+/**
+ * Catalog module for the Cascade MCP Server
+ * Keeps an offline catalog of every server's tool definitions, updated
+ * whenever a server's tools are fetched, and ranks them for tool search
+ */
+const fs = require('fs');
+const path = require('path');
+const { log } = require('./logger');
+
+// Path to the tool catalog (overridable for tests)
+const CATALOG_PATH = process.env.TOOL_CATALOG_PATH || path.resolve(__dirname, '../../tool-catalog.json');
+
+// BM25 term frequency saturation and document length normalization
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// How many times a tool name's terms count, so matches on names rank above matches on descriptions
+const NAME_WEIGHT = 2;
+
+// Catalog entries keyed by server name: { updated_at, tools }, read from disk on first use
+let catalog = null;
+
+/**
+ * Get the catalog, reading it from disk on first use
+ * @returns {Object} Catalog entries keyed by server name
+ */
+function loadCatalog() {
+  if (catalog) {
+    return catalog;
+  }
+
+  try {
+    catalog = JSON.parse(fs.readFileSync(CATALOG_PATH, 'utf-8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') {
+      log('Error reading tool catalog:', e.message);
+    }
+    catalog = {};
+  }
+  return catalog;
+}
+
+/**
+ * Write the catalog to disk
+ */
+function saveCatalog() {
+  try {
+    fs.writeFileSync(CATALOG_PATH, JSON.stringify(catalog, null, 2), 'utf-8');
+  } catch (e) {
+    log('Error writing tool catalog:', e.message);
+  }
+}
+
+/**
+ * Record a server's tool definitions, as the server lists them before tool filters
+ * The catalog is only written when the server's tools changed
+ * @param {Object} server - Server configuration
+ * @param {Array} tools - Tools as listed by the server
+ * @param {Array<string>} exposedNames - Name each tool is exposed under, in the same order
+ */
+function recordServerTools(server, tools, exposedNames) {
+  const entries = tools.map((tool, index) => ({
+    name: tool.name,
+    exposed_name: exposedNames[index],
+    description: tool.description || '',
+    parameters: Object.keys((tool.inputSchema || tool.parameters || {}).properties || {})
+  }));
+
+  const current = loadCatalog()[server.name];
+  if (current && JSON.stringify(current.tools) === JSON.stringify(entries)) {
+    return;
+  }
+
+  log(`Updating tool catalog for ${server.name} (${entries.length} tools)`);
+  catalog[server.name] = { updated_at: new Date().toISOString(), tools: entries };
+  saveCatalog();
+}
+
+/**
+ * Check whether a server's tools are in the catalog
+ * @param {string} serverName - Server name
+ * @returns {boolean} True if they were recorded
+ */
+function hasServerTools(serverName) {
+  return Boolean(loadCatalog()[serverName]);
+}
+
+/**
+ * Split text into lowercase search terms
+ * Words are split on anything but letters and digits, and on camelCase humps
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Terms
+ */
+function tokenize(text) {
+  return String(text || '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(term => term.length > 0);
+}
+
+/**
+ * Get the terms a catalogued tool is found by
+ * @param {string} serverName - Server the tool belongs to
+ * @param {Object} tool - Catalog entry of the tool
+ * @returns {Array<string>} Terms of its server, name, description and parameter names
+ */
+function getToolTerms(serverName, tool) {
+  const nameTerms = tokenize(tool.name);
+  return [
+    ...tokenize(serverName),
+    ...Array(NAME_WEIGHT).fill(nameTerms).flat(),
+    ...tokenize(tool.description),
+    ...tool.parameters.flatMap(tokenize)
+  ];
+}
+
+/**
+ * Rank the catalogued tools of some servers against a query with BM25
+ * @param {string} query - Keywords to search for
+ * @param {Array<string>} serverNames - Servers whose tools are searched
+ * @param {number} limit - Most results to return
+ * @returns {Array} Matches, best first: { serverName, tool, score }
+ */
+function searchCatalog(query, serverNames, limit) {
+  const queryTerms = [...new Set(tokenize(query))];
+  const documents = serverNames
+    .filter(serverName => loadCatalog()[serverName])
+    .flatMap(serverName => catalog[serverName].tools.map(tool => {
+      const terms = getToolTerms(serverName, tool);
+      const frequencies = new Map();
+      terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+      return { serverName, tool, length: terms.length, frequencies };
+    }));
+
+  if (queryTerms.length === 0 || documents.length === 0) {
+    return [];
+  }
+
+  const averageLength = documents.reduce((sum, document) => sum + document.length, 0) / documents.length;
+  const idf = new Map(queryTerms.map(term => {
+    const containing = documents.filter(document => document.frequencies.has(term)).length;
+    return [term, Math.log(1 + (documents.length - containing + 0.5) / (containing + 0.5))];
+  }));
+
+  return documents
+    .map(document => {
+      const score = queryTerms.reduce((sum, term) => {
+        const frequency = document.frequencies.get(term) || 0;
+        const normalization = BM25_K1 * (1 - BM25_B + BM25_B * document.length / averageLength);
+        return sum + idf.get(term) * frequency * (BM25_K1 + 1) / (frequency + normalization);
+      }, 0);
+      return { serverName: document.serverName, tool: document.tool, score };
+    })
+    .filter(match => match.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+module.exports = {
+  recordServerTools,
+  hasServerTools,
+  searchCatalog
+};
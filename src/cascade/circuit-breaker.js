@@ -0,0 +1,201 @@
+/**
+ * Circuit breaker module for the Cascade MCP Server
+ * Tracks failing upstream servers so they can be skipped while they are down,
+ * and probes them in the background until they recover
+ *
+ * A breaker is `closed` while its server works, `open` after repeated failures,
+ * and `half-open` while a probe is checking whether the server is back.
+ */
+const { log } = require('./logger');
+const { getConfig } = require('./config');
+
+// Settings used where servers.json has no `circuit_breaker` block
+const DEFAULT_SETTINGS = {
+  failure_threshold: 3,
+  probe_interval_ms: 30000
+};
+
+// Breakers keyed by server name; servers without one are closed
+const breakers = new Map();
+
+// Functions called with the server name and new state when a breaker opens or closes
+const listeners = [];
+
+/**
+ * Get the circuit breaker settings
+ * @returns {Object} Settings with `failure_threshold` and `probe_interval_ms`
+ */
+function getSettings() {
+  return { ...DEFAULT_SETTINGS, ...(getConfig().circuit_breaker || {}) };
+}
+
+/**
+ * Get the breaker for a server, creating a closed one if needed
+ * @param {string} serverName - Server name
+ * @returns {Object} Breaker
+ */
+function getBreaker(serverName) {
+  let breaker = breakers.get(serverName);
+
+  if (!breaker) {
+    breaker = {
+      state: 'closed',
+      failures: 0,
+      lastError: null,
+      openedAt: null,
+      probeTimer: null
+    };
+    breakers.set(serverName, breaker);
+  }
+
+  return breaker;
+}
+
+/**
+ * Tell the listeners about a state change
+ * @param {string} serverName - Server name
+ * @param {string} state - New state
+ */
+function notifyListeners(serverName, state) {
+  for (const listener of listeners) {
+    try {
+      listener(serverName, state);
+    } catch (e) {
+      log(`Error in circuit breaker listener: ${e.message}`);
+    }
+  }
+}
+
+/**
+ * Open the breaker for a server and schedule a probe
+ * @param {Object} server - Server configuration
+ * @param {Function} probe - Checks the server, returns a promise
+ */
+function trip(server, probe) {
+  const breaker = getBreaker(server.name);
+  const { probe_interval_ms: probeInterval } = getSettings();
+  const wasOpen = breaker.state !== 'closed';
+
+  breaker.state = 'open';
+  breaker.openedAt = Date.now();
+  clearTimeout(breaker.probeTimer);
+
+  log(`Circuit for ${server.name} is open after ${breaker.failures} failures (${breaker.lastError}), probing in ${probeInterval}ms`);
+
+  breaker.probeTimer = setTimeout(() => {
+    breaker.probeTimer = null;
+    breaker.state = 'half-open';
+    log(`Probing ${server.name}`);
+
+    // A successful probe closes the breaker through recordSuccess; anything that
+    // leaves it half-open counts as a failed probe
+    probe().then(
+      () => {
+        if (breaker.state === 'half-open') {
+          recordSuccess(server);
+        }
+      },
+      error => {
+        if (breaker.state === 'half-open') {
+          breaker.lastError = error.message;
+          trip(server, probe);
+        }
+      }
+    );
+  }, probeInterval);
+  breaker.probeTimer.unref();
+
+  if (!wasOpen) {
+    notifyListeners(server.name, 'open');
+  }
+}
+
+/**
+ * Check whether requests may be sent to a server
+ * @param {string} serverName - Server name
+ * @returns {boolean} True unless the server's breaker is open or half-open
+ */
+function isAvailable(serverName) {
+  const breaker = breakers.get(serverName);
+  return !breaker || breaker.state === 'closed';
+}
+
+/**
+ * Record a successful request to a server
+ * @param {Object} server - Server configuration
+ */
+function recordSuccess(server) {
+  const breaker = breakers.get(server.name);
+  if (!breaker) {
+    return;
+  }
+
+  const wasOpen = breaker.state !== 'closed';
+  clearTimeout(breaker.probeTimer);
+  breakers.delete(server.name);
+
+  if (wasOpen) {
+    log(`Circuit for ${server.name} is closed again`);
+    notifyListeners(server.name, 'closed');
+  }
+}
+
+/**
+ * Record a failed request to a server, opening its breaker after repeated failures
+ * @param {Object} server - Server configuration
+ * @param {Error} error - Failure
+ * @param {Function} probe - Checks the server once the breaker is open, returns a promise
+ */
+function recordFailure(server, error, probe) {
+  const breaker = getBreaker(server.name);
+  breaker.failures++;
+  breaker.lastError = error.message;
+
+  if (breaker.state === 'half-open' ||
+      (breaker.state === 'closed' && breaker.failures >= getSettings().failure_threshold)) {
+    trip(server, probe);
+  }
+}
+
+/**
+ * Get the state of a server's breaker
+ * @param {string} serverName - Server name
+ * @returns {Object} Object with `state`, `failures` and `lastError`
+ */
+function getState(serverName) {
+  const breaker = breakers.get(serverName);
+  if (!breaker) {
+    return { state: 'closed', failures: 0, lastError: null };
+  }
+
+  return { state: breaker.state, failures: breaker.failures, lastError: breaker.lastError };
+}
+
+/**
+ * Forget a server's breaker and stop probing it
+ * @param {string} serverName - Server name
+ */
+function reset(serverName) {
+  const breaker = breakers.get(serverName);
+  if (breaker) {
+    clearTimeout(breaker.probeTimer);
+    breakers.delete(serverName);
+  }
+}
+
+/**
+ * Register a function to call when a breaker opens or closes
+ * @param {Function} listener - Called with the server name and new state
+ */
+function onStateChange(listener) {
+  listeners.push(listener);
+}
+
+module.exports = {
+  isAvailable,
+  recordSuccess,
+  recordFailure,
+  getState,
+  reset,
+  onStateChange
+};
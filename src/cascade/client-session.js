@@ -0,0 +1,89 @@
+/**
+ * Client session module for the Cascade MCP Server
+ * Records what the downstream client announced in the initialize handshake,
+ * for features that depend on the client's protocol version or capabilities
+ */
+const { log } = require('./logger');
+
+// The client's session, set by its initialize request
+let session = null;
+
+/**
+ * Record a client's initialize request
+ * @param {string} protocolVersion - Negotiated protocol revision
+ * @param {Object} params - Params of the initialize request
+ * @param {Object} serverCapabilities - Capabilities announced to the client in response
+ */
+function startClientSession(protocolVersion, params = {}, serverCapabilities = {}) {
+  session = {
+    protocolVersion,
+    clientInfo: params.clientInfo || null,
+    capabilities: params.capabilities || {},
+    serverCapabilities,
+    initialized: false
+  };
+
+  const clientName = session.clientInfo ? `${session.clientInfo.name} ${session.clientInfo.version || ''}`.trim() : 'Unknown client';
+  log(`${clientName} requested protocol version ${params.protocolVersion}, using ${protocolVersion}`);
+}
+
+/**
+ * Record the capabilities announced to the client in the initialize response
+ * @param {Object} serverCapabilities - Server capabilities
+ */
+function setServerCapabilities(serverCapabilities) {
+  if (session) {
+    session.serverCapabilities = serverCapabilities;
+  }
+}
+
+/**
+ * Record the client's notifications/initialized
+ */
+function markClientInitialized() {
+  if (!session) {
+    log('Received notifications/initialized before initialize');
+    return;
+  }
+  session.initialized = true;
+  log('Client session initialized');
+}
+
+/**
+ * Get the client's session
+ * @returns {Object|null} Session with `protocolVersion`, `clientInfo`, `capabilities`
+ *   and `initialized`, or null before the client has sent initialize
+ */
+function getClientSession() {
+  return session;
+}
+
+/**
+ * Check whether the client announced a capability
+ * @param {string} name - Capability name, e.g. 'sampling' or 'roots'
+ * @returns {boolean} True if the client has the capability
+ */
+function clientSupports(name) {
+  return Boolean(session && session.capabilities[name]);
+}
+
+/**
+ * Check whether the client may be sent list_changed notifications for a list
+ * That is the case once it has finished initializing, for the lists whose
+ * `listChanged` was announced to it
+ * @param {string} list - 'tools', 'prompts' or 'resources'
+ * @returns {boolean} True if notifications for the list may be sent
+ */
+function acceptsListChanged(list) {
+  return Boolean(session && session.initialized &&
+    session.serverCapabilities[list] && session.serverCapabilities[list].listChanged);
+}
+
+module.exports = {
+  startClientSession,
+  setServerCapabilities,
+  markClientInitialized,
+  getClientSession,
+  clientSupports,
+  acceptsListChanged
+};
@@ -2,446 +2,437 @@
  * MCP Client module for the Cascade MCP Server
  * Handles communication with other MCP servers
  */
-const http = require('http');
-const https = require('https');
-const { URL } = require('url');
-const fs = require('fs');
-const path = require('path');
-const { spawn } = require('child_process');
 const { log } = require('./logger');
 const { getMcpConfig } = require('./config');
+const stdioPool = require('./stdio-pool');
+const httpTransport = require('./http-transport');
+const sseTransport = require('./sse-transport');
+const wsTransport = require('./ws-transport');
+const { cancelRequest } = require('./request-router');
+const { getPolicy, isRetryable, withRetry } = require('./retry');
+const circuitBreaker = require('./circuit-breaker');
+const { getNamingContext, getExposedName, clearExposedNames, getResourceUri } = require('./namespace');
+const { recordServerTools } = require('./catalog');
+
+// Annotations of each server's tools as last listed, keyed by server name
+const toolAnnotations = new Map();
 
 /**
- * Fetch tools from a server
+ * Determine which transport to use for a server
  * @param {Object} server - Server configuration
- * @returns {Promise<Array>} List of tools
+ * @returns {string} 'sse', 'websocket', 'http' or 'stdio'
  */
-async function fetchToolsFromServer(server) {
-  return new Promise((resolve, reject) => {
-    log(`Fetching tools from server: ${server.name} at ${server.url}`);
-    
-    // Check if we need to start a child process or use HTTP
-    if (server.url.startsWith('http://') || server.url.startsWith('https://')) {
-      // HTTP/HTTPS server - use REST API
-      fetchToolsViaHttp(server).then(resolve).catch(reject);
-    } else {
+function getTransportType(server) {
+  if (server.transport === 'sse') {
+    return 'sse';
+  }
+  if (server.url.startsWith('ws://') || server.url.startsWith('wss://')) {
+    return 'websocket';
+  }
+  if (server.url.startsWith('http://') || server.url.startsWith('https://')) {
+    return 'http';
+  }
+  return 'stdio';
+}
+
+/**
+ * Send a request to a server over its transport
+ * @param {Object} server - Server configuration
+ * @param {string} method - JSON-RPC method
+ * @param {Object} params - Request params
+ * @param {Object} [options] - Request options, see the transports' `request`
+ * @returns {Promise<Object>} JSON-RPC response
+ */
+async function sendRequest(server, method, params, options = {}) {
+  switch (getTransportType(server)) {
+    case 'sse':
+      // Legacy HTTP+SSE server
+      return sseTransport.request(server, method, params, options);
+    case 'websocket':
+      // WebSocket server
+      return wsTransport.request(server, method, params, options);
+    case 'http':
+      // HTTP/HTTPS server - use Streamable HTTP
+      return httpTransport.request(server, method, params, options);
+    default:
       // Local server - use child process
-      fetchToolsViaChildProcess(server).then(resolve).catch(reject);
+      return requestViaChildProcess(server, method, params, options);
+  }
+}
+
+/**
+ * Send a request to a child process server
+ * Uses the server's pooled session unless it is configured with `persistent: false`,
+ * in which case a fresh process is spawned for the request
+ * @param {Object} server - Server configuration
+ * @param {string} method - JSON-RPC method
+ * @param {Object} params - Request params
+ * @param {Object} [options] - Request options
+ * @returns {Promise<Object>} JSON-RPC response
+ */
+async function requestViaChildProcess(server, method, params, options = {}) {
+  if (server.persistent === false) {
+    return stdioPool.requestOnce(server, method, params, options);
+  }
+  return stdioPool.request(server, method, params, options);
+}
+
+/**
+ * Record the outcome of a request in the server's circuit breaker
+ * Only failures that point at the server itself count against it
+ * @param {Object} server - Server configuration
+ * @param {Promise<Object>} request - Request in flight
+ * @returns {Promise<Object>} JSON-RPC response
+ */
+async function trackOutcome(server, request) {
+  try {
+    const response = await request;
+    circuitBreaker.recordSuccess(server);
+    return response;
+  } catch (error) {
+    if (isRetryable(error)) {
+      circuitBreaker.recordFailure(server, error, () => fetchToolsFromServer(server));
     }
-  });
+    throw error;
+  }
 }
 
 /**
- * Fetch tools from an HTTP/HTTPS server
+ * Get the capabilities a server announced, if it is connected
  * @param {Object} server - Server configuration
- * @returns {Promise<Array>} List of tools
+ * @returns {Object|null} Capabilities, or null without an initialized session
  */
-async function fetchToolsViaHttp(server) {
-  return new Promise((resolve, reject) => {
-    log(`Fetching tools via HTTP from: ${server.name} at ${server.url}`);
-    
-    // Create a simple request to the server's tools/list endpoint
-    const requestData = JSON.stringify({
-      jsonrpc: '2.0',
-      id: Date.now(),
-      method: 'tools/list',
-      params: {}
-    });
-    
-    // Parse the URL to determine protocol
-    const serverUrl = new URL(server.url);
-    const options = {
-      hostname: serverUrl.hostname,
-      port: serverUrl.port,
-      path: '/mcp',  // Standard MCP endpoint
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(requestData)
-      }
-    };
-    
-    // Choose http or https based on protocol
-    const requester = serverUrl.protocol === 'https:' ? https : http;
-    
-    const req = requester.request(options, (res) => {
-      let data = '';
-      
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-      
-      res.on('end', () => {
-        try {
-          const response = JSON.parse(data);
-          if (response.result && response.result.tools) {
-            // Add server name prefix to each tool
-            const tools = response.result.tools.map(tool => {
-              // Create a prefixed version of the tool
-              return {
-                ...tool,
-                name: `${server.name.toLowerCase().replace(/\\s+/g, '_')}_${tool.name}`,
-                description: `[From ${server.name}] ${tool.description || ''}`
-              };
-            });
-            resolve(tools);
-          } else {
-            reject(new Error(`Invalid response from server: ${data}`));
-          }
-        } catch (error) {
-          reject(error);
-        }
-      });
-    });
-    
-    req.on('error', (error) => {
-      log(`Error fetching tools from ${server.name}:`, error);
-      reject(error);
-    });
-    
-    // Set a timeout
-    req.setTimeout(5000, () => {
-      req.abort();
-      reject(new Error(`Request to ${server.name} timed out`));
-    });
-    
-    req.write(requestData);
-    req.end();
-  });
+function getServerCapabilities(server) {
+  switch (getTransportType(server)) {
+    case 'sse':
+      return sseTransport.getCapabilities(server.name);
+    case 'websocket':
+      return wsTransport.getCapabilities(server.name);
+    case 'http':
+      return httpTransport.getCapabilities(server.name);
+    default:
+      return stdioPool.getCapabilities(server.name);
+  }
 }
 
 /**
- * Fetch tools using a child process
+ * Send a notification to a server over its open session
+ * Servers without an initialized session are skipped
+ * @param {Object} server - Server configuration
+ * @param {Object} message - JSON-RPC notification
+ * @returns {Promise<boolean>} True if the notification was sent
+ */
+async function notifyServer(server, message) {
+  switch (getTransportType(server)) {
+    case 'sse':
+      return sseTransport.notify(server.name, message);
+    case 'websocket':
+      return wsTransport.notify(server.name, message);
+    case 'http':
+      return httpTransport.notify(server.name, message);
+    default:
+      return stdioPool.notify(server.name, message);
+  }
+}
+
+/**
+ * Fetch tools from a server
  * @param {Object} server - Server configuration
  * @returns {Promise<Array>} List of tools
  */
-async function fetchToolsViaChildProcess(server) {
-  return new Promise((resolve, reject) => {
-    log(`Fetching tools via child process from: ${server.name}`);
-    
-    try {
-      // Get the server configuration from mcp-config.json
-      const mcpConfig = getMcpConfig();
-      const serverConfig = mcpConfig.mcpServers[server.name];
-      
-      if (!serverConfig) {
-        return reject(new Error(`Server ${server.name} not found in MCP config`));
-      }
-      
-      // Spawn the child process
-      const childProcess = spawn(
-        serverConfig.command,
-        serverConfig.args || [],
-        {
-          cwd: serverConfig.cwd || process.cwd(),
-          env: { ...process.env, ...(serverConfig.env || {}) },
-          stdio: ['pipe', 'pipe', 'pipe']
-        }
-      );
-      
-      // Set up readline to parse JSON-RPC messages
-      const readline = require('readline');
-      const rl = readline.createInterface({
-        input: childProcess.stdout,
-        terminal: false
-      });
-      
-      // Send initialize request
-      const initRequest = JSON.stringify({
-        jsonrpc: '2.0',
-        id: 1,
-        method: 'initialize',
-        params: {}
-      }) + '\n';
-      
-      childProcess.stdin.write(initRequest);
-      
-      // Send tools/list request after initialization
-      const toolsRequest = JSON.stringify({
-        jsonrpc: '2.0',
-        id: 2,
-        method: 'tools/list',
-        params: {}
-      }) + '\n';
-      
-      let initialized = false;
-      let tools = [];
-      
-      // Process responses
-      rl.on('line', (line) => {
-        try {
-          const response = JSON.parse(line);
-          
-          // Handle initialization response
-          if (response.id === 1 && response.result) {
-            log(`Server ${server.name} initialized successfully`);
-            initialized = true;
-            childProcess.stdin.write(toolsRequest);
-          }
-          
-          // Handle tools/list response
-          if (response.id === 2 && response.result && response.result.tools) {
-            // Add server name prefix to each tool
-            tools = response.result.tools.map(tool => ({
-              ...tool,
-              name: `${server.name.toLowerCase().replace(/\\s+/g, '_')}_${tool.name}`,
-              description: `[From ${server.name}] ${tool.description || ''}`
-            }));
-            
-            log(`Received ${tools.length} tools from ${server.name}`);
-            
-            // Clean up and resolve
-            childProcess.kill();
-            rl.close();
-            resolve(tools);
-          }
-        } catch (e) {
-          log(`Error parsing response from ${server.name}: ${e.message}`);
-          log(`Raw response: ${line}`);
-        }
-      });
-      
-      // Handle errors
-      childProcess.on('error', (err) => {
-        log(`Error with child process for ${server.name}: ${err.message}`);
-        reject(err);
-      });
-      
-      // Handle process exit
-      childProcess.on('exit', (code) => {
-        if (code !== 0 && tools.length === 0) {
-          reject(new Error(`Server ${server.name} exited with code ${code}`));
-        }
-      });
-      
-      // Set a timeout
-      setTimeout(() => {
-        if (tools.length === 0) {
-          childProcess.kill();
-          rl.close();
-          reject(new Error(`Timeout waiting for response from ${server.name}`));
-        }
-      }, 5000);
-    } catch (e) {
-      log(`Error fetching tools via child process: ${e.message}`);
-      reject(e);
-    }
-  });
+async function fetchToolsFromServer(server) {
+  log(`Fetching tools from server: ${server.name} at ${server.url} (${getTransportType(server)})`);
+  
+  // Listing tools has no side effects, so it is always safe to retry
+  const policy = getPolicy(server);
+  const response = await trackOutcome(server, withRetry(server, 'tools/list', policy, () =>
+    sendRequest(server, 'tools/list', {}, { timeout: policy.timeoutMs })
+  ));
+  
+  if (!response.result || !response.result.tools) {
+    throw new Error(`Invalid response from server: ${JSON.stringify(response)}`);
+  }
+  
+  toolAnnotations.set(server.name, new Map(
+    response.result.tools.map(tool => [tool.name, tool.annotations || {}])
+  ));
+  
+  // Expose each tool under a namespaced name that maps back to this server
+  clearExposedNames('tools', server.name);
+  const naming = getNamingContext();
+  const tools = response.result.tools.map(tool => ({
+    ...tool,
+    name: getExposedName('tools', server, tool.name, naming),
+    description: `[From ${server.name}] ${tool.description || ''}`
+  }));
+  recordServerTools(server, response.result.tools, tools.map(tool => tool.name));
+  
+  log(`Received ${tools.length} tools from ${server.name}`);
+  return tools;
 }
 
 /**
- * Forward a tool call to the appropriate server
+ * Fetch prompts from a server
+ * Servers that did not announce prompts, or answer that they have none, have an empty list
  * @param {Object} server - Server configuration
- * @param {string} toolName - Name of the tool to call
- * @param {Object} toolParams - Tool parameters
+ * @returns {Promise<Array>} List of prompts
+ */
+async function fetchPromptsFromServer(server) {
+  const capabilities = getServerCapabilities(server);
+  if (capabilities && !capabilities.prompts) {
+    return [];
+  }
+  
+  log(`Fetching prompts from server: ${server.name} at ${server.url} (${getTransportType(server)})`);
+  
+  const policy = getPolicy(server);
+  const response = await trackOutcome(server, withRetry(server, 'prompts/list', policy, () =>
+    sendRequest(server, 'prompts/list', {}, { timeout: policy.timeoutMs })
+  ));
+  
+  if (response.error && response.error.code === -32601) {
+    log(`Server ${server.name} does not support prompts`);
+    return [];
+  }
+  if (!response.result || !response.result.prompts) {
+    throw new Error(`Invalid response from server: ${JSON.stringify(response)}`);
+  }
+  
+  // Expose each prompt under a namespaced name that maps back to this server
+  clearExposedNames('prompts', server.name);
+  const naming = getNamingContext();
+  const prompts = response.result.prompts.map(prompt => ({
+    ...prompt,
+    name: getExposedName('prompts', server, prompt.name, naming),
+    description: `[From ${server.name}] ${prompt.description || ''}`
+  }));
+  
+  log(`Received ${prompts.length} prompts from ${server.name}`);
+  return prompts;
+}
+
+/**
+ * Fetch a list of resources or resource templates from a server
+ * Servers that did not announce resources, or answer that they have none, have an empty list
+ * @param {Object} server - Server configuration
+ * @param {string} method - 'resources/list' or 'resources/templates/list'
+ * @param {string} key - Key of the list in the result, 'resources' or 'resourceTemplates'
+ * @param {string} uriKey - Key of the URI in each item, 'uri' or 'uriTemplate'
+ * @returns {Promise<Array>} List items with their URIs rewritten
+ */
+async function fetchResourceList(server, method, key, uriKey) {
+  const capabilities = getServerCapabilities(server);
+  if (capabilities && !capabilities.resources) {
+    return [];
+  }
+  
+  log(`Fetching ${key} from server: ${server.name} at ${server.url} (${getTransportType(server)})`);
+  
+  const policy = getPolicy(server);
+  const response = await trackOutcome(server, withRetry(server, method, policy, () =>
+    sendRequest(server, method, {}, { timeout: policy.timeoutMs })
+  ));
+  
+  if (response.error && response.error.code === -32601) {
+    log(`Server ${server.name} does not support ${method}`);
+    return [];
+  }
+  if (!response.result || !response.result[key]) {
+    throw new Error(`Invalid response from server: ${JSON.stringify(response)}`);
+  }
+  
+  const naming = getNamingContext();
+  const items = response.result[key].map(item => ({
+    ...item,
+    [uriKey]: getResourceUri(server, item[uriKey], naming),
+    description: `[From ${server.name}] ${item.description || ''}`
+  }));
+  
+  log(`Received ${items.length} ${key} from ${server.name}`);
+  return items;
+}
+
+/**
+ * Fetch resources from a server
+ * @param {Object} server - Server configuration
+ * @returns {Promise<Array>} List of resources
+ */
+async function fetchResourcesFromServer(server) {
+  return fetchResourceList(server, 'resources/list', 'resources', 'uri');
+}
+
+/**
+ * Fetch resource templates from a server
+ * @param {Object} server - Server configuration
+ * @returns {Promise<Array>} List of resource templates
+ */
+async function fetchResourceTemplatesFromServer(server) {
+  return fetchResourceList(server, 'resources/templates/list', 'resourceTemplates', 'uriTemplate');
+}
+
+/**
+ * Forward a client request that has no side effects to a server
+ * Such requests are always safe to retry
+ * @param {Object} server - Server configuration
+ * @param {string} method - JSON-RPC method
+ * @param {Object} params - Request params, in the server's own names
  * @param {number} messageId - Message ID
- * @returns {Promise<Object>} Tool call response
+ * @returns {Promise<Object>} Response, with the client's message ID
  */
-async function forwardToolCall(server, toolName, toolParams, messageId) {
-  return new Promise((resolve, reject) => {
-    log(`Forwarding tool call to ${server.name} at ${server.url}: ${toolName}`);
-    
-    // Check if we need to use HTTP or child process
-    if (server.url.startsWith('http://') || server.url.startsWith('https://')) {
-      // HTTP/HTTPS server
-      forwardToolCallViaHttp(server, toolName, toolParams, messageId).then(resolve).catch(reject);
-    } else {
-      // Local server - use child process
-      forwardToolCallViaChildProcess(server, toolName, toolParams, messageId).then(resolve).catch(reject);
-    }
-  });
+async function forwardRequest(server, method, params, messageId) {
+  log(`Forwarding ${method} to ${server.name} at ${server.url} (${getTransportType(server)})`);
+  
+  if (!circuitBreaker.isAvailable(server.name)) {
+    throw new Error(`Server ${server.name} is unavailable after repeated failures: ${circuitBreaker.getState(server.name).lastError}`);
+  }
+  
+  const policy = getPolicy(server);
+  return trackOutcome(server, withRetry(server, method, policy, () =>
+    sendRequest(server, method, params, {
+      timeout: policy.timeoutMs,
+      clientId: messageId
+    })
+  ));
 }
 
 /**
- * Forward a tool call via HTTP
+ * Get a prompt from the server that owns it
  * @param {Object} server - Server configuration
- * @param {string} toolName - Name of the tool to call
- * @param {Object} toolParams - Tool parameters
+ * @param {string} promptName - Upstream name of the prompt
+ * @param {Object} promptArgs - Prompt arguments
  * @param {number} messageId - Message ID
- * @returns {Promise<Object>} Tool call response
+ * @returns {Promise<Object>} prompts/get response
  */
-async function forwardToolCallViaHttp(server, toolName, toolParams, messageId) {
-  return new Promise((resolve, reject) => {
-    log(`Forwarding tool call via HTTP to ${server.name} at ${server.url}: ${toolName}`);
-    
-    // Create the request to forward to the server
-    const requestData = JSON.stringify({
+async function getPromptFromServer(server, promptName, promptArgs, messageId) {
+  return forwardRequest(server, 'prompts/get', { name: promptName, arguments: promptArgs }, messageId);
+}
+
+/**
+ * Read a resource from the server that owns it
+ * The URIs of embedded resources in the result are rewritten to the listed form
+ * @param {Object} server - Server configuration
+ * @param {string} uri - The server's own URI of the resource
+ * @param {number} messageId - Message ID
+ * @returns {Promise<Object>} resources/read response
+ */
+async function readResourceFromServer(server, uri, messageId) {
+  const response = await forwardRequest(server, 'resources/read', { uri }, messageId);
+  
+  if (response.result && Array.isArray(response.result.contents)) {
+    const naming = getNamingContext();
+    response.result.contents = response.result.contents.map(content => ({
+      ...content,
+      uri: getResourceUri(server, content.uri, naming)
+    }));
+  }
+  return response;
+}
+
+/**
+ * Ask the server that owns a prompt or resource template to complete an argument
+ * Servers that do not announce the `completions` capability are not asked and
+ * offer no values
+ * @param {Object} server - Server configuration
+ * @param {Object} ref - `ref/prompt` or `ref/resource` reference, in the server's own names
+ * @param {Object} argument - Argument being completed, with its `name` and `value`
+ * @param {Object} context - Completion context, such as arguments already given
+ * @param {number} messageId - Message ID
+ * @returns {Promise<Object>} completion/complete response
+ */
+async function completeOnServer(server, ref, argument, context, messageId) {
+  const capabilities = getServerCapabilities(server);
+  if (!capabilities || !capabilities.completions) {
+    log(`Server ${server.name} does not offer completions, returning no values`);
+    return {
       jsonrpc: '2.0',
-      id: messageId,
-      method: 'tools/call',
-      params: {
-        name: toolName,
-        parameters: toolParams
-      }
-    });
-    
-    // Parse the URL to determine protocol
-    const serverUrl = new URL(server.url);
-    const options = {
-      hostname: serverUrl.hostname,
-      port: serverUrl.port,
-      path: '/mcp',
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(requestData)
-      }
+      result: { completion: { values: [], hasMore: false } },
+      id: messageId
     };
-    
-    // Choose http or https based on protocol
-    const requester = serverUrl.protocol === 'https:' ? https : http;
-    
-    const req = requester.request(options, (res) => {
-      let data = '';
-      
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-      
-      res.on('end', () => {
-        try {
-          const response = JSON.parse(data);
-          resolve(response);
-        } catch (error) {
-          reject(error);
-        }
-      });
-    });
-    
-    req.on('error', (error) => {
-      log(`Error forwarding tool call to ${server.name}:`, error);
-      reject(error);
-    });
-    
-    // Set a timeout
-    req.setTimeout(5000, () => {
-      req.abort();
-      reject(new Error(`Request to ${server.name} timed out`));
-    });
-    
-    req.write(requestData);
-    req.end();
-  });
+  }
+  
+  const params = context ? { ref, argument, context } : { ref, argument };
+  return forwardRequest(server, 'completion/complete', params, messageId);
 }
 
 /**
- * Forward a tool call via child process
+ * Check whether a tool call may be repeated after a failure
+ * Tools the server annotates as read-only or idempotent, or that are marked
+ * `idempotent` in servers.json, are safe to call again
+ * @param {Object} server - Server configuration
+ * @param {string} toolName - Upstream name of the tool
+ * @returns {boolean} True if the call may be retried
+ */
+function isIdempotentTool(server, toolName) {
+  const toolConfig = server.tools && server.tools[toolName];
+  if (toolConfig && toolConfig.idempotent !== undefined) {
+    return toolConfig.idempotent === true;
+  }
+
+  const annotations = toolAnnotations.has(server.name) ? toolAnnotations.get(server.name).get(toolName) : null;
+  return Boolean(annotations && (annotations.readOnlyHint || annotations.idempotentHint));
+}
+
+/**
+ * Forward a tool call to the appropriate server
+ * Timeouts and retries follow the server's and tool's settings; only
+ * idempotent tools are retried
  * @param {Object} server - Server configuration
  * @param {string} toolName - Name of the tool to call
  * @param {Object} toolParams - Tool parameters
  * @param {number} messageId - Message ID
+ * @param {Object} [options] - Call options
+ * @param {string|number} [options.progressToken] - Client's progress token, passed to the server unchanged
+ * @param {Function} [options.onProgress] - Called with the params of each progress notification from the server
+ * @param {Function} [options.isCancelled] - Returns true once the client has cancelled the call
  * @returns {Promise<Object>} Tool call response
  */
-async function forwardToolCallViaChildProcess(server, toolName, toolParams, messageId) {
-  return new Promise((resolve, reject) => {
-    log(`Forwarding tool call via child process to ${server.name}: ${toolName}`);
-    
-    try {
-      // Get the server configuration from mcp-config.json
-      const mcpConfig = getMcpConfig();
-      const serverConfig = mcpConfig.mcpServers[server.name];
-      
-      if (!serverConfig) {
-        return reject(new Error(`Server ${server.name} not found in MCP config`));
-      }
-      
-      // Spawn the child process
-      const childProcess = spawn(
-        serverConfig.command,
-        serverConfig.args || [],
-        {
-          cwd: serverConfig.cwd || process.cwd(),
-          env: { ...process.env, ...(serverConfig.env || {}) },
-          stdio: ['pipe', 'pipe', 'pipe']
-        }
-      );
-      
-      // Set up readline to parse JSON-RPC messages
-      const readline = require('readline');
-      const rl = readline.createInterface({
-        input: childProcess.stdout,
-        terminal: false
-      });
-      
-      // Send initialize request
-      const initRequest = JSON.stringify({
-        jsonrpc: '2.0',
-        id: 1,
-        method: 'initialize',
-        params: {}
-      }) + '\n';
-      
-      childProcess.stdin.write(initRequest);
-      
-      let initialized = false;
-      let responseReceived = false;
-      
-      // Process responses
-      rl.on('line', (line) => {
-        try {
-          const response = JSON.parse(line);
-          
-          // Handle initialization response
-          if (response.id === 1 && response.result) {
-            log(`Server ${server.name} initialized successfully`);
-            initialized = true;
-            
-            // Send the actual tool call
-            const toolCallRequest = JSON.stringify({
-              jsonrpc: '2.0',
-              id: messageId,
-              method: 'tools/call',
-              params: {
-                name: toolName,
-                parameters: toolParams
-              }
-            }) + '\n';
-            
-            childProcess.stdin.write(toolCallRequest);
-          }
-          
-          // Handle tool call response
-          if (response.id === messageId) {
-            log(`Received response from ${server.name} for tool ${toolName}`);
-            responseReceived = true;
-            
-            // Clean up and resolve
-            childProcess.kill();
-            rl.close();
-            resolve(response);
-          }
-        } catch (e) {
-          log(`Error parsing response from ${server.name}: ${e.message}`);
-          log(`Raw response: ${line}`);
-        }
-      });
-      
-      // Handle errors
-      childProcess.on('error', (err) => {
-        log(`Error with child process for ${server.name}: ${err.message}`);
-        reject(err);
-      });
-      
-      // Handle process exit
-      childProcess.on('exit', (code) => {
-        if (code !== 0 && !responseReceived) {
-          reject(new Error(`Server ${server.name} exited with code ${code}`));
-        }
-      });
-      
-      // Set a timeout
-      setTimeout(() => {
-        if (!responseReceived) {
-          childProcess.kill();
-          rl.close();
-          reject(new Error(`Timeout waiting for response from ${server.name}`));
-        }
-      }, 5000);
-    } catch (e) {
-      log(`Error forwarding tool call via child process: ${e.message}`);
-      reject(e);
-    }
-  });
+async function forwardToolCall(server, toolName, toolParams, messageId, options = {}) {
+  log(`Forwarding tool call to ${server.name} at ${server.url} (${getTransportType(server)}): ${toolName}`);
+  
+  if (!circuitBreaker.isAvailable(server.name)) {
+    throw new Error(`Server ${server.name} is unavailable after repeated failures: ${circuitBreaker.getState(server.name).lastError}`);
+  }
+  
+  const params = {
+    name: toolName,
+    parameters: toolParams
+  };
+  if (options.progressToken !== undefined) {
+    params._meta = { progressToken: options.progressToken };
+  }
+  
+  const policy = getPolicy(server, toolName);
+  if (!isIdempotentTool(server, toolName)) {
+    policy.maxAttempts = 1;
+  }
+  
+  // The upstream request gets its own id; the response comes back with the client's
+  const response = await trackOutcome(server, withRetry(server, `Tool call ${toolName}`, policy, () =>
+    sendRequest(server, 'tools/call', params, {
+      timeout: policy.timeoutMs,
+      clientId: messageId,
+      progressToken: options.progressToken,
+      onProgress: options.onProgress,
+      isCancelled: options.isCancelled
+    }),
+    options.isCancelled
+  ));
+  
+  log(`Received response from ${server.name} for tool ${toolName}`);
+  
+  return response;
+}
+
+/**
+ * Cancel a forwarded tool call
+ * The server is told to stop working on it, or its process is stopped if it
+ * was spawned just for this call
+ * @param {number} messageId - Message ID of the tool call
+ * @param {string} [reason] - Reason given by the client
+ * @returns {boolean} True if the call was still waiting for its server
+ */
+function cancelToolCall(messageId, reason) {
+  return cancelRequest(messageId, reason);
 }
 
 /**
@@ -459,49 +450,43 @@ async function startEnabledServers(servers) {
     try {
       log(`Starting server: ${server.name}`);
       
-      // Skip if the server is HTTP/HTTPS (assumed to be running externally)
-      if (server.url.startsWith('http://') || server.url.startsWith('https://')) {
-        log(`Server ${server.name} is HTTP/HTTPS, assuming it's already running`);
-        return { name: server.name, success: true, message: 'HTTP/HTTPS server, assumed running' };
+      // Legacy SSE servers run externally, so only open a session with them
+      if (getTransportType(server) === 'sse') {
+        await sseTransport.openSession(server);
+        log(`Connected to SSE server ${server.name}`);
+        return { name: server.name, success: true, message: 'Connected to SSE server' };
+      }
+      
+      // WebSocket servers run externally, so only connect to them
+      if (getTransportType(server) === 'websocket') {
+        await wsTransport.openSession(server);
+        log(`Connected to WebSocket server ${server.name}`);
+        return { name: server.name, success: true, message: 'Connected to WebSocket server' };
+      }
+      
+      // HTTP/HTTPS servers run externally, so only open a session with them
+      if (getTransportType(server) === 'http') {
+        await httpTransport.openSession(server);
+        log(`Connected to HTTP/HTTPS server ${server.name}`);
+        return { name: server.name, success: true, message: 'Connected to HTTP/HTTPS server' };
       }
       
       // Get the server configuration from mcp-config.json
       const mcpConfig = getMcpConfig();
-      const serverConfig = mcpConfig.mcpServers[server.name];
       
-      if (!serverConfig) {
+      if (!mcpConfig.mcpServers[server.name]) {
         log(`Server ${server.name} not found in MCP config`);
         return { name: server.name, success: false, message: 'Not found in MCP config' };
       }
       
-      // Spawn the child process
-      const childProcess = spawn(
-        serverConfig.command,
-        serverConfig.args || [],
-        {
-          cwd: serverConfig.cwd || process.cwd(),
-          env: { ...process.env, ...(serverConfig.env || {}) },
-          stdio: ['pipe', 'pipe', 'pipe'],
-          detached: true  // Allow the process to run independently
-        }
-      );
-      
-      // Set up error handling
-      childProcess.on('error', (err) => {
-        log(`Error starting ${server.name}: ${err.message}`);
-      });
-      
-      // Log stdout and stderr
-      childProcess.stdout.on('data', (data) => {
-        log(`[${server.name}] stdout: ${data.toString().trim()}`);
-      });
-      
-      childProcess.stderr.on('data', (data) => {
-        log(`[${server.name}] stderr: ${data.toString().trim()}`);
-      });
+      // Per-call servers are spawned on demand, so there is nothing to start
+      if (server.persistent === false) {
+        log(`Server ${server.name} is not persistent, it will be started per call`);
+        return { name: server.name, success: true, message: 'Started per call' };
+      }
       
-      // Unref the child process to allow the parent to exit independently
-      childProcess.unref();
+      // Start the pooled session and wait for its initialize handshake
+      await stdioPool.openSession(server);
       
       log(`Server ${server.name} started successfully`);
       return { name: server.name, success: true, message: 'Started successfully' };
@@ -514,8 +499,53 @@ async function startEnabledServers(servers) {
   return Promise.all(startPromises);
 }
 
+/**
+ * Get the capabilities announced by servers that are connected
+ * Servers without an initialized session are left out
+ * @param {Array} servers - Server configurations
+ * @returns {Array} Capabilities objects
+ */
+function getUpstreamCapabilities(servers) {
+  return servers.map(getServerCapabilities).filter(Boolean);
+}
+
+/**
+ * Stop the persistent connection to a server and any probing of it
+ * @param {Object} server - Server configuration
+ */
+function stopServer(server) {
+  circuitBreaker.reset(server.name);
+  stdioPool.closeSession(server.name);
+  httpTransport.closeSession(server.name);
+  sseTransport.closeSession(server.name);
+  wsTransport.closeSession(server.name);
+}
+
+/**
+ * Stop all persistent server connections
+ */
+function stopAllServers() {
+  stdioPool.closeAllSessions();
+  httpTransport.closeAllSessions();
+  sseTransport.closeAllSessions();
+  wsTransport.closeAllSessions();
+}
+
 module.exports = {
   fetchToolsFromServer,
+  fetchPromptsFromServer,
+  fetchResourcesFromServer,
+  fetchResourceTemplatesFromServer,
+  forwardRequest,
+  getPromptFromServer,
+  readResourceFromServer,
+  completeOnServer,
+  notifyServer,
+  getServerCapabilities,
   forwardToolCall,
-  startEnabledServers
+  cancelToolCall,
+  startEnabledServers,
+  getUpstreamCapabilities,
+  stopServer,
+  stopAllServers
 };
@@ -5,10 +5,10 @@ const fs = require('fs');
 const path = require('path');
 const { log } = require('./logger');
 
-// Path to the servers configuration file
-const SERVERS_CONFIG_PATH = path.resolve(__dirname, '../../servers.json');
-// Path to the MCP configuration file
-const MCP_CONFIG_PATH = path.resolve(__dirname, '../../mcp-config.json');
+// Path to the servers configuration file (overridable for tests)
+const SERVERS_CONFIG_PATH = process.env.SERVERS_CONFIG_PATH || path.resolve(__dirname, '../../servers.json');
+// Path to the MCP configuration file (overridable for tests)
+const MCP_CONFIG_PATH = process.env.MCP_CONFIG_PATH || path.resolve(__dirname, '../../mcp-config.json');
 
 /**
  * Read server configuration
@@ -0,0 +1,474 @@
+/**
+ * Streamable HTTP transport for the Cascade MCP Server
+ * Talks to upstream servers over the MCP Streamable HTTP transport, including
+ * SSE-framed responses, session ids and the initialize handshake
+ */
+const { URL } = require('url');
+const { log } = require('./logger');
+const { sendHttpRequest, readBody } = require('./http-util');
+const { createSseParser } = require('./sse');
+const { getUpstreamInitializeParams, checkInitializeResponse } = require('./protocol');
+const { createRequest, rejectRequest, throwIfCancelled, getCancelNotification } = require('./request-router');
+const { dispatchServerMessage, releaseSession, createSessionAccess } = require('./upstream-messages');
+
+// Open sessions keyed by server name
+const sessions = new Map();
+
+// Default timeout for requests sent over a session
+const REQUEST_TIMEOUT = 5000;
+
+// Timeout for the initialize handshake
+const INITIALIZE_TIMEOUT = 10000;
+
+// Delay before reopening a dropped server-to-client event stream, doubled on each further drop
+const STREAM_RETRY_BASE_DELAY = 1000;
+const MAX_STREAM_RETRY_DELAY = 30000;
+
+// How long an event stream has to stay open before its drops stop counting towards the backoff
+const STABLE_STREAM_TIME = 60000;
+
+/**
+ * Get the MCP endpoint for a server
+ * @param {Object} server - Server configuration
+ * @returns {URL} Endpoint URL
+ */
+function getEndpoint(server) {
+  const endpoint = new URL(server.url);
+
+  // Servers configured by origin only use the conventional /mcp path
+  if (endpoint.pathname === '/') {
+    endpoint.pathname = '/mcp';
+  }
+
+  return endpoint;
+}
+
+/**
+ * Build the headers for a request within a session
+ * @param {Object} session - Session
+ * @param {Object} headers - Request specific headers
+ * @returns {Object} Headers
+ */
+function getHeaders(session, headers) {
+  const result = { ...headers };
+
+  if (session.sessionId) {
+    result['Mcp-Session-Id'] = session.sessionId;
+  }
+  if (session.protocolVersion) {
+    result['MCP-Protocol-Version'] = session.protocolVersion;
+  }
+
+  return result;
+}
+
+/**
+ * Create a session for a server and start its initialize handshake
+ * @param {Object} server - Server configuration
+ * @returns {Object} Session
+ */
+function createSession(server) {
+  const session = {
+    server,
+    endpoint: getEndpoint(server),
+    sessionId: null,
+    protocolVersion: null,
+    serverInfo: null,
+    capabilities: null,
+    closed: false,
+    stream: null,
+    streamRetries: 0,
+    lastEventId: null,
+    ready: null
+  };
+
+  session.ready = initialize(session);
+
+  session.ready.catch(error => {
+    log(`Error initializing HTTP session for ${server.name}: ${error.message}`);
+    dropSession(session);
+  });
+
+  return session;
+}
+
+/**
+ * Perform the initialize handshake for a session
+ * @param {Object} session - Session
+ * @returns {Promise<Object>} Session
+ */
+async function initialize(session) {
+  const { server } = session;
+
+  log(`Initializing HTTP session for ${server.name} at ${session.endpoint.href}`);
+
+  const response = await sendRequest(session, 'initialize', getUpstreamInitializeParams(), { timeout: INITIALIZE_TIMEOUT });
+
+  const result = checkInitializeResponse(server, response);
+
+  session.protocolVersion = result.protocolVersion;
+  session.serverInfo = result.serverInfo || null;
+  session.capabilities = result.capabilities || {};
+
+  await postMessage(session, { jsonrpc: '2.0', method: 'notifications/initialized' }, { timeout: REQUEST_TIMEOUT });
+
+  log(`Server ${server.name} initialized successfully${session.sessionId ? ` (session ${session.sessionId})` : ''}`);
+
+  openEventStream(session);
+  return session;
+}
+
+/**
+ * POST a JSON-RPC message to a server
+ * Everything the server sends back, whether as plain JSON or inside an SSE
+ * stream, is passed on to handleServerMessage
+ * @param {Object} session - Session
+ * @param {Object} message - JSON-RPC message
+ * @param {Object} [options] - Options
+ * @param {number} [options.timeout] - Timeout in milliseconds until the response headers arrive
+ * @param {Promise} [options.until] - The exchange is abandoned once this settles
+ * @returns {Promise<boolean>} True if the server accepted the message without replying to it
+ */
+async function postMessage(session, message, options = {}) {
+  const { server } = session;
+  const isRequest = message.method !== undefined && message.id !== undefined;
+
+  const { req, res } = await sendHttpRequest(server, session.endpoint, {
+    method: 'POST',
+    headers: getHeaders(session, {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json, text/event-stream'
+    }),
+    body: JSON.stringify(message),
+    timeout: options.timeout
+  });
+
+  if (options.until) {
+    const abandon = () => req.destroy();
+    options.until.then(abandon, abandon);
+  }
+
+  // The server hands out its session id on the initialize response
+  if (message.method === 'initialize' && res.headers['mcp-session-id']) {
+    session.sessionId = res.headers['mcp-session-id'];
+  }
+
+  if (res.statusCode === 404 && session.sessionId) {
+    res.resume();
+    const error = new Error(`Session ${session.sessionId} for ${server.name} has expired`);
+    error.sessionExpired = true;
+    throw error;
+  }
+
+  if (res.statusCode < 200 || res.statusCode >= 300) {
+    const body = await readBody(res);
+    const error = new Error(`HTTP ${res.statusCode} from ${server.name}: ${body}`);
+    error.statusCode = res.statusCode;
+    throw error;
+  }
+
+  if (!isRequest || res.statusCode === 202) {
+    res.resume();
+    return true;
+  }
+
+  const contentType = res.headers['content-type'] || '';
+
+  if (contentType.includes('text/event-stream')) {
+    await new Promise(resolve => {
+      readEventStream(session, res, received => handleServerMessage(session, received));
+      res.on('close', resolve);
+    });
+    return false;
+  }
+
+  const body = await readBody(res);
+  let parsed;
+  try {
+    parsed = JSON.parse(body);
+  } catch (e) {
+    throw new Error(`Invalid response from server: ${body}`);
+  }
+  (Array.isArray(parsed) ? parsed : [parsed]).forEach(received => handleServerMessage(session, received));
+  return false;
+}
+
+/**
+ * Send a request over a session and wait for the matching response
+ * @param {Object} session - Session
+ * @param {string} method - JSON-RPC method
+ * @param {Object} params - Request params
+ * @param {Object} options - Options for the request router
+ * @returns {Promise<Object>} JSON-RPC response
+ */
+function sendRequest(session, method, params, options) {
+  throwIfCancelled(options);
+
+  const { id, response } = createRequest(session, method, {
+    ...options,
+    onCancel: (requestId, reason) => {
+      postMessage(session, getCancelNotification(requestId, reason), { timeout: REQUEST_TIMEOUT }).catch(error => {
+        log(`Error sending cancellation to ${session.server.name}: ${error.message}`);
+      });
+    }
+  });
+
+  postMessage(session, { jsonrpc: '2.0', id, method, params }, { until: response })
+    .then(accepted => {
+      // An accepted request is answered later on the event stream; otherwise the
+      // response had to be part of the POST response (no effect if it was)
+      if (!accepted) {
+        rejectRequest(id, new Error(`Server ${session.server.name} did not answer ${method}`));
+      }
+    })
+    .catch(error => rejectRequest(id, error));
+
+  return response;
+}
+
+/**
+ * Read JSON-RPC messages from an SSE response
+ * @param {Object} session - Session
+ * @param {Object} res - HTTP response
+ * @param {Function} onMessage - Called with each JSON-RPC message
+ */
+function readEventStream(session, res, onMessage) {
+  const push = createSseParser(event => {
+    if (event.id) {
+      session.lastEventId = event.id;
+    }
+    if (event.event !== 'message' || !event.data) {
+      return;
+    }
+
+    try {
+      onMessage(JSON.parse(event.data));
+    } catch (e) {
+      log(`Error parsing event from ${session.server.name}: ${e.message}`);
+      log(`Raw event: ${event.data}`);
+    }
+  });
+
+  res.setEncoding('utf8');
+  res.on('data', push);
+}
+
+/**
+ * Open the GET stream a server uses for messages outside of any request
+ * @param {Object} session - Session
+ */
+function openEventStream(session) {
+  const { server } = session;
+
+  if (session.closed) {
+    return;
+  }
+
+  const headers = getHeaders(session, { 'Accept': 'text/event-stream' });
+  if (session.lastEventId) {
+    headers['Last-Event-ID'] = session.lastEventId;
+  }
+
+  sendHttpRequest(server, session.endpoint, { method: 'GET', headers })
+    .then(({ req, res }) => {
+      if (session.closed) {
+        req.destroy();
+        return;
+      }
+
+      if (res.statusCode === 405) {
+        res.resume();
+        log(`Server ${server.name} does not offer an event stream`);
+        return;
+      }
+
+      if (res.statusCode === 404 && session.sessionId) {
+        res.resume();
+        log(`Session for ${server.name} expired, dropping it`);
+        dropSession(session);
+        return;
+      }
+
+      if (res.statusCode !== 200) {
+        res.resume();
+        log(`Unexpected status ${res.statusCode} opening event stream for ${server.name}`);
+        return;
+      }
+
+      session.stream = req;
+      const openedAt = Date.now();
+      readEventStream(session, res, message => handleServerMessage(session, message));
+
+      // A reset connection only closes the response, without ending it
+      res.on('error', (error) => {
+        log(`Event stream for ${server.name} failed: ${error.message}`);
+      });
+      res.on('close', () => {
+        if (session.stream === req) {
+          session.stream = null;
+        }
+        if (Date.now() - openedAt >= STABLE_STREAM_TIME) {
+          session.streamRetries = 0;
+        }
+        reopenEventStream(session, 'ended');
+      });
+    })
+    .catch(error => {
+      log(`Error opening event stream for ${server.name}: ${error.message}`);
+      reopenEventStream(session, 'could not be opened');
+    });
+}
+
+/**
+ * Open a session's event stream again after a delay that grows with each drop
+ * @param {Object} session - Session
+ * @param {string} reason - What happened to the stream, for log messages
+ */
+function reopenEventStream(session, reason) {
+  if (session.closed) {
+    return;
+  }
+
+  const delay = Math.min(STREAM_RETRY_BASE_DELAY * 2 ** session.streamRetries, MAX_STREAM_RETRY_DELAY);
+  session.streamRetries++;
+  log(`Event stream for ${session.server.name} ${reason}, reopening in ${delay}ms`);
+  setTimeout(() => openEventStream(session), delay).unref();
+}
+
+/**
+ * Handle a message received from a server
+ * @param {Object} session - Session
+ * @param {Object} message - JSON-RPC message
+ */
+function handleServerMessage(session, message) {
+  dispatchServerMessage(session, message, sendMessage);
+}
+
+/**
+ * Send a message that gets no reply, such as a notification or an answer to the server's request
+ * @param {Object} session - Session
+ * @param {Object} message - JSON-RPC message
+ * @returns {Promise<boolean>} True if the server accepted the message
+ */
+function sendMessage(session, message) {
+  return postMessage(session, message, { timeout: REQUEST_TIMEOUT });
+}
+
+/**
+ * Get the session for a server, initializing it if needed
+ * @param {Object} server - Server configuration
+ * @returns {Promise<Object>} Session
+ */
+async function openSession(server) {
+  let session = sessions.get(server.name);
+
+  if (!session) {
+    session = createSession(server);
+    sessions.set(server.name, session);
+  }
+
+  return session.ready;
+}
+
+/**
+ * Forget a session without telling the server
+ * @param {Object} session - Session
+ */
+function dropSession(session) {
+  session.closed = true;
+  releaseSession(session, new Error(`Session to ${session.server.name} closed`));
+
+  if (sessions.get(session.server.name) === session) {
+    sessions.delete(session.server.name);
+  }
+  if (session.stream) {
+    session.stream.destroy();
+    session.stream = null;
+  }
+}
+
+/**
+ * Send a request to a server over its session
+ * A session the server has expired is re-initialized once
+ * @param {Object} server - Server configuration
+ * @param {string} method - JSON-RPC method
+ * @param {Object} params - Request params
+ * @param {Object} [options] - Request options
+ * @param {number} [options.timeout] - Timeout in milliseconds
+ * @param {string|number} [options.clientId] - Id of the client request being forwarded
+ * @param {Function} [options.isCancelled] - Returns true once the client has cancelled; checked once the session is ready
+ * @returns {Promise<Object>} JSON-RPC response
+ */
+async function request(server, method, params = {}, options = {}) {
+  const routerOptions = { ...options, timeout: options.timeout || REQUEST_TIMEOUT };
+  const session = await openSession(server);
+
+  try {
+    return await sendRequest(session, method, params, routerOptions);
+  } catch (error) {
+    if (!error.sessionExpired) {
+      throw error;
+    }
+
+    log(`${error.message}, re-initializing`);
+    dropSession(session);
+
+    const freshSession = await openSession(server);
+    return sendRequest(freshSession, method, params, routerOptions);
+  }
+}
+
+/**
+ * Close the session for a server, terminating it on the server side
+ * @param {string} serverName - Server name
+ */
+function closeSession(serverName) {
+  const session = sessions.get(serverName);
+  if (!session) {
+    return;
+  }
+
+  log(`Closing HTTP session for ${serverName}`);
+  dropSession(session);
+
+  session.ready
+    .then(() => {
+      if (!session.sessionId) {
+        return;
+      }
+
+      return sendHttpRequest(session.server, session.endpoint, {
+        method: 'DELETE',
+        headers: getHeaders(session, {}),
+        timeout: REQUEST_TIMEOUT
+      }).then(({ res }) => {
+        res.resume();
+        // 405 means the server does not allow clients to terminate sessions
+        log(`Terminated session for ${serverName} (HTTP ${res.statusCode})`);
+      });
+    })
+    .catch(error => {
+      log(`Error terminating session for ${serverName}: ${error.message}`);
+    });
+}
+
+/**
+ * Close all sessions
+ */
+function closeAllSessions() {
+  for (const serverName of [...sessions.keys()]) {
+    closeSession(serverName);
+  }
+}
+
+// Capabilities of, and notifications over, initialized sessions
+const { getCapabilities, notify } = createSessionAccess(sessions, sendMessage);
+
+module.exports = {
+  openSession,
+  getCapabilities,
+  notify,
+  request,
+  closeSession,
+  closeAllSessions
+};
@@ -0,0 +1,114 @@
+/**
+ * HTTP utilities for the Cascade MCP Server
+ * Shared request helpers for the HTTP-based upstream transports
+ */
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+const { log } = require('./logger');
+const { getAuthHeaders } = require('./auth');
+const { getTlsOptions } = require('./tls');
+const { ensureFreshToken, handleUnauthorized } = require('./oauth');
+
+/**
+ * Send an HTTP request to an upstream server
+ * The server's configured headers and credentials are added to every request,
+ * and the response body is left unread so callers can stream it. An expired
+ * OAuth token is refreshed first, and a 401 is retried once after a refresh.
+ * @param {Object} server - Server configuration
+ * @param {URL|string} url - Request URL
+ * @param {Object} [options] - Request options
+ * @param {string} [options.method] - HTTP method
+ * @param {Object} [options.headers] - Request headers
+ * @param {string} [options.body] - Request body
+ * @param {number} [options.timeout] - Timeout in milliseconds until the response headers arrive
+ * @returns {Promise<Object>} Object with the response (`res`) and request (`req`)
+ */
+async function sendHttpRequest(server, url, options = {}) {
+  await ensureFreshToken(server);
+
+  const result = await openRequest(server, url, options);
+
+  // Servers with static credentials see their 401s like any other status
+  if (result.res.statusCode !== 401 || (server.auth && server.auth.type !== 'oauth')) {
+    return result;
+  }
+
+  result.res.resume();
+  if (await handleUnauthorized(server, result.res)) {
+    log(`Retrying request to ${server.name} with a refreshed token`);
+    return openRequest(server, url, options);
+  }
+
+  const error = new Error(`Server ${server.name} requires authorization. Call mcp0_servers_login to sign in.`);
+  error.statusCode = 401;
+  throw error;
+}
+
+/**
+ * Send a single HTTP request
+ * @param {Object} server - Server configuration
+ * @param {URL|string} url - Request URL
+ * @param {Object} options - Request options
+ * @returns {Promise<Object>} Object with the response (`res`) and request (`req`)
+ */
+function openRequest(server, url, options) {
+  return new Promise((resolve, reject) => {
+    const requestUrl = typeof url === 'string' ? new URL(url) : url;
+    const headers = { ...getAuthHeaders(server), ...(options.headers || {}) };
+
+    if (options.body !== undefined) {
+      headers['Content-Length'] = Buffer.byteLength(options.body);
+    }
+
+    // Choose http or https based on protocol
+    const isHttps = requestUrl.protocol === 'https:';
+    const requester = isHttps ? https : http;
+
+    const req = requester.request(requestUrl, {
+      method: options.method || 'GET',
+      headers,
+      ...(isHttps ? getTlsOptions(server) : {})
+    }, (res) => {
+      clearTimeout(timer);
+      resolve({ req, res });
+    });
+
+    const timer = options.timeout ? setTimeout(() => {
+      req.destroy(new Error(`Request to ${server.name} timed out`));
+    }, options.timeout) : null;
+
+    req.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+
+    if (options.body !== undefined) {
+      req.write(options.body);
+    }
+    req.end();
+  });
+}
+
+/**
+ * Read a whole response body as text
+ * @param {Object} res - HTTP response
+ * @returns {Promise<string>} Response body
+ */
+function readBody(res) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => {
+      data += chunk;
+    });
+    res.on('end', () => resolve(data));
+    res.on('error', reject);
+  });
+}
+
+module.exports = {
+  sendHttpRequest,
+  readBody
+};
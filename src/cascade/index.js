@@ -5,6 +5,8 @@
 const readline = require('readline');
 const { processMessage } = require('./server');
 const { log } = require('./logger');
+const { stopAllServers } = require('./client');
+const { setClientSink } = require('./notifications');
 const config = require('./config');
 
 // Initialize the configuration
@@ -35,6 +37,9 @@ function sendNotification(notification) {
   console.log(JSON.stringify(notification));
 }
 
+// Notifications that do not answer a client message, such as upstream list changes
+setClientSink(sendNotification);
+
 // Process incoming messages
 rl.on('line', async (line) => {
   try {
@@ -58,9 +63,17 @@ rl.on('line', async (line) => {
   }
 });
 
+// Stop upstream servers once the client closes stdin, so their processes
+// don't keep us alive
+rl.on('close', () => {
+  log('Input closed, stopping upstream servers');
+  stopAllServers();
+});
+
 // Handle process exit
 process.on('exit', () => {
   log('Exiting Cascade MCP Server');
+  stopAllServers();
   rl.close();
 });
 
@@ -14,6 +14,49 @@ try {
   console.error(`Failed to initialize log file: ${e.message}`);
 }
 
+// Object keys whose values are always redacted from the log
+const SENSITIVE_KEY_PATTERN = /^(authorization|proxy-authorization|cookie|set-cookie|x-api-key|(api[-_]?)?key|(access|refresh|bearer)?[-_]?token|client[-_]?secret|password|secret)$/i;
+
+// Credential values that must never appear in the log, wherever they show up
+const secrets = new Set();
+
+// Shorter values would redact ordinary words
+const MIN_SECRET_LENGTH = 4;
+
+/**
+ * Check whether an object key or header name holds a credential
+ * @param {string} key - Key or header name
+ * @returns {boolean} True if values under this key are redacted
+ */
+function isSensitiveKey(key) {
+  return SENSITIVE_KEY_PATTERN.test(key);
+}
+
+/**
+ * Register a credential so it is redacted from every log line
+ * @param {string} value - Credential
+ * @returns {string} The same value, for chaining
+ */
+function registerSecret(value) {
+  if (typeof value === 'string' && value.length >= MIN_SECRET_LENGTH) {
+    secrets.add(value);
+  }
+  return value;
+}
+
+/**
+ * Replace registered credentials in a string
+ * @param {string} text - Text to redact
+ * @returns {string} Redacted text
+ */
+function redact(text) {
+  let result = text;
+  for (const secret of secrets) {
+    result = result.split(secret).join('[REDACTED]');
+  }
+  return result;
+}
+
 /**
  * Log function that writes to both console and log file
  * @param  {...any} args - Arguments to log
@@ -23,7 +66,9 @@ function log(...args) {
   const formattedArgs = args.map(arg => {
     if (typeof arg === 'object' && arg !== null) {
       try {
-        return JSON.stringify(arg, null, 2);
+        return JSON.stringify(arg, (key, value) => (
+          isSensitiveKey(key) && typeof value === 'string' ? '[REDACTED]' : value
+        ), 2);
       } catch (e) {
         return '[Object]';
       }
@@ -31,7 +76,7 @@ function log(...args) {
     return arg;
   });
   
-  const msg = `[${timestamp}] ${formattedArgs.join(' ')}`;
+  const msg = redact(`[${timestamp}] ${formattedArgs.join(' ')}`);
   
   try {
     // Write to log file
@@ -42,5 +87,7 @@ function log(...args) {
 }
 
 module.exports = {
-  log
+  log,
+  registerSecret,
+  isSensitiveKey
 };
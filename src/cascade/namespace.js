@@ -0,0 +1,283 @@
+/**
+ * Namespace module for the Cascade MCP Server
+ * Builds the names and URIs that upstream tools, prompts and resources are
+ * exposed under, and maps exposed names back to the server and name they
+ * came from
+ */
+const crypto = require('crypto');
+const { log } = require('./logger');
+const { getConfig } = require('./config');
+
+// Separator between the server prefix and the upstream name, unless `namespace_separator` is set
+const DEFAULT_SEPARATOR = '_';
+
+// Longest name clients accept for a tool or prompt
+const MAX_NAME_LENGTH = 64;
+
+// Characters clients accept in a tool or prompt name; others are replaced with an underscore
+const INVALID_NAME_CHARACTERS = /[^a-zA-Z0-9_-]/g;
+
+// Length of the hash that makes names unique when they are shortened or collide
+const HASH_LENGTH = 8;
+
+// Scheme of the URIs resources are listed under
+const RESOURCE_URI_SCHEME = 'mcp0-resource://';
+
+// Exposed names, keyed by list, then by exposed name: { serverName, name }
+const lookups = {
+  tools: new Map(),
+  prompts: new Map()
+};
+
+// Names the switcher uses itself, such as the core tools, keyed by list
+const reservedNames = {
+  tools: new Set(),
+  prompts: new Set()
+};
+
+/**
+ * Get the separator between the server prefix and the upstream name
+ * @param {Object} config - Server configuration
+ * @returns {string} Separator
+ */
+function getSeparator(config) {
+  const separator = config.namespace_separator;
+  if (separator === undefined) {
+    return DEFAULT_SEPARATOR;
+  }
+
+  if (typeof separator !== 'string' || separator.length === 0 || separator.replace(INVALID_NAME_CHARACTERS, '') !== separator) {
+    log(`Invalid namespace_separator ${JSON.stringify(separator)}, using ${DEFAULT_SEPARATOR}`);
+    return DEFAULT_SEPARATOR;
+  }
+  return separator;
+}
+
+/**
+ * Read what naming a server's items depends on from the config, once for a whole list
+ * @returns {Object} Object with the `separator`, the names of the `enabledServers` and the `resourcePrefixes`
+ */
+function getNamingContext() {
+  const config = getConfig();
+  return {
+    separator: getSeparator(config),
+    enabledServers: new Set(config.servers.filter(s => s.enabled).map(s => s.name)),
+    resourcePrefixes: getResourcePrefixes(config.servers)
+  };
+}
+
+/**
+ * Get the prefix that namespaces a server's tools, prompts and resources
+ * @param {Object} server - Server configuration
+ * @returns {string} Prefix, without the separator
+ */
+function getServerPrefix(server) {
+  return server.name.toLowerCase().replace(/\s+/g, '_').replace(INVALID_NAME_CHARACTERS, '_');
+}
+
+/**
+ * Get a short hash identifying a server's item
+ * @param {string} serverName - Server name
+ * @param {string} name - Upstream name, or empty for the server itself
+ * @returns {string} Hex hash
+ */
+function getNameHash(serverName, name) {
+  return crypto.createHash('sha256').update(`${serverName}\0${name}`).digest('hex').slice(0, HASH_LENGTH);
+}
+
+/**
+ * Get the prefixes resource URIs are listed under, keyed by server name
+ * Servers whose names give the same prefix, such as `Foo Bar` and `foo_bar`,
+ * are told apart by a hash of the server name on all but the first in the
+ * config, so listed URIs do not change as servers are enabled and disabled
+ * @param {Array<Object>} servers - Server configurations
+ * @returns {Map<string, string>} Prefixes, without the separator
+ */
+function getResourcePrefixes(servers) {
+  const prefixes = new Map();
+  const taken = new Set();
+  servers.forEach(server => {
+    let prefix = getServerPrefix(server);
+    if (taken.has(prefix)) {
+      log(`${server.name} collides with another server as resource prefix ${prefix}`);
+      prefix = withHash(prefix, getNameHash(server.name, ''), prefix.length + HASH_LENGTH + 1);
+    }
+    taken.add(prefix);
+    prefixes.set(server.name, prefix);
+  });
+  return prefixes;
+}
+
+/**
+ * Shorten a name to `maxLength`, ending it with a hash so it stays unique
+ * @param {string} name - Name to shorten
+ * @param {string} hash - Hash of the item the name belongs to
+ * @param {number} [maxLength] - Longest allowed length
+ * @returns {string} Name ending with the hash
+ */
+function withHash(name, hash, maxLength = MAX_NAME_LENGTH) {
+  return `${name.slice(0, maxLength - HASH_LENGTH - 1)}_${hash}`;
+}
+
+/**
+ * Check whether an exposed name is in use by anything other than an item
+ * Names of servers that are no longer enabled are free to take
+ * @param {string} list - 'tools' or 'prompts'
+ * @param {string} exposedName - Exposed name
+ * @param {string} serverName - Server the item belongs to
+ * @param {string} name - Upstream name of the item
+ * @param {Set<string>} enabledServers - Names of the enabled servers
+ * @returns {boolean} True if the name is taken
+ */
+function isTaken(list, exposedName, serverName, name, enabledServers) {
+  if (reservedNames[list].has(exposedName)) {
+    return true;
+  }
+
+  const owner = lookups[list].get(exposedName);
+  if (!owner || (owner.serverName === serverName && owner.name === name)) {
+    return false;
+  }
+  return enabledServers.has(owner.serverName);
+}
+
+/**
+ * Get the name a server's tool or prompt is exposed under, and record it
+ * Names are `<prefix><separator><name>`, with characters clients do not accept
+ * replaced. Names that are too long, or that are already taken by another
+ * server's item, are made unique with a hash of the server and upstream name.
+ * @param {string} list - 'tools' or 'prompts'
+ * @param {Object} server - Server configuration
+ * @param {string} name - Upstream name
+ * @param {Object} naming - Naming context from `getNamingContext`
+ * @returns {string} Exposed name
+ */
+function getExposedName(list, server, name, naming) {
+  const hash = getNameHash(server.name, name);
+  let exposedName = `${getServerPrefix(server)}${naming.separator}${name}`.replace(INVALID_NAME_CHARACTERS, '_');
+
+  if (exposedName.length > MAX_NAME_LENGTH) {
+    exposedName = withHash(exposedName, hash);
+  }
+
+  if (isTaken(list, exposedName, server.name, name, naming.enabledServers)) {
+    const owner = lookups[list].get(exposedName);
+    log(`${server.name} ${list} ${name} collides with ${owner ? `${owner.serverName} ${owner.name}` : 'a reserved name'} as ${exposedName}`);
+    exposedName = withHash(exposedName, hash, Math.min(MAX_NAME_LENGTH, exposedName.length + HASH_LENGTH + 1));
+  }
+
+  lookups[list].set(exposedName, { serverName: server.name, name });
+  return exposedName;
+}
+
+/**
+ * Forget the exposed names of a server's tools or prompts, before they are fetched again
+ * @param {string} list - 'tools' or 'prompts'
+ * @param {string} serverName - Server name
+ */
+function clearExposedNames(list, serverName) {
+  for (const [exposedName, owner] of lookups[list]) {
+    if (owner.serverName === serverName) {
+      lookups[list].delete(exposedName);
+    }
+  }
+}
+
+/**
+ * Reserve names the switcher exposes itself, so no server's item takes them
+ * @param {string} list - 'tools' or 'prompts'
+ * @param {Array<string>} names - Names to reserve
+ */
+function reserveNames(list, names) {
+  names.forEach(name => reservedNames[list].add(name));
+}
+
+/**
+ * Find the enabled server and upstream name behind an exposed name
+ * @param {string} list - 'tools' or 'prompts'
+ * @param {string} exposedName - Exposed name
+ * @returns {Object|null} Object with the `server` and its upstream `name`, or null
+ */
+function resolveName(list, exposedName) {
+  const owner = lookups[list].get(exposedName);
+  if (!owner) {
+    return null;
+  }
+
+  const server = getConfig().servers.find(s => s.enabled && s.name === owner.serverName);
+  return server ? { server, name: owner.name } : null;
+}
+
+/**
+ * Get the upstream name behind an exposed name, whether or not its server is enabled
+ * @param {string} list - 'tools' or 'prompts'
+ * @param {string} exposedName - Exposed name
+ * @returns {string|null} Upstream name, or null
+ */
+function getUpstreamName(list, exposedName) {
+  const owner = lookups[list].get(exposedName);
+  return owner ? owner.name : null;
+}
+
+/**
+ * Get the URI a server's resource is listed under
+ * The server's own URI is kept whole behind the server's resource prefix, so
+ * servers can use the same URIs without clashing
+ * @param {Object} server - Server configuration
+ * @param {string} uri - URI or URI template used by the server
+ * @param {Object} [naming] - Naming context from `getNamingContext`, read from the config if not given
+ * @returns {string} URI listed to the client
+ */
+function getResourceUri(server, uri, naming = getNamingContext()) {
+  const prefix = naming.resourcePrefixes.get(server.name) || getServerPrefix(server);
+  return `${RESOURCE_URI_SCHEME}${prefix}/${uri}`;
+}
+
+/**
+ * Split a listed resource URI into the server prefix and the server's own URI
+ * @param {string} uri - URI listed to the client
+ * @returns {Object|null} Object with `prefix` and `uri`, or null if it is not a listed URI
+ */
+function parseResourceUri(uri) {
+  if (typeof uri !== 'string' || !uri.startsWith(RESOURCE_URI_SCHEME)) {
+    return null;
+  }
+
+  const rest = uri.slice(RESOURCE_URI_SCHEME.length);
+  const slash = rest.indexOf('/');
+  if (slash <= 0) {
+    return null;
+  }
+
+  return { prefix: rest.slice(0, slash), uri: rest.slice(slash + 1) };
+}
+
+/**
+ * Find the enabled server and its own URI behind a listed resource URI
+ * @param {string} uri - URI listed to the client
+ * @returns {Object|null} Object with the `server` and its own `uri`, or null
+ */
+function resolveResourceUri(uri) {
+  const parsed = parseResourceUri(uri);
+  if (!parsed) {
+    return null;
+  }
+
+  const servers = getConfig().servers;
+  const prefixes = getResourcePrefixes(servers);
+  const server = servers.find(s => s.enabled && prefixes.get(s.name) === parsed.prefix);
+  return server ? { server, uri: parsed.uri } : null;
+}
+
+module.exports = {
+  MAX_NAME_LENGTH,
+  getNamingContext,
+  getServerPrefix,
+  getExposedName,
+  clearExposedNames,
+  reserveNames,
+  resolveName,
+  getUpstreamName,
+  getResourceUri,
+  resolveResourceUri
+};
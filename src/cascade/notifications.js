@@ -0,0 +1,107 @@
+/**
+ * Notifications module for the Cascade MCP Server
+ * Dispatches notifications from upstream servers to the modules that handle
+ * them, and sends notifications to the downstream client
+ */
+const { log } = require('./logger');
+const { acceptsListChanged } = require('./client-session');
+
+// Handlers for upstream notifications, keyed by method
+const upstreamHandlers = new Map();
+
+// Function that delivers notifications to the client
+let clientSink = null;
+
+// list_changed notifications waiting to be sent, coalesced per list
+const pendingListChanges = new Set();
+let listChangedTimer = null;
+
+// How long list changes are collected before the client is told
+const LIST_CHANGED_DELAY = 100;
+
+/**
+ * Set the function that delivers notifications to the client
+ * @param {Function} sink - Called with each JSON-RPC notification
+ */
+function setClientSink(sink) {
+  clientSink = sink;
+}
+
+/**
+ * Send a notification to the client
+ * @param {Object} notification - JSON-RPC notification
+ */
+function notifyClient(notification) {
+  if (!clientSink) {
+    log('No client to notify, dropping notification:', notification);
+    return;
+  }
+  clientSink(notification);
+}
+
+/**
+ * Tell the client that one of the lists it can request has changed
+ * Changes arriving close together are sent as one notification per list. A
+ * client that has not finished initializing, or was not told the list can
+ * change, is not notified; it requests the list itself once initialized.
+ * @param {string} list - 'tools', 'prompts' or 'resources'
+ */
+function notifyListChanged(list) {
+  if (!acceptsListChanged(list)) {
+    log(`Client does not accept ${list} list_changed notifications, not sending one`);
+    return;
+  }
+
+  pendingListChanges.add(list);
+
+  if (listChangedTimer) {
+    return;
+  }
+
+  listChangedTimer = setTimeout(() => {
+    listChangedTimer = null;
+    const lists = [...pendingListChanges];
+    pendingListChanges.clear();
+
+    for (const changed of lists) {
+      notifyClient({ jsonrpc: '2.0', method: `notifications/${changed}/list_changed` });
+    }
+  }, LIST_CHANGED_DELAY);
+}
+
+/**
+ * Register a handler for a notification method sent by upstream servers
+ * @param {string} method - Notification method
+ * @param {Function} handler - Called with the server configuration and the notification
+ */
+function onUpstreamNotification(method, handler) {
+  upstreamHandlers.set(method, handler);
+}
+
+/**
+ * Handle a notification received from an upstream server
+ * @param {Object} server - Server configuration
+ * @param {Object} message - JSON-RPC notification
+ * @returns {boolean} True if a handler took the notification
+ */
+function handleUpstreamNotification(server, message) {
+  const handler = upstreamHandlers.get(message.method);
+  if (!handler) {
+    return false;
+  }
+
+  try {
+    handler(server, message);
+  } catch (e) {
+    log(`Error handling ${message.method} from ${server.name}: ${e.message}`);
+  }
+  return true;
+}
+
+module.exports = {
+  setClientSink,
+  notifyClient,
+  notifyListChanged,
+  onUpstreamNotification,
+  handleUpstreamNotification
+};
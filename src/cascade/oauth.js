@@ -0,0 +1,624 @@
+/**
+ * OAuth module for the Cascade MCP Server
+ * Implements the MCP authorization flow for remote servers: protected resource
+ * metadata discovery, dynamic client registration, authorization code with PKCE,
+ * and token refresh. Tokens are stored on disk per server.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const { URL, URLSearchParams } = require('url');
+const { log, registerSecret } = require('./logger');
+const { CLIENT_INFO } = require('./protocol');
+const { getTlsOptions } = require('./tls');
+
+// Path to the token store (overridable for tests)
+const TOKENS_PATH = process.env.OAUTH_TOKENS_PATH || path.resolve(__dirname, '../../oauth-tokens.json');
+
+// Timeout for requests to authorization and resource servers
+const REQUEST_TIMEOUT = 10000;
+
+// How long a started login waits for the browser to come back
+const LOGIN_TIMEOUT = 5 * 60 * 1000;
+
+// Access tokens are refreshed this long before they expire
+const EXPIRY_MARGIN = 60 * 1000;
+
+// Logins waiting for their callback, keyed by server name
+const pendingLogins = new Map();
+
+// Token refreshes in flight, keyed by server name
+const pendingRefreshes = new Map();
+
+// Resource metadata URLs announced in WWW-Authenticate challenges, keyed by server name
+const announcedMetadata = new Map();
+
+/**
+ * Read the token store
+ * @returns {Object} Stored OAuth state keyed by server name
+ */
+function loadStore() {
+  try {
+    return JSON.parse(fs.readFileSync(TOKENS_PATH, 'utf-8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') {
+      log('Error reading OAuth token store:', e.message);
+    }
+    return {};
+  }
+}
+
+/**
+ * Write the token store
+ * @param {Object} store - Stored OAuth state keyed by server name
+ */
+function saveStore(store) {
+  try {
+    fs.writeFileSync(TOKENS_PATH, JSON.stringify(store, null, 2), { encoding: 'utf-8', mode: 0o600 });
+  } catch (e) {
+    log('Error writing OAuth token store:', e.message);
+  }
+}
+
+/**
+ * Read the stored OAuth state for a server
+ * @param {Object} server - Server configuration
+ * @returns {Object|null} Stored state
+ */
+function getServerState(server) {
+  return loadStore()[server.name] || null;
+}
+
+/**
+ * Update the stored OAuth state for a server
+ * @param {Object} server - Server configuration
+ * @param {Object|null} state - New state, or null to forget the server
+ */
+function setServerState(server, state) {
+  const store = loadStore();
+  if (state) {
+    store[server.name] = state;
+  } else {
+    delete store[server.name];
+  }
+  saveStore(store);
+}
+
+/**
+ * Check whether OAuth applies to a server
+ * Servers with static credentials never use OAuth
+ * @param {Object} server - Server configuration
+ * @returns {boolean} True if OAuth tokens may be used
+ */
+function usesOAuth(server) {
+  return !server.auth || server.auth.type === 'oauth';
+}
+
+/**
+ * Get the stored access token for a server
+ * @param {Object} server - Server configuration
+ * @returns {string|null} Access token
+ */
+function getAccessToken(server) {
+  if (!usesOAuth(server)) {
+    return null;
+  }
+
+  const state = getServerState(server);
+  const token = state && state.tokens ? state.tokens.access_token : null;
+  return token ? registerSecret(token) : null;
+}
+
+/**
+ * Send a request to an authorization or resource server
+ * The server's TLS settings apply to its authorization server as well
+ * @param {Object} server - Server configuration
+ * @param {URL|string} url - Request URL
+ * @param {Object} [options] - Request options
+ * @param {string} [options.method] - HTTP method
+ * @param {Object} [options.headers] - Request headers
+ * @param {string} [options.body] - Request body
+ * @returns {Promise<Object>} Object with `status`, `headers` and `body`
+ */
+function sendRequest(server, url, options = {}) {
+  return new Promise((resolve, reject) => {
+    const requestUrl = typeof url === 'string' ? new URL(url) : url;
+    const headers = { 'Accept': 'application/json', ...(options.headers || {}) };
+
+    if (options.body !== undefined) {
+      headers['Content-Length'] = Buffer.byteLength(options.body);
+    }
+
+    const isHttps = requestUrl.protocol === 'https:';
+    const requester = isHttps ? https : http;
+
+    const req = requester.request(requestUrl, {
+      method: options.method || 'GET',
+      headers,
+      ...(isHttps ? getTlsOptions(server) : {})
+    }, (res) => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: data }));
+      res.on('error', reject);
+    });
+
+    req.setTimeout(REQUEST_TIMEOUT, () => {
+      req.destroy(new Error(`Request to ${requestUrl.origin} timed out`));
+    });
+    req.on('error', reject);
+
+    if (options.body !== undefined) {
+      req.write(options.body);
+    }
+    req.end();
+  });
+}
+
+/**
+ * Fetch a JSON document, returning null when it does not exist
+ * @param {Object} server - Server configuration
+ * @param {URL|string} url - Document URL
+ * @returns {Promise<Object|null>} Parsed document
+ */
+async function fetchJson(server, url) {
+  const response = await sendRequest(server, url);
+  if (response.status !== 200) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(response.body);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Build well-known URLs to try for a resource or issuer, path-aware first
+ * @param {URL} base - Resource or issuer URL
+ * @param {string} suffix - Well-known suffix
+ * @returns {Array<string>} Candidate URLs
+ */
+function getWellKnownUrls(base, suffix) {
+  const pathname = base.pathname.replace(/\/$/, '');
+  const urls = [];
+
+  if (pathname) {
+    urls.push(`${base.origin}/.well-known/${suffix}${pathname}`);
+  }
+  urls.push(`${base.origin}/.well-known/${suffix}`);
+
+  return urls;
+}
+
+/**
+ * Record the challenge from a 401 response so discovery can use its metadata URL
+ * @param {Object} server - Server configuration
+ * @param {string} [header] - WWW-Authenticate header value
+ */
+function recordChallenge(server, header) {
+  const match = /resource_metadata="([^"]+)"/.exec(header || '');
+  if (match) {
+    announcedMetadata.set(server.name, match[1]);
+  }
+}
+
+/**
+ * Discover the protected resource and authorization server metadata for a server
+ * @param {Object} server - Server configuration
+ * @returns {Promise<Object>} Object with `resource` and `authorizationServer` metadata
+ */
+async function discover(server) {
+  const serverUrl = new URL(server.url);
+
+  // Protected resource metadata (RFC 9728)
+  const candidates = [
+    ...(announcedMetadata.has(server.name) ? [announcedMetadata.get(server.name)] : []),
+    ...getWellKnownUrls(serverUrl, 'oauth-protected-resource')
+  ];
+
+  let resourceMetadata = null;
+  for (const candidate of candidates) {
+    resourceMetadata = await fetchJson(server, candidate);
+    if (resourceMetadata && Array.isArray(resourceMetadata.authorization_servers)) {
+      break;
+    }
+    resourceMetadata = null;
+  }
+
+  if (!resourceMetadata) {
+    throw new Error(`No OAuth protected resource metadata found for ${server.name}`);
+  }
+
+  // Authorization server metadata (RFC 8414, falling back to OpenID Connect discovery)
+  const issuer = new URL(resourceMetadata.authorization_servers[0]);
+  const issuerCandidates = [
+    ...getWellKnownUrls(issuer, 'oauth-authorization-server'),
+    ...getWellKnownUrls(issuer, 'openid-configuration')
+  ];
+
+  let authorizationServer = null;
+  for (const candidate of issuerCandidates) {
+    authorizationServer = await fetchJson(server, candidate);
+    if (authorizationServer && authorizationServer.authorization_endpoint && authorizationServer.token_endpoint) {
+      break;
+    }
+    authorizationServer = null;
+  }
+
+  if (!authorizationServer) {
+    throw new Error(`No OAuth authorization server metadata found at ${issuer.href}`);
+  }
+
+  const methods = authorizationServer.code_challenge_methods_supported;
+  if (Array.isArray(methods) && !methods.includes('S256')) {
+    throw new Error(`Authorization server for ${server.name} does not support PKCE with S256`);
+  }
+
+  return {
+    resource: resourceMetadata.resource || server.url,
+    scopes: resourceMetadata.scopes_supported || null,
+    authorizationServer: {
+      issuer: authorizationServer.issuer || issuer.href,
+      authorization_endpoint: authorizationServer.authorization_endpoint,
+      token_endpoint: authorizationServer.token_endpoint,
+      registration_endpoint: authorizationServer.registration_endpoint || null
+    }
+  };
+}
+
+/**
+ * Register the switcher as an OAuth client (RFC 7591)
+ * @param {Object} server - Server configuration
+ * @param {Object} authorizationServer - Authorization server metadata
+ * @param {string} redirectUri - Callback URL
+ * @returns {Promise<Object>} Client registration
+ */
+async function registerClient(server, authorizationServer, redirectUri) {
+  if (!authorizationServer.registration_endpoint) {
+    throw new Error(`Authorization server for ${server.name} does not support dynamic client registration; set auth.clientId in servers.json`);
+  }
+
+  log(`Registering OAuth client for ${server.name}`);
+
+  const response = await sendRequest(server, authorizationServer.registration_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      client_name: CLIENT_INFO.name,
+      redirect_uris: [redirectUri],
+      grant_types: ['authorization_code', 'refresh_token'],
+      response_types: ['code'],
+      token_endpoint_auth_method: 'none'
+    })
+  });
+
+  if (response.status !== 200 && response.status !== 201) {
+    throw new Error(`Client registration for ${server.name} failed with HTTP ${response.status}: ${response.body}`);
+  }
+
+  const registration = JSON.parse(response.body);
+  registerSecret(registration.client_secret);
+
+  return {
+    client_id: registration.client_id,
+    client_secret: registration.client_secret || null,
+    token_endpoint_auth_method: registration.token_endpoint_auth_method || 'none',
+    redirect_uri: redirectUri
+  };
+}
+
+/**
+ * Request tokens from the token endpoint
+ * @param {Object} server - Server configuration
+ * @param {Object} state - Stored OAuth state for the server
+ * @param {Object} params - Grant parameters
+ * @returns {Promise<Object>} Tokens, with `expires_at` in milliseconds
+ */
+async function requestTokens(server, state, params) {
+  const { client, authorizationServer } = state;
+  const body = new URLSearchParams({ ...params, client_id: client.client_id, resource: state.resource });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+  if (client.client_secret) {
+    if (client.token_endpoint_auth_method === 'client_secret_basic') {
+      const credentials = `${encodeURIComponent(client.client_id)}:${encodeURIComponent(client.client_secret)}`;
+      headers['Authorization'] = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+      body.set('client_secret', client.client_secret);
+    }
+  }
+
+  const response = await sendRequest(server, authorizationServer.token_endpoint, {
+    method: 'POST',
+    headers,
+    body: body.toString()
+  });
+
+  let tokens;
+  try {
+    tokens = JSON.parse(response.body);
+  } catch (e) {
+    const error = new Error(`Invalid token response (HTTP ${response.status}): ${response.body}`);
+    error.statusCode = response.status;
+    throw error;
+  }
+
+  if (response.status !== 200 || !tokens.access_token) {
+    const error = new Error(`Token request failed: ${tokens.error || `HTTP ${response.status}`}${tokens.error_description ? ` (${tokens.error_description})` : ''}`);
+    error.statusCode = response.status;
+    error.oauthError = tokens.error || null;
+    throw error;
+  }
+
+  registerSecret(tokens.access_token);
+  registerSecret(tokens.refresh_token);
+
+  return {
+    access_token: tokens.access_token,
+    token_type: tokens.token_type || 'Bearer',
+    // Keep the old refresh token when the server does not rotate it
+    refresh_token: tokens.refresh_token || params.refresh_token || null,
+    scope: tokens.scope || null,
+    expires_at: tokens.expires_in ? Date.now() + tokens.expires_in * 1000 : null
+  };
+}
+
+/**
+ * Refresh a server's access token
+ * Concurrent callers share a single refresh
+ * @param {Object} server - Server configuration
+ * @returns {Promise<boolean>} True if a new access token was obtained
+ */
+function refreshAccessToken(server) {
+  if (pendingRefreshes.has(server.name)) {
+    return pendingRefreshes.get(server.name);
+  }
+
+  const refresh = (async () => {
+    const state = getServerState(server);
+    if (!state || !state.tokens || !state.tokens.refresh_token) {
+      return false;
+    }
+
+    log(`Refreshing OAuth access token for ${server.name}`);
+
+    try {
+      const tokens = await requestTokens(server, state, {
+        grant_type: 'refresh_token',
+        refresh_token: state.tokens.refresh_token
+      });
+      setServerState(server, { ...state, tokens });
+      log(`Refreshed OAuth access token for ${server.name}`);
+      return true;
+    } catch (error) {
+      log(`Error refreshing OAuth token for ${server.name}: ${error.message}`);
+
+      // Only a rejected refresh token needs a new login; after a timeout or a
+      // connection error the tokens are kept for the next attempt
+      if (error.oauthError === 'invalid_grant' || error.statusCode === 400 || error.statusCode === 401) {
+        setServerState(server, { ...state, tokens: null });
+      }
+      return false;
+    }
+  })();
+
+  pendingRefreshes.set(server.name, refresh);
+  refresh.finally(() => pendingRefreshes.delete(server.name));
+  return refresh;
+}
+
+/**
+ * Refresh a server's access token if it is about to expire
+ * @param {Object} server - Server configuration
+ * @returns {Promise<void>}
+ */
+async function ensureFreshToken(server) {
+  if (!usesOAuth(server)) {
+    return;
+  }
+
+  const state = getServerState(server);
+  const tokens = state && state.tokens;
+
+  if (tokens && tokens.expires_at && tokens.expires_at - EXPIRY_MARGIN < Date.now()) {
+    await refreshAccessToken(server);
+  }
+}
+
+/**
+ * Handle a 401 response from a server
+ * @param {Object} server - Server configuration
+ * @param {Object} res - HTTP response
+ * @returns {Promise<boolean>} True if the token was refreshed and the request should be retried
+ */
+async function handleUnauthorized(server, res) {
+  if (!usesOAuth(server)) {
+    return false;
+  }
+
+  recordChallenge(server, res.headers['www-authenticate']);
+  return refreshAccessToken(server);
+}
+
+/**
+ * Start the callback listener for a login
+ * @param {number} port - Port to listen on, 0 for any
+ * @returns {Promise<http.Server>} Listening server
+ */
+function listenForCallback(port) {
+  return new Promise((resolve, reject) => {
+    const callbackServer = http.createServer();
+    callbackServer.once('error', reject);
+    callbackServer.listen(port, '127.0.0.1', () => {
+      callbackServer.removeListener('error', reject);
+      resolve(callbackServer);
+    });
+  });
+}
+
+/**
+ * Start the authorization flow for a server
+ * Resolves as soon as the authorization URL is known; the returned `completion`
+ * promise settles once the browser has been redirected back and tokens are stored
+ * @param {Object} server - Server configuration
+ * @returns {Promise<Object>} Object with `authorizationUrl` and `completion`
+ */
+async function startLogin(server) {
+  if (!usesOAuth(server)) {
+    throw new Error(`Server ${server.name} is configured with ${server.auth.type} credentials, not OAuth`);
+  }
+
+  if (pendingLogins.has(server.name)) {
+    return pendingLogins.get(server.name);
+  }
+
+  const options = server.auth || {};
+  const previous = getServerState(server);
+  const discovered = await discover(server);
+
+  // Reuse the registered redirect port so the stored client stays valid
+  let previousPort = 0;
+  if (previous && previous.client && previous.client.redirect_uri) {
+    previousPort = Number(new URL(previous.client.redirect_uri).port);
+  }
+
+  let callbackServer;
+  try {
+    callbackServer = await listenForCallback(options.redirectPort || previousPort || 0);
+  } catch (e) {
+    if (options.redirectPort) {
+      throw e;
+    }
+    callbackServer = await listenForCallback(0);
+  }
+
+  const redirectUri = `http://127.0.0.1:${callbackServer.address().port}/callback`;
+
+  let client;
+  try {
+    if (options.clientId) {
+      client = {
+        client_id: options.clientId,
+        client_secret: options.clientSecret || null,
+        token_endpoint_auth_method: options.clientSecret ? 'client_secret_post' : 'none',
+        redirect_uri: redirectUri
+      };
+      registerSecret(client.client_secret);
+    } else if (previous && previous.client && previous.client.redirect_uri === redirectUri &&
+               previous.authorizationServer.issuer === discovered.authorizationServer.issuer) {
+      client = previous.client;
+    } else {
+      client = await registerClient(server, discovered.authorizationServer, redirectUri);
+    }
+  } catch (e) {
+    callbackServer.close();
+    throw e;
+  }
+
+  const state = {
+    resource: discovered.resource,
+    authorizationServer: discovered.authorizationServer,
+    client,
+    tokens: previous ? previous.tokens : null
+  };
+  setServerState(server, state);
+
+  // PKCE (RFC 7636) with S256
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  const loginState = crypto.randomBytes(16).toString('base64url');
+
+  const authorizationUrl = new URL(discovered.authorizationServer.authorization_endpoint);
+  authorizationUrl.searchParams.set('response_type', 'code');
+  authorizationUrl.searchParams.set('client_id', client.client_id);
+  authorizationUrl.searchParams.set('redirect_uri', redirectUri);
+  authorizationUrl.searchParams.set('code_challenge', codeChallenge);
+  authorizationUrl.searchParams.set('code_challenge_method', 'S256');
+  authorizationUrl.searchParams.set('state', loginState);
+  authorizationUrl.searchParams.set('resource', discovered.resource);
+
+  const scope = options.scope || (discovered.scopes ? discovered.scopes.join(' ') : null);
+  if (scope) {
+    authorizationUrl.searchParams.set('scope', scope);
+  }
+
+  const completion = new Promise((resolve, reject) => {
+    const finish = (error) => {
+      clearTimeout(timer);
+      callbackServer.close();
+      pendingLogins.delete(server.name);
+      if (error) {
+        log(`OAuth login for ${server.name} failed: ${error.message}`);
+        reject(error);
+      } else {
+        log(`OAuth login for ${server.name} completed`);
+        resolve();
+      }
+    };
+
+    const timer = setTimeout(() => {
+      finish(new Error(`Timed out waiting for the OAuth callback for ${server.name}`));
+    }, LOGIN_TIMEOUT);
+    timer.unref();
+
+    callbackServer.on('request', (req, res) => {
+      const callbackUrl = new URL(req.url, redirectUri);
+
+      if (callbackUrl.pathname !== '/callback') {
+        res.writeHead(404).end();
+        return;
+      }
+
+      const params = callbackUrl.searchParams;
+      if (params.get('state') !== loginState) {
+        res.writeHead(400, { 'Content-Type': 'text/plain' }).end('Invalid state');
+        return;
+      }
+
+      if (params.get('error')) {
+        res.writeHead(400, { 'Content-Type': 'text/plain' }).end(`Authorization failed: ${params.get('error')}`);
+        finish(new Error(`Authorization failed: ${params.get('error')}${params.get('error_description') ? ` (${params.get('error_description')})` : ''}`));
+        return;
+      }
+
+      requestTokens(server, state, {
+        grant_type: 'authorization_code',
+        code: params.get('code'),
+        redirect_uri: redirectUri,
+        code_verifier: codeVerifier
+      })
+        .then(tokens => {
+          setServerState(server, { ...state, tokens });
+          res.writeHead(200, { 'Content-Type': 'text/plain' }).end(`Signed in to ${server.name}. You can close this window.`);
+          finish();
+        })
+        .catch(error => {
+          res.writeHead(500, { 'Content-Type': 'text/plain' }).end(`Sign-in failed: ${error.message}`);
+          finish(error);
+        });
+    });
+  });
+
+  // Callers that only need the URL should not see unhandled rejections
+  completion.catch(() => {});
+
+  const login = { authorizationUrl: authorizationUrl.href, completion };
+  pendingLogins.set(server.name, login);
+
+  log(`Started OAuth login for ${server.name}, waiting for callback on ${redirectUri}`);
+  return login;
+}
+
+module.exports = {
+  getAccessToken,
+  ensureFreshToken,
+  handleUnauthorized,
+  startLogin
+};
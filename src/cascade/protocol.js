@@ -0,0 +1,70 @@
+/**
+ * Protocol module for the Cascade MCP Server
+ * Shared MCP protocol constants and version negotiation, for both the client
+ * and the upstream servers
+ */
+const { getForwardedCapabilities } = require('./upstream-requests');
+
+// Published protocol revisions the switcher speaks, newest first
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-11-25', '2025-06-18', '2025-03-26', '2024-11-05'];
+
+// Protocol revision requested from upstream servers
+const PROTOCOL_VERSION = SUPPORTED_PROTOCOL_VERSIONS[0];
+
+// Identity the switcher presents to upstream servers
+const CLIENT_INFO = {
+  name: 'auto-tool-switcher',
+  version: '1.0.0'
+};
+
+/**
+ * Build the params for an upstream initialize request
+ * The capabilities are those of the client that requests can be forwarded to
+ * @returns {Object} Initialize params
+ */
+function getUpstreamInitializeParams() {
+  return {
+    protocolVersion: PROTOCOL_VERSION,
+    capabilities: getForwardedCapabilities(),
+    clientInfo: CLIENT_INFO
+  };
+}
+
+/**
+ * Pick the protocol revision to use with a client
+ * The client's revision is used when supported, otherwise the newest one is
+ * offered and the client decides whether to continue
+ * @param {string} [requested] - Revision requested by the client
+ * @returns {string} Protocol revision
+ */
+function negotiateProtocolVersion(requested) {
+  return SUPPORTED_PROTOCOL_VERSIONS.includes(requested) ? requested : PROTOCOL_VERSION;
+}
+
+/**
+ * Check an upstream server's initialize response
+ * @param {Object} server - Server configuration
+ * @param {Object} response - JSON-RPC response
+ * @returns {Object} Initialize result
+ */
+function checkInitializeResponse(server, response) {
+  if (response.error) {
+    throw new Error(`Initialize failed for ${server.name}: ${response.error.message}`);
+  }
+
+  const { protocolVersion } = response.result;
+  if (!SUPPORTED_PROTOCOL_VERSIONS.includes(protocolVersion)) {
+    throw new Error(`Server ${server.name} uses unsupported protocol version ${protocolVersion}`);
+  }
+
+  return response.result;
+}
+
+module.exports = {
+  SUPPORTED_PROTOCOL_VERSIONS,
+  PROTOCOL_VERSION,
+  CLIENT_INFO,
+  getUpstreamInitializeParams,
+  negotiateProtocolVersion,
+  checkInitializeResponse
+};
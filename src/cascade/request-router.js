@@ -0,0 +1,276 @@
+/**
+ * Request router for the Cascade MCP Server
+ * Assigns the JSON-RPC ids used for requests to upstream servers, tracks the
+ * requests until they are answered or time out, and maps responses back to
+ * the id of the client request they were made for
+ */
+const { log } = require('./logger');
+
+// Requests waiting for a response, keyed by upstream id
+const pending = new Map();
+
+// Next upstream id; shared by all upstreams so ids are never reused while in flight
+let nextId = 1;
+
+// Number of requests each session's server is waiting on the client for, keyed by session
+const holds = new Map();
+
+/**
+ * Start tracking a request to an upstream server
+ * @param {Object} owner - Session or connection the request is sent over
+ * @param {string} method - JSON-RPC method
+ * @param {Object} options - Request options
+ * @param {number} options.timeout - Timeout in milliseconds
+ * @param {string|number} [options.clientId] - Id of the client request being forwarded
+ * @param {Function} [options.onCancel] - Tells the upstream to stop, called with the upstream id and reason
+ * @param {string|number} [options.progressToken] - Progress token sent with the request
+ * @param {Function} [options.onProgress] - Called with the params of each progress notification
+ * @param {Function} [options.isCancelled] - Returns true once the client has cancelled, see `throwIfCancelled`
+ * @returns {Object} Object with the upstream `id` and a `response` promise
+ */
+function createRequest(owner, method, options) {
+  const id = nextId++;
+
+  const response = new Promise((resolve, reject) => {
+    const request = {
+      owner,
+      method,
+      clientId: options.clientId,
+      onCancel: options.onCancel,
+      progressToken: options.progressToken,
+      onProgress: options.onProgress,
+      timeout: options.timeout,
+      resolve,
+      reject,
+      timer: null
+    };
+
+    startTimer(id, request);
+    pending.set(id, request);
+  });
+
+  if (options.clientId !== undefined) {
+    log(`Forwarding request ${options.clientId} to ${owner.server.name} as ${id} (${method})`);
+  }
+
+  return { id, response };
+}
+
+/**
+ * Start, or start over, the timeout of a pending request
+ * A request that times out is cancelled on the upstream, except for `initialize`
+ * which must not be cancelled. No timeout runs while the upstream is waiting
+ * on the client.
+ * @param {number} id - Upstream id
+ * @param {Object} request - Pending request
+ */
+function startTimer(id, request) {
+  clearTimeout(request.timer);
+  if (holds.has(request.owner)) {
+    request.timer = null;
+    return;
+  }
+
+  request.timer = setTimeout(() => {
+    pending.delete(id);
+    request.reject(new Error(`Timeout waiting for response from ${request.owner.server.name}`));
+
+    if (request.onCancel && request.method !== 'initialize') {
+      try {
+        request.onCancel(id, 'Request timed out');
+      } catch (e) {
+        log(`Error cancelling request ${id} to ${request.owner.server.name}: ${e.message}`);
+      }
+    }
+  }, request.timeout);
+}
+
+/**
+ * Settle the request a response belongs to
+ * Responses carry the id of the client request when there is one
+ * @param {Object} owner - Session or connection the response arrived on
+ * @param {Object} message - JSON-RPC response
+ * @returns {boolean} True if the response matched a pending request
+ */
+function resolveResponse(owner, message) {
+  const request = pending.get(message.id);
+  if (!request || request.owner !== owner) {
+    return false;
+  }
+
+  pending.delete(message.id);
+  clearTimeout(request.timer);
+  request.resolve(request.clientId !== undefined ? { ...message, id: request.clientId } : message);
+  return true;
+}
+
+/**
+ * Relay a progress notification to the request it belongs to
+ * Progress shows the upstream is still working, so the request's timeout starts over
+ * @param {Object} owner - Session or connection the notification arrived on
+ * @param {Object} message - `notifications/progress` message
+ * @returns {boolean} True if the notification matched a pending request
+ */
+function handleProgress(owner, message) {
+  const token = message.params ? message.params.progressToken : undefined;
+  if (token === undefined) {
+    return false;
+  }
+
+  for (const [id, request] of pending) {
+    if (request.owner !== owner || request.progressToken !== token) {
+      continue;
+    }
+
+    startTimer(id, request);
+    if (request.onProgress) {
+      request.onProgress(message.params);
+    }
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Fail a pending request
+ * Has no effect when the request has already been settled
+ * @param {number} id - Upstream id
+ * @param {Error} error - Cause
+ */
+function rejectRequest(id, error) {
+  const request = pending.get(id);
+  if (!request) {
+    return;
+  }
+
+  pending.delete(id);
+  clearTimeout(request.timer);
+  request.reject(error);
+}
+
+/**
+ * Fail all pending requests sent over a session or connection
+ * @param {Object} owner - Session or connection
+ * @param {Error} error - Cause
+ */
+function rejectAll(owner, error) {
+  for (const [id, request] of pending) {
+    if (request.owner === owner) {
+      rejectRequest(id, error);
+    }
+  }
+}
+
+/**
+ * Cancel the upstream requests made for a client request
+ * The upstream is told to stop, and the requests fail with an error marked
+ * `cancelled`; a response arriving afterwards is ignored
+ * @param {string|number} clientId - Id of the client request
+ * @param {string} [reason] - Reason given by the client
+ * @returns {boolean} True if a pending request was cancelled
+ */
+function cancelRequest(clientId, reason) {
+  let found = false;
+
+  for (const [id, request] of pending) {
+    if (request.clientId === undefined || request.clientId !== clientId) {
+      continue;
+    }
+    found = true;
+
+    log(`Cancelling request ${id} to ${request.owner.server.name} for client request ${clientId}`);
+    const error = new Error(`Request ${clientId} was cancelled`);
+    error.cancelled = true;
+    rejectRequest(id, error);
+
+    if (request.onCancel) {
+      try {
+        request.onCancel(id, reason);
+      } catch (e) {
+        log(`Error cancelling request ${id} to ${request.owner.server.name}: ${e.message}`);
+      }
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Fail a request before it is sent if its client request was cancelled meanwhile
+ * Covers cancellations that arrive while a session is still starting up,
+ * before the request is tracked and `cancelRequest` could find it
+ * @param {Object} options - Request options
+ * @param {string|number} [options.clientId] - Id of the client request
+ * @param {Function} [options.isCancelled] - Returns true once the client has cancelled
+ */
+function throwIfCancelled(options) {
+  if (options.isCancelled && options.isCancelled()) {
+    const error = new Error(`Request ${options.clientId} was cancelled`);
+    error.cancelled = true;
+    throw error;
+  }
+}
+
+/**
+ * Stop the timeouts of the requests sent over a session while its server waits
+ * for the client, for example for a sampled message during a tool call
+ * Holds are counted, so every call must be matched by `releaseTimeouts`
+ * @param {Object} owner - Session or connection
+ */
+function holdTimeouts(owner) {
+  holds.set(owner, (holds.get(owner) || 0) + 1);
+
+  for (const [id, request] of pending) {
+    if (request.owner === owner) {
+      startTimer(id, request);
+    }
+  }
+}
+
+/**
+ * Release a hold taken with `holdTimeouts`
+ * Once the last hold is released, the session's requests get their full timeout again
+ * @param {Object} owner - Session or connection
+ */
+function releaseTimeouts(owner) {
+  const count = (holds.get(owner) || 0) - 1;
+  if (count > 0) {
+    holds.set(owner, count);
+    return;
+  }
+
+  holds.delete(owner);
+  for (const [id, request] of pending) {
+    if (request.owner === owner) {
+      startTimer(id, request);
+    }
+  }
+}
+
+/**
+ * Build the notification that tells an upstream to stop working on a request
+ * @param {number} id - Upstream id
+ * @param {string} [reason] - Reason given by the client
+ * @returns {Object} JSON-RPC notification
+ */
+function getCancelNotification(id, reason) {
+  return {
+    jsonrpc: '2.0',
+    method: 'notifications/cancelled',
+    params: reason ? { requestId: id, reason } : { requestId: id }
+  };
+}
+
+module.exports = {
+  createRequest,
+  resolveResponse,
+  handleProgress,
+  rejectRequest,
+  rejectAll,
+  cancelRequest,
+  throwIfCancelled,
+  holdTimeouts,
+  releaseTimeouts,
+  getCancelNotification
+};
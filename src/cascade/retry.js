@@ -0,0 +1,103 @@
+/**
+ * Retry module for the Cascade MCP Server
+ * Resolves the timeout and retry settings for upstream requests from
+ * servers.json and retries failed requests with exponential backoff
+ */
+const { log } = require('./logger');
+
+// Timeout for upstream requests without a configured `timeoutMs`
+const DEFAULT_TIMEOUT = 5000;
+
+// Retry settings used where `retry` is not configured: a single attempt
+const DEFAULT_RETRY = {
+  maxAttempts: 1,
+  initialDelayMs: 250,
+  maxDelayMs: 5000
+};
+
+/**
+ * Get the timeout and retry settings for a request to a server
+ * Settings under `tools.<toolName>` override the server's own
+ * @param {Object} server - Server configuration
+ * @param {string} [toolName] - Upstream name of the tool being called
+ * @returns {Object} Policy with `timeoutMs`, `maxAttempts`, `initialDelayMs` and `maxDelayMs`
+ */
+function getPolicy(server, toolName) {
+  const toolConfig = (toolName && server.tools && server.tools[toolName]) || {};
+
+  return {
+    timeoutMs: toolConfig.timeoutMs || server.timeoutMs || DEFAULT_TIMEOUT,
+    ...DEFAULT_RETRY,
+    ...(server.retry || {}),
+    ...(toolConfig.retry || {})
+  };
+}
+
+/**
+ * Check whether a failed request may be sent again
+ * Cancelled requests, and requests the server rejected as a client error,
+ * would fail the same way again
+ * @param {Error} error - Failure
+ * @returns {boolean} True if the failure may be transient
+ */
+function isRetryable(error) {
+  if (error.cancelled) {
+    return false;
+  }
+  if (error.statusCode && error.statusCode < 500 && error.statusCode !== 429) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Get the delay before the next attempt: exponential backoff with jitter
+ * @param {Object} policy - Retry policy
+ * @param {number} attempt - Number of the attempt that failed, starting at 1
+ * @returns {number} Delay in milliseconds
+ */
+function getBackoffDelay(policy, attempt) {
+  const backoff = Math.min(policy.initialDelayMs * 2 ** (attempt - 1), policy.maxDelayMs);
+  return Math.round(backoff / 2 + Math.random() * backoff / 2);
+}
+
+/**
+ * Run a request, retrying transient failures according to a policy
+ * The final error reports how many attempts were made
+ * @param {Object} server - Server configuration
+ * @param {string} description - What is being requested, for log messages
+ * @param {Object} policy - Retry policy
+ * @param {Function} attemptRequest - Sends the request once, returns a promise of the response
+ * @param {Function} [isCancelled] - Stops further attempts once it returns true
+ * @returns {Promise<Object>} JSON-RPC response
+ */
+async function withRetry(server, description, policy, attemptRequest, isCancelled = () => false) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await attemptRequest();
+    } catch (error) {
+      const canRetry = attempt < policy.maxAttempts && isRetryable(error) && !isCancelled();
+
+      // The error can be shared by every request that failed with a session,
+      // so the attempt count goes on a new error that keeps its properties
+      if (!canRetry) {
+        const failure = new Error(`${error.message} (${attempt} attempt${attempt === 1 ? '' : 's'})`, { cause: error });
+        throw Object.assign(failure, error, { attempts: attempt });
+      }
+
+      const delay = getBackoffDelay(policy, attempt);
+      log(`${description} to ${server.name} failed on attempt ${attempt} of ${policy.maxAttempts}: ${error.message}, retrying in ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+
+      if (isCancelled()) {
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = {
+  getPolicy,
+  isRetryable,
+  withRetry
+};
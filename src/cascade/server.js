@@ -4,21 +4,169 @@
  */
 const { log } = require('./logger');
 const { getConfig } = require('./config');
-const { forwardToolCall, startEnabledServers } = require('./client');
+const {
+  forwardToolCall,
+  cancelToolCall,
+  getPromptFromServer,
+  readResourceFromServer,
+  completeOnServer,
+  notifyServer,
+  startEnabledServers,
+  getUpstreamCapabilities
+} = require('./client');
+const { subscribe, unsubscribe } = require('./subscriptions');
+const { isLogLevel, setLogLevel } = require('./upstream-logging');
+const { resolveResourceUri } = require('./namespace');
+const { isToolAllowed } = require('./tool-filters');
+const { negotiateProtocolVersion } = require('./protocol');
+const { startClientSession, setServerCapabilities, markClientInitialized } = require('./client-session');
+const { handleClientResponse } = require('./upstream-requests');
 const { 
   handleServersList, 
   handleServersEnable, 
   handleServersDisable, 
-  handleRefreshTools,
-  fetchToolsFromEnabledServers
+  handleServersLogin,
+  handleToolsEnable,
+  handleToolsDisable,
+  handleToolsSearch,
+  handleRefreshTools
 } = require('./tools');
 const {
-  getCoreTools,
-  getAllTools
+  listTools,
+  fetchPromptsFromEnabledServers,
+  fetchResourcesFromEnabledServers,
+  fetchResourceTemplatesFromEnabledServers,
+  findTool,
+  findPrompt,
+  recordServerUse,
+  refreshLists,
+  recordListedTools,
+  recordListed
 } = require('./tools-manager');
 
-// Start enabled servers on module load
-let serversStarted = false;
+// Startup of the enabled servers, begun by the first initialize: `connected` once
+// their initialize handshakes are done, `ready` once their tools are fetched as well
+let serversStartup = null;
+
+// How long initialize waits for startup without `ready_timeout_ms` (30 seconds)
+const DEFAULT_READY_TIMEOUT = 30000;
+
+// Forwarded tool calls still waiting for their server, keyed by message ID
+const forwardedCalls = new Map();
+
+/**
+ * Build the capabilities announced to the client
+ * Tools are always offered; prompts, resources, completions and logging are
+ * offered when an enabled server that is already connected offers them
+ * @returns {Object} Server capabilities
+ */
+function getServerCapabilities() {
+  const config = getConfig();
+  const upstream = getUpstreamCapabilities(config.servers.filter(s => s.enabled));
+  const capabilities = {
+    tools: { listChanged: true }
+  };
+
+  if (upstream.some(c => c.prompts)) {
+    capabilities.prompts = { listChanged: true };
+  }
+  if (upstream.some(c => c.resources)) {
+    capabilities.resources = { listChanged: true };
+    if (upstream.some(c => c.resources && c.resources.subscribe)) {
+      capabilities.resources.subscribe = true;
+    }
+  }
+  if (upstream.some(c => c.completions)) {
+    capabilities.completions = {};
+  }
+  if (upstream.some(c => c.logging)) {
+    capabilities.logging = {};
+  }
+
+  return capabilities;
+}
+
+/**
+ * Start the enabled servers and fetch their tools, once
+ * @returns {Object} Object with the `connected` and `ready` promises of the startup
+ */
+function startServers() {
+  if (serversStartup) {
+    return serversStartup;
+  }
+  
+  const config = getConfig();
+  log('Starting enabled servers automatically...');
+  
+  const connected = startEnabledServers(config.servers)
+    .then(results => {
+      log('Server startup results:', results);
+    })
+    .catch(error => {
+      log('Error starting servers:', error);
+    });
+  
+  // Fetch the started servers' tools and prompts, telling the client if its lists changed
+  const ready = connected
+    .then(() => refreshLists())
+    .then(() => {
+      log('Startup complete');
+    })
+    .catch(error => {
+      log('Error fetching lists after startup:', error);
+    });
+  
+  serversStartup = { connected, ready };
+  return serversStartup;
+}
+
+/**
+ * Wait for a stage of the enabled servers' startup
+ * Gives up after `ready_timeout_ms`, answering with whatever is ready by then
+ * @param {Promise} stage - Stage of the startup to wait for
+ * @param {string} what - What the stage is, for log messages
+ */
+async function waitForStartup(stage, what) {
+  const config = getConfig();
+  const timeout = config.ready_timeout_ms || DEFAULT_READY_TIMEOUT;
+  log(`Waiting up to ${timeout}ms for enabled servers to be ${what}`);
+  
+  let timer;
+  const deadline = new Promise(resolve => {
+    timer = setTimeout(() => {
+      log(`Enabled servers not ${what} after ${timeout}ms, continuing`);
+      resolve();
+    }, timeout);
+  });
+  await Promise.race([stage, deadline]);
+  clearTimeout(timer);
+}
+
+/**
+ * Send the response to a request forwarded to a server, or an error if forwarding failed
+ * @param {Promise<Object>} request - Forwarded request, resolving to a response with the client's message ID
+ * @param {Object} server - Server configuration
+ * @param {Object} message - JSON-RPC message from the client
+ * @param {Function} sendResponse - Function to send response
+ */
+function relayResponse(request, server, message, sendResponse) {
+  request
+    .then(response => {
+      log(`Received ${message.method} response from ${server.name}`);
+      sendResponse(response);
+    })
+    .catch(error => {
+      log(`Error forwarding ${message.method} to ${server.name}:`, error);
+      sendResponse({
+        jsonrpc: '2.0',
+        error: {
+          code: -32603,
+          message: `Error forwarding request to ${server.name}: ${error.message}`
+        },
+        id: message.id
+      });
+    });
+}
 
 /**
  * Process incoming JSON-RPC message
@@ -38,113 +186,245 @@ async function processMessage(message, sendResponse, sendNotification) {
     });
   }
   
+  // Answers to requests forwarded from upstream servers, such as sampling/createMessage
+  if (message.method === undefined && message.id !== undefined) {
+    if (!handleClientResponse(message)) {
+      log(`Ignoring response ${message.id} that matches no forwarded request`);
+    }
+    return;
+  }
+  
   // Handle initialization
   if (message.method === 'initialize') {
     log('Handling initialize request');
     
-    // Start enabled servers if not already started
-    if (!serversStarted) {
-      const config = getConfig();
-      log('Starting enabled servers automatically...');
-      
-      startEnabledServers(config.servers)
-        .then(results => {
-          serversStarted = true;
-          log('Server startup results:', results);
-          
-          // Send notification about started servers
-          sendNotification({
-            jsonrpc: '2.0',
-            method: 'update/tools',
-            params: {
-              message: `Started ${results.filter(r => r.success).length} enabled MCP servers`
-            }
-          });
-          
-          // Refresh tools after servers are started
-          fetchToolsFromEnabledServers()
-            .then(tools => {
-              log(`Fetched ${tools.length} tools from enabled servers after startup`);
-              
-              // Send update/tools notification
-              sendNotification({
-                jsonrpc: '2.0',
-                method: 'update/tools',
-                params: {
-                  message: `Updated tool list with ${tools.length} tools from enabled servers`
-                }
-              });
-            })
-            .catch(error => {
-              log('Error fetching tools after server startup:', error);
-            });
-        })
-        .catch(error => {
-          log('Error starting servers:', error);
-        });
+    // Record the client first, so the servers started now are offered what it supports
+    const protocolVersion = negotiateProtocolVersion(message.params?.protocolVersion);
+    startClientSession(protocolVersion, message.params);
+    
+    // Start enabled servers if not already started. Their capabilities are only
+    // known once they have connected, and cannot be announced later, so the
+    // handshakes are waited for; with `wait_for_ready` their tools are as well
+    const startup = startServers();
+    if (getConfig().wait_for_ready) {
+      await waitForStartup(startup.ready, 'ready');
+    } else {
+      await waitForStartup(startup.connected, 'connected');
     }
     
+    // Capabilities depend on the servers that are connected by now
+    const capabilities = getServerCapabilities();
+    setServerCapabilities(capabilities);
+    
     return sendResponse({
       jsonrpc: '2.0',
       result: {
+        protocolVersion,
+        capabilities,
         serverInfo: {
           name: 'Auto Tool Switcher',
           version: '1.0.0'
-        },
-        capabilities: {
-          tools: {
-            supported: true
-          }
         }
       },
       id: message.id
     });
   }
   
+  // The client has finished initializing; notifications get no response
+  if (message.method === 'notifications/initialized') {
+    markClientInitialized();
+    return;
+  }
+  
+  // Answer the client's ping, at any time
+  if (message.method === 'ping') {
+    return sendResponse({ jsonrpc: '2.0', result: {}, id: message.id });
+  }
+  
+  // Handle logging/setLevel, passing the level on to the servers that offer logging
+  if (message.method === 'logging/setLevel') {
+    const level = message.params?.level;
+    log(`Handling logging/setLevel request: ${level}`);
+    
+    if (!isLogLevel(level)) {
+      return sendResponse({
+        jsonrpc: '2.0',
+        error: {
+          code: -32602,
+          message: `Unknown log level: ${level}`
+        },
+        id: message.id
+      });
+    }
+    
+    await setLogLevel(level, message.id);
+    return sendResponse({ jsonrpc: '2.0', result: {}, id: message.id });
+  }
+  
   // Handle tools/list
   if (message.method === 'tools/list') {
     log('Handling tools/list request');
     
-    // Get all tools (core + server) using the tools manager
-    getAllTools()
-      .then(allTools => {
-        // Send update/tools notification
-        sendNotification({
-          jsonrpc: '2.0',
-          method: 'update/tools',
-          params: {
-            message: `Updated tool list with ${allTools.length - getCoreTools().length} tools from enabled servers`
-          }
-        });
-      })
-      .catch(error => {
-        log('Error fetching tools from servers:', error);
-      });
-    
-    // Get the current tools (may be from cache)
-    const coreTools = getCoreTools();
-    let serverTools = [];
+    // Wait for the servers' tools, up to a deadline; slow servers follow with list_changed
+    const { tools, pending } = await listTools();
+    log(`Returning ${tools.length} tools${pending.length > 0 ? `, still waiting for ${pending.join(', ')}` : ''}`);
+    recordListedTools(tools);
     
-    // Try to get server tools immediately (may be cached)
-    fetchToolsFromEnabledServers()
-      .then(tools => {
-        serverTools = tools;
-      })
-      .catch(() => {});
+    return sendResponse({
+      jsonrpc: '2.0',
+      result: {
+        tools,
+        ...(pending.length > 0 ? { _meta: { partial: true, pending_servers: pending } } : {})
+      },
+      id: message.id
+    });
+  }
+  
+  // Handle prompts/list
+  if (message.method === 'prompts/list') {
+    log('Handling prompts/list request');
     
-    // Combine core tools with any server tools we might already have
-    const allTools = [...coreTools, ...serverTools];
-    log(`Returning ${allTools.length} tools (${coreTools.length} core + ${serverTools.length} from servers)`);
+    const prompts = await fetchPromptsFromEnabledServers();
+    log(`Returning ${prompts.length} prompts`);
+    recordListed('prompts', prompts);
     
     return sendResponse({
       jsonrpc: '2.0',
       result: {
-        tools: allTools
+        prompts
       },
       id: message.id
     });
   }
   
+  // Handle prompts/get, forwarding it to the server that owns the prompt
+  if (message.method === 'prompts/get') {
+    const promptName = message.params?.name;
+    log(`Handling prompts/get request for: ${promptName}`);
+    
+    const owner = promptName ? await findPrompt(promptName) : null;
+    if (!owner) {
+      return sendResponse({
+        jsonrpc: '2.0',
+        error: {
+          code: -32602,
+          message: `Unknown prompt: ${promptName}`
+        },
+        id: message.id
+      });
+    }
+    
+    const request = getPromptFromServer(owner.server, owner.promptName, message.params?.arguments || {}, message.id);
+    return relayResponse(request, owner.server, message, sendResponse);
+  }
+  
+  // Handle resources/list and resources/templates/list
+  if (message.method === 'resources/list' || message.method === 'resources/templates/list') {
+    log(`Handling ${message.method} request`);
+    
+    const isTemplates = message.method === 'resources/templates/list';
+    const items = isTemplates
+      ? await fetchResourceTemplatesFromEnabledServers()
+      : await fetchResourcesFromEnabledServers();
+    log(`Returning ${items.length} ${isTemplates ? 'resource templates' : 'resources'}`);
+    recordListed(isTemplates ? 'resourceTemplates' : 'resources', items);
+    
+    return sendResponse({
+      jsonrpc: '2.0',
+      result: isTemplates ? { resourceTemplates: items } : { resources: items },
+      id: message.id
+    });
+  }
+  
+  // Handle resources/read, resources/subscribe and resources/unsubscribe, forwarding
+  // them to the server that owns the resource under its own URI
+  if (['resources/read', 'resources/subscribe', 'resources/unsubscribe'].includes(message.method)) {
+    const uri = message.params?.uri;
+    log(`Handling ${message.method} request for: ${uri}`);
+    
+    const owner = resolveResourceUri(uri);
+    if (!owner) {
+      return sendResponse({
+        jsonrpc: '2.0',
+        error: {
+          code: -32602,
+          message: `Unknown resource: ${uri}`
+        },
+        id: message.id
+      });
+    }
+    
+    const forward = {
+      'resources/read': readResourceFromServer,
+      'resources/subscribe': subscribe,
+      'resources/unsubscribe': unsubscribe
+    }[message.method];
+    return relayResponse(forward(owner.server, owner.uri, message.id), owner.server, message, sendResponse);
+  }
+  
+  // Handle completion/complete, forwarding it to the server that owns the
+  // prompt or resource template with the reference in the server's own names
+  if (message.method === 'completion/complete') {
+    const ref = message.params?.ref || {};
+    log(`Handling completion/complete request for: ${ref.name || ref.uri}`);
+    
+    let owner = null;
+    let upstreamRef = null;
+    if (ref.type === 'ref/prompt' && ref.name) {
+      const prompt = await findPrompt(ref.name);
+      if (prompt) {
+        owner = prompt.server;
+        upstreamRef = { ...ref, name: prompt.promptName };
+      }
+    } else if (ref.type === 'ref/resource') {
+      const resource = resolveResourceUri(ref.uri);
+      if (resource) {
+        owner = resource.server;
+        upstreamRef = { ...ref, uri: resource.uri };
+      }
+    }
+    
+    if (!owner) {
+      return sendResponse({
+        jsonrpc: '2.0',
+        error: {
+          code: -32602,
+          message: `Unknown completion reference: ${ref.name || ref.uri}`
+        },
+        id: message.id
+      });
+    }
+    
+    const request = completeOnServer(owner, upstreamRef, message.params.argument, message.params.context, message.id);
+    return relayResponse(request, owner, message, sendResponse);
+  }
+  
+  // Pass the client's roots changes on to the servers that are connected
+  if (message.method === 'notifications/roots/list_changed') {
+    log('Client roots changed, telling the connected servers');
+    
+    for (const server of getConfig().servers.filter(s => s.enabled)) {
+      notifyServer(server, message).catch(error => {
+        log(`Error sending roots change to ${server.name}: ${error.message}`);
+      });
+    }
+    return;
+  }
+  
+  // Handle cancellation of a forwarded tool call
+  if (message.method === 'notifications/cancelled') {
+    const requestId = message.params?.requestId;
+    const call = forwardedCalls.get(requestId);
+    
+    // Requests that already completed, or were never forwarded, are ignored
+    if (call) {
+      log(`Client cancelled request ${requestId}`);
+      call.cancelled = true;
+      cancelToolCall(requestId, message.params?.reason);
+    }
+    return;
+  }
+  
   // Handle tools/call
   if (message.method === 'tools/call') {
     log('Handling tools/call request');
@@ -166,47 +446,94 @@ async function processMessage(message, sendResponse, sendNotification) {
       return handleServersDisable(message, toolParams, sendResponse, sendNotification);
     }
     
+    if (toolName === 'mcp0_servers_login') {
+      return handleServersLogin(message, toolParams, sendResponse, sendNotification);
+    }
+    
+    if (toolName === 'mcp0_tools_enable') {
+      return handleToolsEnable(message, toolParams, sendResponse, sendNotification);
+    }
+    
+    if (toolName === 'mcp0_tools_disable') {
+      return handleToolsDisable(message, toolParams, sendResponse, sendNotification);
+    }
+    
+    if (toolName === 'mcp0_tools_search') {
+      return handleToolsSearch(message, toolParams, sendResponse, sendNotification);
+    }
+    
     if (toolName === 'mcp0_refresh_tools') {
       return handleRefreshTools(message, sendResponse, sendNotification);
     }
     
-    // Check if this is a tool from an enabled server
-    // Extract the server prefix and actual tool name
-    const parts = toolName.split('_');
-    if (parts.length >= 2) {
-      const serverPrefix = parts[0];
-      const actualToolName = parts.slice(1).join('_');
+    // Check if this is a tool from an enabled server, mapping its name back
+    const owner = await findTool(toolName);
+    if (owner) {
+      const { server, toolName: actualToolName } = owner;
+      log(`Detected server tool: ${toolName} -> ${server.name} / ${actualToolName}`);
+      
+      if (!isToolAllowed(server, actualToolName)) {
+        log(`Rejecting call to ${toolName}, filtered out by ${server.name}'s tool filters`);
+        return sendResponse({
+          jsonrpc: '2.0',
+          error: {
+            code: -32602,
+            message: `Tool ${toolName} is disabled by the tool filters of ${server.name}`
+          },
+          id: message.id
+        });
+      }
       
-      // Find the server by prefix
-      const config = getConfig();
-      const server = config.servers.find(s => 
-        s.name.toLowerCase().replace(/\\s+/g, '_') === serverPrefix && s.enabled
-      );
+      const call = { cancelled: false };
+      forwardedCalls.set(message.id, call);
+      recordServerUse(server.name);
+      
+      // Relay the server's progress under the client's own token
+      const progressToken = message.params?._meta?.progressToken;
+      const onProgress = params => {
+        if (!call.cancelled) {
+          sendNotification({ jsonrpc: '2.0', method: 'notifications/progress', params });
+        }
+      };
       
-      if (server) {
-        log(`Detected server tool: ${toolName} -> ${server.name} / ${actualToolName}`);
-        
-        // Forward the request to the actual server
-        forwardToolCall(server, actualToolName, toolParams, message.id)
-          .then(response => {
-            log(`Received response from ${server.name} for tool ${actualToolName}:`, response);
-            sendResponse(response);
-          })
-          .catch(error => {
-            log(`Error forwarding tool call to ${server.name}:`, error);
-            sendResponse({
-              jsonrpc: '2.0',
-              error: {
-                code: -32603,
-                message: `Error forwarding request to ${server.name}: ${error.message}`
-              },
-              id: message.id
-            });
+      // Forward the request to the actual server
+      forwardToolCall(server, actualToolName, toolParams, message.id, {
+        progressToken,
+        onProgress,
+        isCancelled: () => call.cancelled
+      })
+        .then(response => {
+          if (call.cancelled) {
+            log(`Dropping response from ${server.name} for cancelled request ${message.id}`);
+            return;
+          }
+          log(`Received response from ${server.name} for tool ${actualToolName}:`, response);
+          sendResponse(response);
+        })
+        .catch(error => {
+          // A cancelled request gets no response at all
+          if (call.cancelled) {
+            log(`Tool call ${message.id} to ${server.name} cancelled`);
+            return;
+          }
+          log(`Error forwarding tool call to ${server.name}:`, error);
+          sendResponse({
+            jsonrpc: '2.0',
+            error: {
+              code: -32603,
+              message: `Error forwarding request to ${server.name}: ${error.message}`
+            },
+            id: message.id
           });
-        
-        // Return here to prevent the default response
-        return;
-      }
+        })
+        .finally(() => {
+          if (forwardedCalls.get(message.id) === call) {
+            forwardedCalls.delete(message.id);
+          }
+        });
+      
+      // Return here to prevent the default response
+      return;
     }
     
     // Default response for unknown tools
@@ -220,6 +547,12 @@ async function processMessage(message, sendResponse, sendNotification) {
     });
   }
   
+  // Notifications never get a response, even when they are not understood
+  if (message.id === undefined) {
+    log('Ignoring notification:', message.method);
+    return;
+  }
+  
   // Default response for unhandled methods
   log('Unhandled method:', message.method);
   sendResponse({
@@ -228,7 +561,7 @@ async function processMessage(message, sendResponse, sendNotification) {
       code: -32601,
       message: 'Method not found'
     },
-    id: message.id || null
+    id: message.id
   });
 }
 
@@ -0,0 +1,328 @@
+/**
+ * Legacy HTTP+SSE transport for the Cascade MCP Server
+ * Talks to older upstream servers that expose `GET /sse` for server-to-client
+ * messages and a `POST /messages?sessionId=...` endpoint for client-to-server messages
+ */
+const { URL } = require('url');
+const { log } = require('./logger');
+const { sendHttpRequest, readBody } = require('./http-util');
+const { createSseParser } = require('./sse');
+const { getUpstreamInitializeParams, checkInitializeResponse } = require('./protocol');
+const { createRequest, rejectRequest, throwIfCancelled, getCancelNotification } = require('./request-router');
+const { dispatchServerMessage, releaseSession, createSessionAccess } = require('./upstream-messages');
+
+// Open sessions keyed by server name
+const sessions = new Map();
+
+// Default timeout for requests sent over a session
+const REQUEST_TIMEOUT = 5000;
+
+// Timeout for connecting, receiving the endpoint and the initialize handshake
+const CONNECT_TIMEOUT = 10000;
+
+// Delay before re-establishing a session whose event stream dropped
+const RECONNECT_DELAY = 5000;
+
+/**
+ * Get the event stream URL for a server
+ * @param {Object} server - Server configuration
+ * @returns {URL} Event stream URL
+ */
+function getStreamUrl(server) {
+  const streamUrl = new URL(server.url);
+
+  // Servers configured by origin only use the conventional /sse path
+  if (streamUrl.pathname === '/') {
+    streamUrl.pathname = '/sse';
+  }
+
+  return streamUrl;
+}
+
+/**
+ * Create a session for a server and start connecting
+ * @param {Object} server - Server configuration
+ * @returns {Object} Session
+ */
+function createSession(server) {
+  const session = {
+    server,
+    streamUrl: getStreamUrl(server),
+    endpoint: null,
+    stream: null,
+    closed: false,
+    initialized: false,
+    serverInfo: null,
+    capabilities: null,
+    ready: null
+  };
+
+  session.ready = connect(session)
+    .then(() => sendRequest(session, 'initialize', getUpstreamInitializeParams(), { timeout: CONNECT_TIMEOUT }))
+    .then(response => {
+      const result = checkInitializeResponse(server, response);
+
+      session.initialized = true;
+      session.protocolVersion = result.protocolVersion;
+      session.serverInfo = result.serverInfo || null;
+      session.capabilities = result.capabilities || {};
+
+      return postMessage(session, { jsonrpc: '2.0', method: 'notifications/initialized' });
+    })
+    .then(() => {
+      log(`Server ${server.name} initialized successfully over SSE`);
+      return session;
+    });
+
+  session.ready.catch(error => {
+    log(`Error initializing SSE session for ${server.name}: ${error.message}`);
+    closeSessionInternal(session, error);
+  });
+
+  return session;
+}
+
+/**
+ * Open the event stream and wait for the server to announce its message endpoint
+ * @param {Object} session - Session
+ * @returns {Promise<void>}
+ */
+function connect(session) {
+  return new Promise((resolve, reject) => {
+    const { server } = session;
+
+    log(`Connecting to SSE stream for ${server.name} at ${session.streamUrl.href}`);
+
+    const timer = setTimeout(() => {
+      reject(new Error(`Timeout waiting for endpoint from ${server.name}`));
+    }, CONNECT_TIMEOUT);
+
+    sendHttpRequest(server, session.streamUrl, {
+      method: 'GET',
+      headers: { 'Accept': 'text/event-stream' },
+      timeout: CONNECT_TIMEOUT
+    })
+      .then(({ req, res }) => {
+        session.stream = req;
+
+        if (session.closed) {
+          req.destroy();
+          return;
+        }
+
+        if (res.statusCode !== 200) {
+          res.resume();
+          clearTimeout(timer);
+          reject(new Error(`HTTP ${res.statusCode} from ${server.name} opening event stream`));
+          return;
+        }
+
+        const push = createSseParser(event => {
+          if (event.event === 'endpoint') {
+            // The endpoint may be relative to the stream URL
+            session.endpoint = new URL(event.data.trim(), session.streamUrl);
+            log(`Server ${server.name} announced message endpoint ${session.endpoint.href}`);
+            clearTimeout(timer);
+            resolve();
+            return;
+          }
+
+          if (event.event === 'message' && event.data) {
+            handleEventData(session, event.data);
+          }
+        });
+
+        res.setEncoding('utf8');
+        res.on('data', push);
+        res.on('end', () => {
+          clearTimeout(timer);
+          reject(new Error(`Event stream from ${server.name} ended before announcing an endpoint`));
+          closeSessionInternal(session, new Error(`Event stream from ${server.name} ended`));
+        });
+        res.on('error', (error) => {
+          clearTimeout(timer);
+          reject(error);
+          closeSessionInternal(session, error);
+        });
+      })
+      .catch(error => {
+        clearTimeout(timer);
+        reject(error);
+      });
+  });
+}
+
+/**
+ * Handle the payload of a message event
+ * @param {Object} session - Session
+ * @param {string} data - Event data
+ */
+function handleEventData(session, data) {
+  let message;
+  try {
+    message = JSON.parse(data);
+  } catch (e) {
+    log(`Error parsing event from ${session.server.name}: ${e.message}`);
+    log(`Raw event: ${data}`);
+    return;
+  }
+
+  dispatchServerMessage(session, message, postMessage);
+}
+
+/**
+ * POST a JSON-RPC message to the session's message endpoint
+ * Responses to requests arrive on the event stream, not in the POST response
+ * @param {Object} session - Session
+ * @param {Object} message - JSON-RPC message
+ * @returns {Promise<void>}
+ */
+async function postMessage(session, message) {
+  const { server } = session;
+
+  if (session.closed || !session.endpoint) {
+    throw new Error(`Session to ${server.name} is not open`);
+  }
+
+  const { res } = await sendHttpRequest(server, session.endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(message),
+    timeout: REQUEST_TIMEOUT
+  });
+  const body = await readBody(res);
+
+  if (res.statusCode < 200 || res.statusCode >= 300) {
+    const error = new Error(`HTTP ${res.statusCode} from ${server.name}: ${body}`);
+    error.statusCode = res.statusCode;
+    throw error;
+  }
+}
+
+/**
+ * Send a request over a session and wait for the matching response
+ * @param {Object} session - Session
+ * @param {string} method - JSON-RPC method
+ * @param {Object} params - Request params
+ * @param {Object} options - Options for the request router
+ * @returns {Promise<Object>} JSON-RPC response
+ */
+function sendRequest(session, method, params, options) {
+  throwIfCancelled(options);
+
+  const { id, response } = createRequest(session, method, {
+    ...options,
+    onCancel: (requestId, reason) => {
+      postMessage(session, getCancelNotification(requestId, reason)).catch(error => {
+        log(`Error sending cancellation to ${session.server.name}: ${error.message}`);
+      });
+    }
+  });
+
+  postMessage(session, { jsonrpc: '2.0', id, method, params }).catch(error => {
+    rejectRequest(id, error);
+  });
+
+  return response;
+}
+
+/**
+ * Close a session, failing its pending requests
+ * @param {Object} session - Session
+ * @param {Error} [error] - Cause, when the session ended unexpectedly
+ */
+function closeSessionInternal(session, error) {
+  if (session.closed) {
+    return;
+  }
+  session.closed = true;
+
+  const { server } = session;
+
+  if (sessions.get(server.name) === session) {
+    sessions.delete(server.name);
+  }
+
+  const reason = error || new Error(`Session to ${server.name} closed`);
+  releaseSession(session, reason);
+
+  if (session.stream) {
+    session.stream.destroy();
+    session.stream = null;
+  }
+
+  // A healthy session whose stream dropped is re-established in the background
+  if (error && session.initialized) {
+    log(`SSE session to ${server.name} lost: ${reason.message}, reconnecting in ${RECONNECT_DELAY}ms`);
+    setTimeout(() => {
+      if (!sessions.has(server.name)) {
+        openSession(server).catch(() => {});
+      }
+    }, RECONNECT_DELAY).unref();
+  }
+}
+
+/**
+ * Get the session for a server, connecting if needed
+ * @param {Object} server - Server configuration
+ * @returns {Promise<Object>} Session
+ */
+async function openSession(server) {
+  let session = sessions.get(server.name);
+
+  if (!session) {
+    session = createSession(server);
+    sessions.set(server.name, session);
+  }
+
+  return session.ready;
+}
+
+/**
+ * Send a request to a server over its session
+ * @param {Object} server - Server configuration
+ * @param {string} method - JSON-RPC method
+ * @param {Object} params - Request params
+ * @param {Object} [options] - Request options
+ * @param {number} [options.timeout] - Timeout in milliseconds
+ * @param {string|number} [options.clientId] - Id of the client request being forwarded
+ * @param {Function} [options.isCancelled] - Returns true once the client has cancelled; checked once the session is ready
+ * @returns {Promise<Object>} JSON-RPC response
+ */
+async function request(server, method, params = {}, options = {}) {
+  const session = await openSession(server);
+  return sendRequest(session, method, params, { ...options, timeout: options.timeout || REQUEST_TIMEOUT });
+}
+
+/**
+ * Close the session for a server
+ * @param {string} serverName - Server name
+ */
+function closeSession(serverName) {
+  const session = sessions.get(serverName);
+  if (session) {
+    log(`Closing SSE session for ${serverName}`);
+    closeSessionInternal(session);
+  }
+}
+
+/**
+ * Close all sessions
+ */
+function closeAllSessions() {
+  for (const serverName of [...sessions.keys()]) {
+    closeSession(serverName);
+  }
+}
+
+// Capabilities of, and notifications over, initialized sessions
+const { getCapabilities, notify } = createSessionAccess(sessions, postMessage);
+
+module.exports = {
+  openSession,
+  getCapabilities,
+  notify,
+  request,
+  closeSession,
+  closeAllSessions
+};
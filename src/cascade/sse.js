@@ -0,0 +1,71 @@
+/**
+ * Server-Sent Events module for the Cascade MCP Server
+ * Incremental parser for text/event-stream bodies
+ */
+
+/**
+ * Create an incremental SSE parser
+ * @param {Function} onEvent - Called with { event, data, id } for each complete event
+ * @returns {Function} Function to feed decoded text chunks into
+ */
+function createSseParser(onEvent) {
+  let buffer = '';
+  let event = {};
+  let dataLines = [];
+
+  function dispatch() {
+    if (dataLines.length > 0) {
+      onEvent({
+        event: event.event || 'message',
+        data: dataLines.join('\n'),
+        id: event.id
+      });
+    }
+    event = {};
+    dataLines = [];
+  }
+
+  return function push(chunk) {
+    buffer += chunk;
+
+    let newline;
+    while ((newline = buffer.search(/\r\n|\r|\n/)) !== -1) {
+      // A trailing CR may be the first half of a CRLF split across chunks
+      if (buffer[newline] === '\r' && newline === buffer.length - 1) {
+        break;
+      }
+
+      const line = buffer.slice(0, newline);
+      const separatorLength = buffer.startsWith('\r\n', newline) ? 2 : 1;
+      buffer = buffer.slice(newline + separatorLength);
+
+      // A blank line ends the current event
+      if (line === '') {
+        dispatch();
+        continue;
+      }
+
+      // Lines starting with a colon are comments (often used as keep-alives)
+      if (line.startsWith(':')) {
+        continue;
+      }
+
+      const colon = line.indexOf(':');
+      const field = colon === -1 ? line : line.slice(0, colon);
+      let value = colon === -1 ? '' : line.slice(colon + 1);
+      if (value.startsWith(' ')) {
+        value = value.slice(1);
+      }
+
+      if (field === 'data') {
+        dataLines.push(value);
+      } else if (field === 'event' || field === 'id') {
+        event[field] = value;
+      }
+    }
+  };
+}
+
+module.exports = {
+  createSseParser
+};
@@ -0,0 +1,368 @@
+/**
+ * Stdio session pool for the Cascade MCP Server
+ * Keeps one long-lived, initialized child process per stdio MCP server
+ * and multiplexes JSON-RPC requests over it
+ */
+const { spawn } = require('child_process');
+const readline = require('readline');
+const { log } = require('./logger');
+const { getMcpConfig } = require('./config');
+const { getUpstreamInitializeParams, checkInitializeResponse } = require('./protocol');
+const { createRequest, rejectRequest, throwIfCancelled, getCancelNotification } = require('./request-router');
+const { dispatchServerMessage, releaseSession, createSessionAccess } = require('./upstream-messages');
+
+// Open sessions keyed by server name
+const sessions = new Map();
+
+// Restart bookkeeping for servers whose process died, keyed by server name
+const restarts = new Map();
+
+// Default timeout for requests sent over a session
+const REQUEST_TIMEOUT = 5000;
+
+// Timeout for the initialize handshake (covers process startup, e.g. npx downloads)
+const INITIALIZE_TIMEOUT = 30000;
+
+// Delay before the first respawn of a crashed server, doubled on each further crash
+const RESTART_BASE_DELAY = 500;
+const MAX_RESTART_DELAY = 30000;
+
+// How long a session has to stay up before its crashes stop counting towards the backoff
+const STABLE_SESSION_TIME = 60000;
+
+/**
+ * Create a session for a server and start its initialize handshake
+ * @param {Object} server - Server configuration
+ * @param {boolean} pooled - Whether the session is shared through the pool
+ * @returns {Object} Session
+ */
+function createSession(server, pooled) {
+  const mcpConfig = getMcpConfig();
+  const serverConfig = mcpConfig.mcpServers[server.name];
+
+  if (!serverConfig) {
+    throw new Error(`Server ${server.name} not found in MCP config`);
+  }
+
+  const session = {
+    server,
+    pooled,
+    childProcess: null,
+    rl: null,
+    closed: false,
+    initialized: false,
+    initializedAt: null,
+    serverInfo: null,
+    capabilities: null,
+    ready: null
+  };
+
+  const delay = pooled ? getRestartDelay(server.name) : 0;
+  if (delay > 0) {
+    log(`Reconnecting to ${server.name} in ${delay}ms`);
+  }
+
+  session.ready = new Promise(resolve => setTimeout(resolve, delay))
+    .then(() => {
+      spawnProcess(session, serverConfig);
+      return sendRequest(session, 'initialize', getUpstreamInitializeParams(), { timeout: INITIALIZE_TIMEOUT });
+    })
+    .then(response => {
+      const result = checkInitializeResponse(server, response);
+
+      session.initialized = true;
+      session.initializedAt = Date.now();
+      session.protocolVersion = result.protocolVersion;
+      session.serverInfo = result.serverInfo || null;
+      session.capabilities = result.capabilities || {};
+      writeMessage(session, { jsonrpc: '2.0', method: 'notifications/initialized' });
+
+      log(`Server ${server.name} initialized successfully`);
+      return session;
+    });
+
+  session.ready.catch(error => {
+    log(`Error initializing session for ${server.name}: ${error.message}`);
+    closeSessionInternal(session, error);
+  });
+
+  return session;
+}
+
+/**
+ * Spawn the child process behind a session and wire up its streams
+ * @param {Object} session - Session
+ * @param {Object} serverConfig - Server entry from mcp-config.json
+ */
+function spawnProcess(session, serverConfig) {
+  const { server } = session;
+
+  if (session.closed) {
+    throw new Error(`Session to ${server.name} closed`);
+  }
+
+  log(`Spawning stdio session for ${server.name}`);
+
+  const childProcess = spawn(
+    serverConfig.command,
+    serverConfig.args || [],
+    {
+      cwd: serverConfig.cwd || process.cwd(),
+      env: { ...process.env, ...(serverConfig.env || {}) },
+      stdio: ['pipe', 'pipe', 'pipe']
+    }
+  );
+  session.childProcess = childProcess;
+
+  // Parse newline-delimited JSON-RPC messages from stdout
+  session.rl = readline.createInterface({
+    input: childProcess.stdout,
+    terminal: false
+  });
+  session.rl.on('line', line => handleLine(session, line));
+
+  childProcess.stderr.on('data', (data) => {
+    log(`[${server.name}] stderr: ${data.toString().trim()}`);
+  });
+
+  childProcess.stdin.on('error', (err) => {
+    log(`Error writing to ${server.name}: ${err.message}`);
+  });
+
+  childProcess.on('error', (err) => {
+    log(`Error with child process for ${server.name}: ${err.message}`);
+    closeSessionInternal(session, err);
+  });
+
+  childProcess.on('exit', (code, signal) => {
+    closeSessionInternal(session, new Error(`Server ${server.name} exited with code ${code}${signal ? ` (${signal})` : ''}`));
+  });
+}
+
+/**
+ * Handle a line of output from a server process
+ * @param {Object} session - Session
+ * @param {string} line - Raw line
+ */
+function handleLine(session, line) {
+  let message;
+  try {
+    message = JSON.parse(line);
+  } catch (e) {
+    log(`Error parsing response from ${session.server.name}: ${e.message}`);
+    log(`Raw response: ${line}`);
+    return;
+  }
+
+  dispatchServerMessage(session, message, writeMessage);
+}
+
+/**
+ * Write a JSON-RPC message to a server process
+ * @param {Object} session - Session
+ * @param {Object} message - JSON-RPC message
+ */
+function writeMessage(session, message) {
+  if (session.closed || !session.childProcess) {
+    throw new Error(`Session to ${session.server.name} is not open`);
+  }
+  session.childProcess.stdin.write(JSON.stringify(message) + '\n');
+}
+
+/**
+ * Send a request over a session and wait for the matching response
+ * A cancelled request is cancelled on the server, or for a dedicated
+ * process, by stopping the process
+ * @param {Object} session - Session
+ * @param {string} method - JSON-RPC method
+ * @param {Object} params - Request params
+ * @param {Object} options - Options for the request router
+ * @returns {Promise<Object>} JSON-RPC response
+ */
+function sendRequest(session, method, params, options) {
+  throwIfCancelled(options);
+
+  const { id, response } = createRequest(session, method, {
+    ...options,
+    onCancel: (requestId, reason) => {
+      if (session.pooled) {
+        writeMessage(session, getCancelNotification(requestId, reason));
+      } else {
+        log(`Stopping ${session.server.name} to cancel its request`);
+        closeSessionInternal(session);
+      }
+    }
+  });
+
+  try {
+    writeMessage(session, { jsonrpc: '2.0', id, method, params });
+  } catch (e) {
+    rejectRequest(id, e);
+  }
+
+  return response;
+}
+
+/**
+ * Close a session, failing its pending requests
+ * @param {Object} session - Session
+ * @param {Error} [error] - Cause, when the session ended unexpectedly
+ */
+function closeSessionInternal(session, error) {
+  if (session.closed) {
+    return;
+  }
+  session.closed = true;
+
+  const { server } = session;
+  const wasInitialized = session.initialized;
+
+  if (sessions.get(server.name) === session) {
+    sessions.delete(server.name);
+  }
+
+  const reason = error || new Error(`Session to ${server.name} closed`);
+  releaseSession(session, reason);
+
+  if (session.rl) {
+    session.rl.close();
+  }
+  if (session.childProcess && session.childProcess.exitCode === null) {
+    session.childProcess.kill();
+  }
+
+  if (!session.pooled || !error) {
+    return;
+  }
+
+  log(`Session to ${server.name} lost: ${reason.message}`);
+
+  // Crashes keep adding to the backoff until a session stays up for a while
+  const stable = wasInitialized && Date.now() - session.initializedAt >= STABLE_SESSION_TIME;
+  const previous = stable ? null : restarts.get(server.name);
+  restarts.set(server.name, {
+    count: previous ? previous.count + 1 : 1,
+    exitedAt: Date.now()
+  });
+
+  // A healthy session that died is brought back right away; sessions that never
+  // came up are only retried on the next request
+  if (wasInitialized) {
+    getSession(server).ready.catch(() => {});
+  }
+}
+
+/**
+ * Get the delay to wait before respawning a server
+ * @param {string} serverName - Server name
+ * @returns {number} Delay in milliseconds
+ */
+function getRestartDelay(serverName) {
+  const restart = restarts.get(serverName);
+  if (!restart) {
+    return 0;
+  }
+
+  const backoff = Math.min(RESTART_BASE_DELAY * 2 ** (restart.count - 1), MAX_RESTART_DELAY);
+  return Math.max(0, restart.exitedAt + backoff - Date.now());
+}
+
+/**
+ * Get the pooled session for a server, spawning it if needed
+ * @param {Object} server - Server configuration
+ * @returns {Object} Session
+ */
+function getSession(server) {
+  let session = sessions.get(server.name);
+
+  if (!session) {
+    session = createSession(server, true);
+    sessions.set(server.name, session);
+  }
+
+  return session;
+}
+
+/**
+ * Start a server's pooled session and wait until it is initialized
+ * @param {Object} server - Server configuration
+ * @returns {Promise<Object>} Session
+ */
+async function openSession(server) {
+  return getSession(server).ready;
+}
+
+/**
+ * Send a request to a server over its pooled session
+ * @param {Object} server - Server configuration
+ * @param {string} method - JSON-RPC method
+ * @param {Object} params - Request params
+ * @param {Object} [options] - Request options
+ * @param {number} [options.timeout] - Timeout in milliseconds
+ * @param {string|number} [options.clientId] - Id of the client request being forwarded
+ * @param {Function} [options.isCancelled] - Returns true once the client has cancelled; checked once the session is ready
+ * @returns {Promise<Object>} JSON-RPC response
+ */
+async function request(server, method, params = {}, options = {}) {
+  const session = await openSession(server);
+  return sendRequest(session, method, params, { ...options, timeout: options.timeout || REQUEST_TIMEOUT });
+}
+
+/**
+ * Send a request to a server over a dedicated process that is stopped afterwards
+ * The process is also stopped, without the request being sent, when the
+ * request is cancelled while the process is starting
+ * @param {Object} server - Server configuration
+ * @param {string} method - JSON-RPC method
+ * @param {Object} params - Request params
+ * @param {Object} [options] - Request options
+ * @param {number} [options.timeout] - Timeout in milliseconds
+ * @param {string|number} [options.clientId] - Id of the client request being forwarded
+ * @param {Function} [options.isCancelled] - Returns true once the client has cancelled; checked once the session is ready
+ * @returns {Promise<Object>} JSON-RPC response
+ */
+async function requestOnce(server, method, params = {}, options = {}) {
+  const session = createSession(server, false);
+
+  try {
+    await session.ready;
+    return await sendRequest(session, method, params, { ...options, timeout: options.timeout || REQUEST_TIMEOUT });
+  } finally {
+    closeSessionInternal(session);
+  }
+}
+
+/**
+ * Close the pooled session for a server
+ * @param {string} serverName - Server name
+ */
+function closeSession(serverName) {
+  const session = sessions.get(serverName);
+  if (session) {
+    log(`Closing stdio session for ${serverName}`);
+    closeSessionInternal(session);
+  }
+  restarts.delete(serverName);
+}
+
+/**
+ * Close all pooled sessions
+ */
+function closeAllSessions() {
+  for (const serverName of [...sessions.keys()]) {
+    closeSession(serverName);
+  }
+}
+
+// Capabilities of, and notifications over, initialized sessions
+const { getCapabilities, notify } = createSessionAccess(sessions, writeMessage);
+
+module.exports = {
+  openSession,
+  getCapabilities,
+  notify,
+  request,
+  requestOnce,
+  closeSession,
+  closeAllSessions
+};
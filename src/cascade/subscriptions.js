@@ -0,0 +1,85 @@
+/**
+ * Subscriptions module for the Cascade MCP Server
+ * Keeps track of the client's resource subscriptions and relays
+ * notifications/resources/updated from the server that owns each one
+ */
+const { log } = require('./logger');
+const { forwardRequest } = require('./client');
+const { getResourceUri } = require('./namespace');
+const { notifyClient, onUpstreamNotification } = require('./notifications');
+
+// Subscribed resources, keyed by the URI listed to the client: { server, uri }
+const subscriptions = new Map();
+
+/**
+ * Subscribe to a resource on the server that owns it
+ * @param {Object} server - Server configuration
+ * @param {string} uri - The server's own URI of the resource
+ * @param {number} messageId - Message ID
+ * @returns {Promise<Object>} resources/subscribe response
+ */
+async function subscribe(server, uri, messageId) {
+  const response = await forwardRequest(server, 'resources/subscribe', { uri }, messageId);
+
+  if (!response.error) {
+    const clientUri = getResourceUri(server, uri);
+    subscriptions.set(clientUri, { server, uri });
+    log(`Subscribed to ${clientUri}`);
+  }
+  return response;
+}
+
+/**
+ * Unsubscribe from a resource on the server that owns it
+ * @param {Object} server - Server configuration
+ * @param {string} uri - The server's own URI of the resource
+ * @param {number} messageId - Message ID
+ * @returns {Promise<Object>} resources/unsubscribe response
+ */
+async function unsubscribe(server, uri, messageId) {
+  const clientUri = getResourceUri(server, uri);
+  subscriptions.delete(clientUri);
+  log(`Unsubscribed from ${clientUri}`);
+
+  return forwardRequest(server, 'resources/unsubscribe', { uri }, messageId);
+}
+
+/**
+ * Forget the subscriptions on a server, e.g. when it is disabled
+ * @param {string} serverName - Server name
+ */
+function dropSubscriptions(serverName) {
+  for (const [clientUri, subscription] of subscriptions) {
+    if (subscription.server.name === serverName) {
+      subscriptions.delete(clientUri);
+    }
+  }
+}
+
+/**
+ * Relay a notifications/resources/updated from an upstream server
+ * Only updates to resources the client subscribed to through that server are passed on
+ * @param {Object} server - Server configuration
+ * @param {Object} message - JSON-RPC notification
+ */
+function handleResourceUpdated(server, message) {
+  const clientUri = getResourceUri(server, message.params?.uri);
+  if (!subscriptions.has(clientUri)) {
+    log(`Ignoring update of ${message.params?.uri} from ${server.name}, the client is not subscribed`);
+    return;
+  }
+
+  notifyClient({
+    jsonrpc: '2.0',
+    method: 'notifications/resources/updated',
+    params: { ...message.params, uri: clientUri }
+  });
+}
+
+onUpstreamNotification('notifications/resources/updated', handleResourceUpdated);
+
+module.exports = {
+  subscribe,
+  unsubscribe,
+  dropSubscriptions
+};
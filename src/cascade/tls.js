@@ -0,0 +1,78 @@
+/**
+ * TLS module for the Cascade MCP Server
+ * Builds the per-server TLS options configured in servers.json
+ */
+const fs = require('fs');
+const path = require('path');
+const { log } = require('./logger');
+
+// Relative certificate paths are resolved against the directory holding servers.json
+const BASE_DIR = path.dirname(process.env.SERVERS_CONFIG_PATH || path.resolve(__dirname, '../../servers.json'));
+
+// Servers already warned about skipping verification
+const insecureWarned = new Set();
+
+/**
+ * Read a PEM file referenced from the TLS settings
+ * @param {Object} server - Server configuration
+ * @param {string} file - File path
+ * @param {string} what - Description for error messages
+ * @returns {Buffer} File contents
+ */
+function readPem(server, file, what) {
+  try {
+    return fs.readFileSync(path.resolve(BASE_DIR, file));
+  } catch (e) {
+    throw new Error(`Cannot read ${what} '${file}' for ${server.name}: ${e.message}`);
+  }
+}
+
+/**
+ * Get the TLS options for requests to a server
+ * Supports a `tls` block with:
+ * - `ca`: CA bundle file (or list of files) trusted instead of the default roots
+ * - `cert` / `key`: client certificate and key files for mutual TLS
+ * - `servername`: SNI and certificate host name override
+ * - `insecureSkipVerify`: disable certificate verification (local development only)
+ * @param {Object} server - Server configuration
+ * @returns {Object} Options for https.request and WebSocket
+ */
+function getTlsOptions(server) {
+  const tls = server.tls;
+  if (!tls) {
+    return {};
+  }
+
+  const options = {};
+
+  if (tls.ca) {
+    const files = Array.isArray(tls.ca) ? tls.ca : [tls.ca];
+    options.ca = files.map(file => readPem(server, file, 'CA bundle'));
+  }
+
+  if (tls.cert || tls.key) {
+    if (!tls.cert || !tls.key) {
+      throw new Error(`TLS settings for ${server.name} need both cert and key for a client certificate`);
+    }
+    options.cert = readPem(server, tls.cert, 'client certificate');
+    options.key = readPem(server, tls.key, 'client key');
+  }
+
+  if (tls.servername) {
+    options.servername = tls.servername;
+  }
+
+  if (tls.insecureSkipVerify === true) {
+    if (!insecureWarned.has(server.name)) {
+      insecureWarned.add(server.name);
+      log(`WARNING: TLS certificate verification is disabled for ${server.name}`);
+    }
+    options.rejectUnauthorized = false;
+  }
+
+  return options;
+}
+
+module.exports = {
+  getTlsOptions
+};
@@ -0,0 +1,87 @@
+/**
+ * Tool filters module for the Cascade MCP Server
+ * Applies the `includeTools` and `excludeTools` glob lists of a server entry,
+ * and edits them for the mcp0_tools_enable and mcp0_tools_disable tools
+ */
+
+/**
+ * Turn a glob pattern into a regular expression
+ * `*` matches any run of characters and `?` any single character
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} Regular expression matching whole names
+ */
+function globToRegExp(pattern) {
+  const source = pattern
+    .split('')
+    .map(char => {
+      if (char === '*') {
+        return '.*';
+      }
+      if (char === '?') {
+        return '.';
+      }
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Find the first pattern in a list that matches a tool name
+ * @param {Array<string>} [patterns] - Glob patterns
+ * @param {string} toolName - Upstream tool name
+ * @returns {string|null} Matching pattern, or null
+ */
+function findMatch(patterns, toolName) {
+  return (patterns || []).find(pattern => globToRegExp(pattern).test(toolName)) || null;
+}
+
+/**
+ * Check whether a server's tool passes its filters
+ * Without `includeTools` every tool is included; `excludeTools` wins over it
+ * @param {Object} server - Server configuration
+ * @param {string} toolName - Upstream tool name
+ * @returns {boolean} True if the tool is exposed
+ */
+function isToolAllowed(server, toolName) {
+  const included = !server.includeTools || server.includeTools.length === 0 || findMatch(server.includeTools, toolName) !== null;
+  return included && findMatch(server.excludeTools, toolName) === null;
+}
+
+/**
+ * Let a tool, or tools matching a pattern, through a server's filters
+ * An identical `excludeTools` entry is removed, and with an `includeTools`
+ * list, the tool is added to it unless it already matches
+ * @param {Object} server - Server configuration, edited in place
+ * @param {string} tool - Upstream tool name or glob pattern
+ * @returns {string|null} An `excludeTools` pattern that still excludes the tool, or null
+ */
+function includeTool(server, tool) {
+  if (server.excludeTools) {
+    server.excludeTools = server.excludeTools.filter(pattern => pattern !== tool);
+  }
+  if (server.includeTools && server.includeTools.length > 0 && !server.includeTools.includes(tool) && findMatch(server.includeTools, tool) === null) {
+    server.includeTools.push(tool);
+  }
+
+  return findMatch(server.excludeTools, tool);
+}
+
+/**
+ * Keep a tool, or tools matching a pattern, out through a server's filters
+ * The tool is added to `excludeTools`, which wins over `includeTools`
+ * @param {Object} server - Server configuration, edited in place
+ * @param {string} tool - Upstream tool name or glob pattern
+ */
+function excludeTool(server, tool) {
+  server.excludeTools = server.excludeTools || [];
+  if (!server.excludeTools.includes(tool)) {
+    server.excludeTools.push(tool);
+  }
+}
+
+module.exports = {
+  isToolAllowed,
+  includeTool,
+  excludeTool
+};
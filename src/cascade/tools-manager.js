@@ -1,20 +1,80 @@
 /**
  * Tools Manager module for the Cascade MCP Server
- * Handles tool discovery, caching, and management
+ * Handles tool, prompt and resource discovery, caching, and management
  */
 const { log } = require('./logger');
 const { getConfig } = require('./config');
-const { fetchToolsFromServer } = require('./client');
+const {
+  fetchToolsFromServer,
+  fetchPromptsFromServer,
+  fetchResourcesFromServer,
+  fetchResourceTemplatesFromServer,
+  stopServer
+} = require('./client');
+const { reserveNames, resolveName, getUpstreamName } = require('./namespace');
+const { isToolAllowed } = require('./tool-filters');
+const { hasServerTools } = require('./catalog');
+const circuitBreaker = require('./circuit-breaker');
+const { notifyListChanged, onUpstreamNotification } = require('./notifications');
 
-// Cache for server tools
-let toolsCache = {
-  timestamp: 0,
-  tools: []
+// Functions that fetch one server's list, keyed by list
+const listFetchers = {
+  tools: fetchToolsFromServer,
+  prompts: fetchPromptsFromServer,
+  resources: fetchResourcesFromServer,
+  resourceTemplates: fetchResourceTemplatesFromServer
+};
+
+// Cached lists covered by each list_changed notification, keyed by the notification's list
+const notifiedLists = {
+  tools: ['tools'],
+  prompts: ['prompts'],
+  resources: ['resources', 'resourceTemplates']
+};
+
+// Cached lists of each server, keyed by list, then by server name: { timestamp, items }
+const caches = {
+  tools: new Map(),
+  prompts: new Map(),
+  resources: new Map(),
+  resourceTemplates: new Map()
+};
+
+// Number of tools each server exposed when last fetched, after filtering, keyed by
+// server name; kept when the caches are invalidated so the tool budget stays known
+const toolCounts = new Map();
+
+// When each server was last enabled or had a tool called, keyed by server name
+const lastUsed = new Map();
+
+// Servers whose tools were fetched for the catalog since the switcher started
+const cataloguedServers = new Set();
+
+// Refreshes started by list_changed notifications, keyed by list and server name
+const pendingRefreshes = new Map();
+
+// Fetches in progress, keyed by list, then by server name, so concurrent requests share them
+const inflightFetches = {
+  tools: new Map(),
+  prompts: new Map(),
+  resources: new Map(),
+  resourceTemplates: new Map()
 };
 
 // Cache refresh interval (5 minutes)
 const CACHE_REFRESH_INTERVAL = 5 * 60 * 1000;
 
+// How long tools/list waits for servers without `tools_list_timeout_ms` (2 seconds)
+const DEFAULT_LIST_TIMEOUT = 2000;
+
+// Signatures of the lists the client last received or was told about, keyed by list
+const knownSignatures = {
+  tools: null,
+  prompts: null,
+  resources: null,
+  resourceTemplates: null
+};
+
 /**
  * Get core MCP tools
  * @returns {Array} List of core tools
@@ -55,6 +115,74 @@ function getCoreTools() {
         type: 'object'
       }
     },
+    {
+      name: 'mcp0_servers_login',
+      description: 'Sign in to an MCP server that requires OAuth authorization',
+      parameters: {
+        properties: {
+          name: {
+            type: 'string',
+            description: 'Name of the server to sign in to'
+          }
+        },
+        type: 'object'
+      }
+    },
+    {
+      name: 'mcp0_tools_enable',
+      description: 'Expose a tool of an MCP server again, or all its tools matching a glob pattern',
+      parameters: {
+        properties: {
+          server: {
+            type: 'string',
+            description: 'Name of the server the tool belongs to'
+          },
+          tool: {
+            type: 'string',
+            description: 'Name of the tool on that server, or a glob pattern such as browser_*'
+          }
+        },
+        type: 'object'
+      }
+    },
+    {
+      name: 'mcp0_tools_disable',
+      description: 'Hide a tool of an MCP server, or all its tools matching a glob pattern',
+      parameters: {
+        properties: {
+          server: {
+            type: 'string',
+            description: 'Name of the server the tool belongs to'
+          },
+          tool: {
+            type: 'string',
+            description: 'Name of the tool on that server, or a glob pattern such as browser_*'
+          }
+        },
+        type: 'object'
+      }
+    },
+    {
+      name: 'mcp0_tools_search',
+      description: 'Search the tools of all MCP servers, including disabled ones, by keywords',
+      parameters: {
+        properties: {
+          query: {
+            type: 'string',
+            description: 'Keywords describing the task, matched against tool names, descriptions and parameter names'
+          },
+          limit: {
+            type: 'number',
+            description: 'Most tools to return (default 10)'
+          },
+          refresh: {
+            type: 'boolean',
+            description: 'Fetch every server\'s tools again before searching'
+          }
+        },
+        type: 'object'
+      }
+    },
     {
       name: 'mcp0_refresh_tools',
       description: 'Refresh the list of tools from all enabled servers',
@@ -67,23 +195,72 @@ function getCoreTools() {
 }
 
 /**
- * Fetch tools from all enabled servers
+ * Fetch one server's list into its slice of the cache
+ * Servers that fail keep their items out of the list until a later fetch succeeds.
+ * Tools the server's `includeTools` and `excludeTools` filter out are never cached.
+ * @param {string} list - 'tools', 'prompts', 'resources' or 'resourceTemplates'
+ * @param {Object} server - Server configuration
+ * @returns {Promise<Array>} List items
+ */
+async function fetchServerList(list, server) {
+  try {
+    let items = await listFetchers[list](server);
+    if (list === 'tools') {
+      items = items.filter(tool => isToolAllowed(server, getUpstreamName('tools', tool.name)));
+      toolCounts.set(server.name, items.length);
+    }
+    caches[list].set(server.name, { timestamp: Date.now(), items });
+    return items;
+  } catch (error) {
+    log(`Error fetching ${list} from ${server.name}:`, error);
+    caches[list].delete(server.name);
+    return [];
+  }
+}
+
+/**
+ * Get one server's list, from the cache while fresh
+ * Requests for lists that are not cached share the fetch already in progress
+ * @param {string} list - 'tools', 'prompts', 'resources' or 'resourceTemplates'
+ * @param {Object} server - Server configuration
  * @param {boolean} forceRefresh - Force refresh the cache
- * @returns {Promise<Array>} List of tools
+ * @returns {Promise<Array>} List items, empty while the server's circuit is open
  */
-async function fetchToolsFromEnabledServers(forceRefresh = false) {
-  const now = Date.now();
+async function getServerList(list, server, forceRefresh) {
+  if (!circuitBreaker.isAvailable(server.name)) {
+    log(`Skipping ${server.name}, its circuit is ${circuitBreaker.getState(server.name).state}`);
+    return [];
+  }
   
-  // Check if cache is valid
-  if (!forceRefresh && 
-      toolsCache.timestamp > 0 && 
-      now - toolsCache.timestamp < CACHE_REFRESH_INTERVAL) {
-    log(`Using cached tools (${toolsCache.tools.length} tools, cache age: ${Math.round((now - toolsCache.timestamp) / 1000)}s)`);
-    return toolsCache.tools;
+  const now = Date.now();
+  const cached = caches[list].get(server.name);
+  if (!forceRefresh && cached && now - cached.timestamp < CACHE_REFRESH_INTERVAL) {
+    log(`Using cached ${list} for ${server.name} (${cached.items.length} ${list}, cache age: ${Math.round((now - cached.timestamp) / 1000)}s)`);
+    return cached.items;
   }
   
-  log('Fetching tools from enabled servers...');
+  if (forceRefresh) {
+    return fetchServerList(list, server);
+  }
   
+  const inflight = inflightFetches[list];
+  if (!inflight.has(server.name)) {
+    const fetch = fetchServerList(list, server).finally(() => {
+      inflight.delete(server.name);
+    });
+    inflight.set(server.name, fetch);
+  }
+  return inflight.get(server.name);
+}
+
+/**
+ * Fetch a list from all enabled servers
+ * Each server's list is cached separately and only fetched again once stale
+ * @param {string} list - 'tools', 'prompts', 'resources' or 'resourceTemplates'
+ * @param {boolean} forceRefresh - Force refresh the cache
+ * @returns {Promise<Array>} List items
+ */
+async function fetchListFromEnabledServers(list, forceRefresh = false) {
   const config = getConfig();
   const enabledServers = config.servers.filter(server => server.enabled);
   
@@ -91,70 +268,443 @@ async function fetchToolsFromEnabledServers(forceRefresh = false) {
   
   if (enabledServers.length === 0) {
     log('No enabled servers found, returning empty list');
-    toolsCache = {
-      timestamp: now,
-      tools: []
-    };
     return [];
   }
   
   try {
-    // Fetch tools from each enabled server
-    const fetchPromises = enabledServers.map(server => 
-      fetchToolsFromServer(server)
-        .catch(error => {
-          log(`Error fetching tools from ${server.name}:`, error);
-          return []; // Return empty array on error
-        })
-    );
+    // Use each server's cached list while fresh, skipping servers whose circuit is open
+    const fetchPromises = enabledServers.map(server => getServerList(list, server, forceRefresh));
     
     // Wait for all promises to resolve
-    const toolsArrays = await Promise.all(fetchPromises);
+    const itemArrays = await Promise.all(fetchPromises);
     
     // Flatten the array of arrays
-    const allTools = toolsArrays.flat();
-    
-    log(`Fetched ${allTools.length} tools from ${enabledServers.length} enabled servers`);
+    const allItems = itemArrays.flat();
     
-    // Update cache
-    toolsCache = {
-      timestamp: now,
-      tools: allTools
-    };
+    log(`Fetched ${allItems.length} ${list} from ${enabledServers.length} enabled servers`);
     
-    return allTools;
+    return allItems;
   } catch (error) {
-    log('Error fetching tools from enabled servers:', error);
+    log(`Error fetching ${list} from enabled servers:`, error);
     return [];
   }
 }
 
 /**
- * Get all available tools (core + server)
+ * Fetch tools from all enabled servers
+ * @param {boolean} forceRefresh - Force refresh the cache
+ * @returns {Promise<Array>} List of tools
+ */
+async function fetchToolsFromEnabledServers(forceRefresh = false) {
+  return fetchListFromEnabledServers('tools', forceRefresh);
+}
+
+/**
+ * Fetch prompts from all enabled servers
+ * @param {boolean} forceRefresh - Force refresh the cache
+ * @returns {Promise<Array>} List of prompts
+ */
+async function fetchPromptsFromEnabledServers(forceRefresh = false) {
+  return fetchListFromEnabledServers('prompts', forceRefresh);
+}
+
+/**
+ * Fetch resources from all enabled servers
+ * @param {boolean} forceRefresh - Force refresh the cache
+ * @returns {Promise<Array>} List of resources
+ */
+async function fetchResourcesFromEnabledServers(forceRefresh = false) {
+  return fetchListFromEnabledServers('resources', forceRefresh);
+}
+
+/**
+ * Fetch resource templates from all enabled servers
+ * @param {boolean} forceRefresh - Force refresh the cache
+ * @returns {Promise<Array>} List of resource templates
+ */
+async function fetchResourceTemplatesFromEnabledServers(forceRefresh = false) {
+  return fetchListFromEnabledServers('resourceTemplates', forceRefresh);
+}
+
+/**
+ * Find the enabled server behind a namespaced tool or prompt name
+ * Names not seen yet are looked up again once the enabled servers' lists are fetched
+ * @param {string} list - 'tools' or 'prompts'
+ * @param {string} name - Namespaced name, as listed to the client
+ * @returns {Promise<Object|null>} Object with the `server` and its upstream `name`, or null
+ */
+async function findListItem(list, name) {
+  const owner = resolveName(list, name);
+  if (owner) {
+    return owner;
+  }
+  
+  await fetchListFromEnabledServers(list);
+  return resolveName(list, name);
+}
+
+/**
+ * Find the server that owns a tool
+ * @param {string} name - Namespaced tool name, as listed to the client
+ * @returns {Promise<Object|null>} Object with the `server` and the upstream `toolName`, or null
+ */
+async function findTool(name) {
+  const owner = await findListItem('tools', name);
+  return owner ? { server: owner.server, toolName: owner.name } : null;
+}
+
+/**
+ * Find the server that owns a prompt
+ * @param {string} name - Namespaced prompt name, as listed to the client
+ * @returns {Promise<Object|null>} Object with the `server` and the upstream `promptName`, or null
+ */
+async function findPrompt(name) {
+  const owner = await findListItem('prompts', name);
+  return owner ? { server: owner.server, promptName: owner.name } : null;
+}
+
+/**
+ * Get all available tools (core + server), within the tool limit
  * @param {boolean} forceRefresh - Force refresh the cache
  * @returns {Promise<Array>} List of all tools
  */
 async function getAllTools(forceRefresh = false) {
-  const coreTools = getCoreTools();
   const serverTools = await fetchToolsFromEnabledServers(forceRefresh);
   
-  return [...coreTools, ...serverTools];
+  return limitTools(serverTools, getConfig());
+}
+
+/**
+ * Put the core tools and the servers' tools together, within the tool limit
+ * Servers can add tools after they were enabled; what does not fit in the
+ * limit is left out, taking servers in the order of servers.json
+ * @param {Array} serverTools - Tools of the enabled servers
+ * @param {Object} config - Server configuration
+ * @returns {Array} List of tools (core + server)
+ */
+function limitTools(serverTools, config) {
+  const coreTools = getCoreTools();
+  const room = Math.max(config.tool_limit - coreTools.length, 0);
+  
+  if (serverTools.length > room) {
+    const left = serverTools.slice(room).map(tool => tool.name);
+    log(`Warning: ${coreTools.length + serverTools.length} tools are over the tool limit of ${config.tool_limit}, leaving out ${left.join(', ')}`);
+  }
+  return [...coreTools, ...serverTools.slice(0, room)];
+}
+
+/**
+ * Get the tools to answer tools/list with
+ * Servers whose tools are not cached are waited for up to `tools_list_timeout_ms`.
+ * Servers that take longer are left out and reported as pending, and the client
+ * is sent list_changed once their tools are in. Tools over the tool limit are
+ * left out.
+ * @returns {Promise<Object>} Object with `tools` (core + server) and the names of `pending` servers
+ */
+async function listTools() {
+  const config = getConfig();
+  const timeout = config.tools_list_timeout_ms || DEFAULT_LIST_TIMEOUT;
+  const enabledServers = config.servers.filter(server => server.enabled);
+  
+  // Each server's tools, filled in as they arrive
+  const slices = new Array(enabledServers.length);
+  const fetches = enabledServers.map((server, index) =>
+    getServerList('tools', server, false).then(tools => {
+      slices[index] = tools;
+    })
+  );
+  
+  let timer;
+  const deadline = new Promise(resolve => {
+    timer = setTimeout(resolve, timeout);
+  });
+  await Promise.race([Promise.all(fetches), deadline]);
+  clearTimeout(timer);
+  
+  const pending = enabledServers.filter((server, index) => !slices[index]).map(server => server.name);
+  if (pending.length > 0) {
+    log(`Listing tools without ${pending.join(', ')}, still waiting after ${timeout}ms`);
+    Promise.all(fetches)
+      .then(() => refreshToolList())
+      .catch(error => {
+        log('Error refreshing tools after a partial list:', error);
+      });
+  }
+  
+  const tools = limitTools(slices.filter(Boolean).flat(), config);
+  return { tools, pending };
+}
+
+/**
+ * Get the number of tools a server exposed when its tools were last fetched
+ * @param {string} serverName - Server name
+ * @returns {number|null} Number of tools, or null if they were never fetched
+ */
+function getKnownToolCount(serverName) {
+  return toolCounts.has(serverName) ? toolCounts.get(serverName) : null;
+}
+
+/**
+ * Fetch a server's tools to count them, also for servers that are not enabled yet
+ * @param {Object} server - Server configuration
+ * @returns {Promise<number|null>} Number of tools after filtering, or null if the server never answered
+ */
+async function countServerTools(server) {
+  await fetchServerList('tools', server);
+  return getKnownToolCount(server.name);
+}
+
+/**
+ * Fetch the tools of servers that are missing from the tool catalog
+ * Each server is tried once per run unless `forceRefresh` is set. Servers that
+ * are not enabled are stopped again and their tools are not cached.
+ * @param {boolean} forceRefresh - Fetch every server's tools again
+ * @returns {Promise<void>}
+ */
+async function refreshCatalog(forceRefresh = false) {
+  const servers = getConfig().servers
+    .filter(server => forceRefresh || (!cataloguedServers.has(server.name) && !hasServerTools(server.name)));
+  
+  await Promise.all(servers.map(async (server) => {
+    cataloguedServers.add(server.name);
+    if (server.enabled) {
+      await getServerList('tools', server, forceRefresh);
+      return;
+    }
+    
+    log(`Fetching tools of disabled server ${server.name} for the tool catalog`);
+    await fetchServerList('tools', server);
+    caches.tools.delete(server.name);
+    stopServer(server);
+  }));
+}
+
+/**
+ * Get how much of the `tool_limit` budget the enabled servers use
+ * Core tools count against the budget; servers whose tools were never fetched count as none
+ * @param {Object} config - Server configuration
+ * @returns {Object} Object with the `limit`, the tools `used` and the `remaining` headroom
+ */
+function getToolBudget(config) {
+  const serverTools = config.servers
+    .filter(server => server.enabled)
+    .reduce((sum, server) => sum + (toolCounts.get(server.name) || 0), 0);
+  const used = getCoreTools().length + serverTools;
+  
+  return { limit: config.tool_limit, used, remaining: config.tool_limit - used };
+}
+
+/**
+ * Record that a server was used, when it is enabled or one of its tools is called
+ * @param {string} serverName - Server name
+ */
+function recordServerUse(serverName) {
+  lastUsed.set(serverName, Date.now());
+}
+
+/**
+ * Get when a server was last used
+ * @param {string} serverName - Server name
+ * @returns {number|null} Timestamp, or null if it was not used since the switcher started
+ */
+function getLastUsed(serverName) {
+  return lastUsed.has(serverName) ? lastUsed.get(serverName) : null;
+}
+
+/**
+ * Get a signature of a list, which changes whenever a client would see a difference
+ * @param {Array} items - List items
+ * @returns {string} Signature
+ */
+function getListSignature(items) {
+  return JSON.stringify(items);
+}
+
+/**
+ * Record the tool list sent to the client in a tools/list response
+ * @param {Array} tools - List of tools
+ */
+function recordListedTools(tools) {
+  knownSignatures.tools = getListSignature(tools);
+}
+
+/**
+ * Record a list other than tools sent to the client in a list response
+ * @param {string} list - 'prompts', 'resources' or 'resourceTemplates'
+ * @param {Array} items - List items
+ */
+function recordListed(list, items) {
+  knownSignatures[list] = getListSignature(items);
+}
+
+/**
+ * Tell the client a list changed, if it differs from the one the client already knows
+ * @param {string} list - 'tools', 'prompts', 'resources' or 'resourceTemplates'
+ * @param {Array} items - The list as the client would now see it
+ * @param {string} [notifiedList] - List named in the notification, if not the list itself
+ */
+function announceIfChanged(list, items, notifiedList = list) {
+  const signature = getListSignature(items);
+  
+  if (signature === knownSignatures[list]) {
+    log(`${list} list unchanged (${items.length} ${list})`);
+    return;
+  }
+  
+  log(`${list} list changed (${items.length} ${list}), notifying the client`);
+  knownSignatures[list] = signature;
+  notifyListChanged(notifiedList);
+}
+
+/**
+ * Fetch the tools the client can see and tell it if they changed
+ * Nothing is sent when the list is the same as the one the client already knows
+ * @param {boolean} forceRefresh - Force refresh the cache
+ * @returns {Promise<Array>} List of all tools
+ */
+async function refreshToolList(forceRefresh = false) {
+  const tools = await getAllTools(forceRefresh);
+  announceIfChanged('tools', tools);
+  return tools;
+}
+
+/**
+ * Fetch the prompts the client can see and tell it if they changed
+ * @param {boolean} forceRefresh - Force refresh the cache
+ * @returns {Promise<Array>} List of prompts
+ */
+async function refreshPromptList(forceRefresh = false) {
+  const prompts = await fetchPromptsFromEnabledServers(forceRefresh);
+  announceIfChanged('prompts', prompts);
+  return prompts;
 }
 
 /**
- * Invalidate the tools cache
+ * Fetch the resources and resource templates the client can see and tell it if they changed
+ * Both are covered by notifications/resources/list_changed
+ * @param {boolean} forceRefresh - Force refresh the cache
+ * @returns {Promise<Array>} List of resources
+ */
+async function refreshResourceList(forceRefresh = false) {
+  const [resources, templates] = await Promise.all([
+    fetchResourcesFromEnabledServers(forceRefresh),
+    fetchResourceTemplatesFromEnabledServers(forceRefresh)
+  ]);
+  announceIfChanged('resources', resources);
+  announceIfChanged('resourceTemplates', templates, 'resources');
+  return resources;
+}
+
+// Functions that fetch the complete lists the client sees and announce changes,
+// keyed by the list named in the notification
+const listRefreshers = {
+  tools: refreshToolList,
+  prompts: refreshPromptList,
+  resources: refreshResourceList
+};
+
+/**
+ * Fetch the tools, prompts and resources the client can see and tell it about changes
+ * @returns {Promise} Resolves once all lists are fetched
  */
-function invalidateCache() {
+async function refreshLists() {
+  await Promise.all(Object.values(listRefreshers).map(refresh => refresh()));
+}
+
+/**
+ * Invalidate the tools, prompts and resources cache
+ * @param {string} [serverName] - Only invalidate this server's lists
+ */
+function invalidateCache(serverName) {
+  if (serverName) {
+    log(`Invalidating tools cache for ${serverName}`);
+    Object.values(caches).forEach(cache => cache.delete(serverName));
+    return;
+  }
+  
   log('Invalidating tools cache');
-  toolsCache = {
-    timestamp: 0,
-    tools: []
-  };
+  Object.values(caches).forEach(cache => cache.clear());
 }
 
+/**
+ * Handle a list_changed notification from an upstream server
+ * Only that server's lists covered by the notification are fetched again, then the client is told
+ * @param {string} list - 'tools', 'prompts' or 'resources'
+ * @param {Object} server - Server configuration
+ * @param {Object} message - JSON-RPC notification
+ */
+function handleUpstreamListChanged(list, server, message) {
+  const current = getConfig().servers.find(s => s.name === server.name && s.enabled);
+  if (!current) {
+    log(`Ignoring ${message.method} from ${server.name}, it is not enabled`);
+    return;
+  }
+  
+  // A change announced while the list is being fetched needs one more fetch
+  const key = `${list}:${server.name}`;
+  if (pendingRefreshes.has(key)) {
+    pendingRefreshes.get(key).again = true;
+    return;
+  }
+  
+  log(`${server.name} sent ${message.method}, refreshing its ${list}`);
+  const refresh = { again: false };
+  pendingRefreshes.set(key, refresh);
+  
+  const fetches = () => Promise.all(notifiedLists[list].map(cached => fetchServerList(cached, current)));
+  const run = () => fetches().then(() => {
+    if (refresh.again) {
+      refresh.again = false;
+      return run();
+    }
+    pendingRefreshes.delete(key);
+    return listRefreshers[list]();
+  });
+  run().catch(error => {
+    log(`Error refreshing ${list} after ${message.method} from ${server.name}:`, error);
+  });
+}
+
+// Hide the tools of servers whose circuit opens, and bring them back once it closes
+circuitBreaker.onStateChange((serverName, state) => {
+  log(`Circuit for ${serverName} is ${state}, invalidating its tools`);
+  invalidateCache(serverName);
+  refreshLists().catch(error => {
+    log('Error refreshing lists after circuit change:', error);
+  });
+});
+
+// Keep each server's lists up to date as it announces changes
+for (const list of Object.keys(notifiedLists)) {
+  onUpstreamNotification(`notifications/${list}/list_changed`, (server, message) => {
+    handleUpstreamListChanged(list, server, message);
+  });
+}
+
+// No server's tool may be exposed under the name of a core tool
+reserveNames('tools', getCoreTools().map(tool => tool.name));
+
 module.exports = {
   getCoreTools,
   fetchToolsFromEnabledServers,
   getAllTools,
+  listTools,
+  fetchPromptsFromEnabledServers,
+  fetchResourcesFromEnabledServers,
+  fetchResourceTemplatesFromEnabledServers,
+  findTool,
+  findPrompt,
+  getKnownToolCount,
+  countServerTools,
+  getToolBudget,
+  refreshCatalog,
+  recordServerUse,
+  getLastUsed,
+  refreshToolList,
+  refreshPromptList,
+  refreshResourceList,
+  refreshLists,
+  recordListedTools,
+  recordListed,
   invalidateCache
 };
@@ -4,12 +4,85 @@
  */
 const { log } = require('./logger');
 const { getConfig, saveConfig, getEnabledCount } = require('./config');
+const { stopServer } = require('./client');
+const { dropSubscriptions } = require('./subscriptions');
+const { startLogin } = require('./oauth');
+const { getState: getCircuitState } = require('./circuit-breaker');
+const { isToolAllowed, includeTool, excludeTool } = require('./tool-filters');
+const { searchCatalog } = require('./catalog');
 const { 
   getCoreTools: getToolsList, 
   fetchToolsFromEnabledServers: fetchTools,
-  invalidateCache
+  refreshLists,
+  invalidateCache,
+  getKnownToolCount,
+  countServerTools,
+  getToolBudget,
+  refreshCatalog,
+  recordServerUse,
+  getLastUsed
 } = require('./tools-manager');
 
+// Tools returned by mcp0_tools_search unless a limit is given
+const DEFAULT_SEARCH_LIMIT = 10;
+
+// Changes to servers.json made by the core tools, and catalog refreshes that
+// stop disabled servers, run one at a time so that a change waiting on a server
+// cannot overwrite one saved meanwhile
+let configChanges = Promise.resolve();
+
+/**
+ * Run a change to servers.json once the changes queued before it are done
+ * @param {Function} change - Makes the change, may return a promise
+ * @returns {Promise} Result of the change
+ */
+function queueConfigChange(change) {
+  const result = configChanges.then(change);
+  configChanges = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Fetch the tool and prompt lists again after a change, telling the client if they changed
+ * @param {string} reason - What changed, for log messages
+ */
+function updateLists(reason) {
+  refreshLists()
+    .catch(error => {
+      log(`Error refreshing lists after ${reason}:`, error);
+    });
+}
+
+/**
+ * Pick the servers to disable so that a number of tools fits in the tool limit
+ * Enabled servers that are not `pinned` are taken least recently used first,
+ * with servers that were not used since the switcher started before the rest
+ * @param {Object} config - Servers configuration
+ * @param {Object} target - Server that is being enabled
+ * @param {number} toolCount - Number of tools that has to fit
+ * @param {number} remaining - What is left of the tool limit
+ * @returns {Array|null} Servers to disable, or null if the tools do not fit even without them
+ */
+function pickEvictions(config, target, toolCount, remaining) {
+  const candidates = config.servers
+    .filter(server => server.enabled && !server.pinned && server !== target)
+    .sort((a, b) => (getLastUsed(a.name) || 0) - (getLastUsed(b.name) || 0));
+  
+  const evictions = [];
+  for (const server of candidates) {
+    if (toolCount <= remaining) {
+      break;
+    }
+    const freed = getKnownToolCount(server.name) || 0;
+    if (freed > 0) {
+      evictions.push(server);
+      remaining += freed;
+    }
+  }
+  
+  return toolCount <= remaining ? evictions : null;
+}
+
 /**
  * Get the list of core tools
  * @returns {Array} List of core tools
@@ -28,33 +101,35 @@ async function handleServersList(message, sendResponse, sendNotification) {
   const config = getConfig();
   
   // Format the output to be more clear
-  const formattedServers = config.servers.map(server => ({
-    name: server.name,
-    url: server.url,
-    status: server.enabled ? 'ENABLED' : 'DISABLED'
-  }));
+  const formattedServers = config.servers.map(server => {
+    const circuit = getCircuitState(server.name);
+    return {
+      name: server.name,
+      url: server.url,
+      status: server.enabled ? 'ENABLED' : 'DISABLED',
+      tool_count: getKnownToolCount(server.name),
+      pinned: server.pinned === true,
+      last_used: getLastUsed(server.name) ? new Date(getLastUsed(server.name)).toISOString() : null,
+      circuit: circuit.state,
+      ...(circuit.lastError ? { last_error: circuit.lastError } : {})
+    };
+  });
   
   log('Formatted servers:', formattedServers);
   
-  // Send update/tools notification to inform clients about available tools
-  sendNotification({
-    jsonrpc: '2.0',
-    method: 'update/tools',
-    params: {
-      message: `Refreshed server list. Found ${formattedServers.length} servers.`
-    }
-  });
-  log('Sent update/tools notification after listing servers');
+  const budget = getToolBudget(config);
   
   // Return a more detailed and formatted response
   sendResponse({
     jsonrpc: '2.0',
     result: {
       data: {
-        tool_limit: config.tool_limit,
+        tool_limit: budget.limit,
+        tool_count: budget.used,
+        remaining: budget.remaining,
         enabled_count: getEnabledCount(config),
         servers: formattedServers,
-        message: `Found ${formattedServers.length} servers. ${getEnabledCount(config)} enabled out of limit ${config.tool_limit}.`
+        message: `Found ${formattedServers.length} servers. ${getEnabledCount(config)} enabled, using ${budget.used} of ${budget.limit} tools (${budget.remaining} remaining).`
       }
     },
     id: message.id
@@ -69,6 +144,16 @@ async function handleServersList(message, sendResponse, sendNotification) {
  * @param {Function} sendNotification - Function to send notification
  */
 async function handleServersEnable(message, toolParams, sendResponse, sendNotification) {
+  return queueConfigChange(() => enableServer(message, toolParams, sendResponse));
+}
+
+/**
+ * Enable a server for the servers_enable tool, if its tools fit in the tool limit
+ * @param {Object} message - JSON-RPC message
+ * @param {Object} toolParams - Tool parameters, with the server `name`
+ * @param {Function} sendResponse - Function to send response
+ */
+async function enableServer(message, toolParams, sendResponse) {
   const config = getConfig();
   const serverName = toolParams.name || 'MCP Alpha';
   
@@ -109,13 +194,29 @@ async function handleServersEnable(message, toolParams, sendResponse, sendNotifi
     return sendResponse(alreadyEnabledResponse);
   }
   
-  const enabledCount = getEnabledCount(config);
-  if (enabledCount >= config.tool_limit) {
+  // The server's tools have to fit in what is left of the tool limit. With
+  // auto_switch, least recently used servers are disabled to make room for them.
+  // A server whose tools cannot be counted is not enabled
+  const toolCount = await countServerTools(server);
+  const budget = getToolBudget(config);
+  const fits = toolCount !== null && toolCount <= budget.remaining;
+  const evictions = fits ? [] : (toolCount !== null && config.auto_switch === true ? pickEvictions(config, server, toolCount, budget.remaining) : null);
+  if (!evictions) {
+    stopServer(server);
+    invalidateCache(server.name);
+    
+    let reason = config.auto_switch === true
+      ? `Enabling '${serverName}' would add ${toolCount} tools, which do not fit in the tool limit (${budget.limit}) even after disabling every unpinned server. Disable some of its tools first.`
+      : `Enabling '${serverName}' would add ${toolCount} tools, but only ${Math.max(budget.remaining, 0)} of the tool limit (${budget.limit}) are left. Disable another server or its tools first.`;
+    if (toolCount === null) {
+      reason = `The tools of server '${serverName}' could not be counted against the tool limit. Try again once it can be reached.`;
+    }
+    
     const limitResponse = {
       jsonrpc: '2.0',
       error: {
         code: -32602,
-        message: `Tool limit (${config.tool_limit}) reached. Disable another server first.`
+        message: reason
       },
       id: message.id
     };
@@ -123,33 +224,38 @@ async function handleServersEnable(message, toolParams, sendResponse, sendNotifi
     return sendResponse(limitResponse);
   }
   
+  evictions.forEach(evicted => {
+    log(`Disabling least recently used server ${evicted.name} to make room for ${serverName}`);
+    evicted.enabled = false;
+    stopServer(evicted);
+    dropSubscriptions(evicted.name);
+    invalidateCache(evicted.name);
+  });
+  
   server.enabled = true;
   saveConfig(config);
+  recordServerUse(server.name);
+  const remaining = getToolBudget(config).remaining;
   
-  // Invalidate the tools cache since server status has changed
-  invalidateCache();
-  
-  // Send update/tools notification to inform clients about the change
-  sendNotification({
-    jsonrpc: '2.0',
-    method: 'update/tools',
-    params: {
-      message: `Server '${serverName}' enabled. Refreshing tools...`
-    }
-  });
-  log('Sent update/tools notification after enabling server');
+  // Fetch the server's tools and prompts, telling the client once they are available
+  invalidateCache(server.name);
+  updateLists(`enabling ${serverName}`);
   
+  const evictedNames = evictions.map(evicted => evicted.name);
   const successResponse = {
     jsonrpc: '2.0',
     result: {
       data: { 
         success: true, 
-        message: `Server '${serverName}' enabled`,
+        message: `Server '${serverName}' enabled with ${toolCount} tools, ${remaining} of the tool limit remaining` +
+          (evictedNames.length > 0 ? `. Disabled ${evictedNames.join(', ')} to make room.` : ''),
         server: {
           name: server.name,
           url: server.url,
-          status: 'ENABLED'
-        }
+          status: 'ENABLED',
+          tool_count: toolCount
+        },
+        evicted: evictedNames
       }
     },
     id: message.id
@@ -166,6 +272,16 @@ async function handleServersEnable(message, toolParams, sendResponse, sendNotifi
  * @param {Function} sendNotification - Function to send notification
  */
 async function handleServersDisable(message, toolParams, sendResponse, sendNotification) {
+  return queueConfigChange(() => disableServer(message, toolParams, sendResponse));
+}
+
+/**
+ * Disable a server for the servers_disable tool
+ * @param {Object} message - JSON-RPC message
+ * @param {Object} toolParams - Tool parameters, with the server `name`
+ * @param {Function} sendResponse - Function to send response
+ */
+function disableServer(message, toolParams, sendResponse) {
   const config = getConfig();
   const serverName = toolParams.name || 'MCP Beta';
   
@@ -209,15 +325,13 @@ async function handleServersDisable(message, toolParams, sendResponse, sendNotif
   server.enabled = false;
   saveConfig(config);
   
-  // Send update/tools notification to inform clients about the change
-  sendNotification({
-    jsonrpc: '2.0',
-    method: 'update/tools',
-    params: {
-      message: `Server '${serverName}' disabled`
-    }
-  });
-  log('Sent update/tools notification after disabling server');
+  // Shut down the server's persistent session, if it has one
+  stopServer(server);
+  dropSubscriptions(server.name);
+  
+  // The server's tools and prompts disappear from the lists
+  invalidateCache(server.name);
+  updateLists(`disabling ${serverName}`);
   
   const successResponse = {
     jsonrpc: '2.0',
@@ -239,44 +353,262 @@ async function handleServersDisable(message, toolParams, sendResponse, sendNotif
 }
 
 /**
- * Handle the refresh_tools tool
+ * Handle the servers_login tool
  * @param {Object} message - JSON-RPC message
+ * @param {Object} toolParams - Tool parameters
  * @param {Function} sendResponse - Function to send response
  * @param {Function} sendNotification - Function to send notification
  */
-async function handleRefreshTools(message, sendResponse, sendNotification) {
-  log('Handling refresh_tools request');
+async function handleServersLogin(message, toolParams, sendResponse, sendNotification) {
+  const config = getConfig();
+  const serverName = toolParams.name;
   
-  // Invalidate the tools cache
-  invalidateCache();
+  log(`Starting login for server: ${serverName}`);
+  
+  const server = config.servers.find(s => s.name === serverName);
+  
+  if (!server) {
+    const errorResponse = {
+      jsonrpc: '2.0',
+      error: {
+        code: -32602,
+        message: `Server '${serverName}' not found`
+      },
+      id: message.id
+    };
+    log('Server not found, sending error:', errorResponse);
+    return sendResponse(errorResponse);
+  }
+  
+  let login;
+  try {
+    login = await startLogin(server);
+  } catch (error) {
+    log(`Error starting login for ${serverName}:`, error.message);
+    return sendResponse({
+      jsonrpc: '2.0',
+      error: {
+        code: -32603,
+        message: `Could not start login for '${serverName}': ${error.message}`
+      },
+      id: message.id
+    });
+  }
   
-  // Send update/tools notification to inform clients about refreshed tools
-  sendNotification({
+  // Once signed in, the server's tools can be fetched
+  login.completion
+    .then(() => {
+      invalidateCache(server.name);
+      updateLists(`signing in to ${serverName}`);
+    })
+    .catch(() => {});
+  
+  return sendResponse({
     jsonrpc: '2.0',
-    method: 'update/tools',
-    params: {
-      message: `Refreshed tool cache. Checking for tools from all enabled servers.`
-    }
+    result: {
+      data: {
+        success: true,
+        message: `Open the authorization URL in a browser to sign in to '${serverName}'`,
+        authorization_url: login.authorizationUrl
+      }
+    },
+    id: message.id
   });
-  log('Sent update/tools notification for refresh_tools');
+}
+
+/**
+ * Change a server's tool filters for the tools_enable and tools_disable tools
+ * Enabling tools of an enabled server is refused when they do not fit in the tool limit
+ * @param {Object} message - JSON-RPC message
+ * @param {Object} toolParams - Tool parameters, with the `server` name and the `tool` name or pattern
+ * @param {Function} sendResponse - Function to send response
+ * @param {string} action - 'enable' or 'disable'
+ */
+async function changeToolFilters(message, toolParams, sendResponse, action) {
+  const config = getConfig();
+  const { server: serverName, tool } = toolParams;
+  
+  log(`${action === 'enable' ? 'Enabling' : 'Disabling'} tool ${tool} of server: ${serverName}`);
   
-  // Fetch tools from all enabled servers with force refresh
-  fetchToolsFromEnabledServers(true)
-    .then(tools => {
-      log(`Refreshed ${tools.length} tools from enabled servers`);
+  const server = config.servers.find(s => s.name === serverName);
+  
+  if (!server || !tool) {
+    const errorResponse = {
+      jsonrpc: '2.0',
+      error: {
+        code: -32602,
+        message: server ? 'A tool name or pattern is required' : `Server '${serverName}' not found`
+      },
+      id: message.id
+    };
+    log('Invalid tool filter change, sending error:', errorResponse);
+    return sendResponse(errorResponse);
+  }
+  
+  if (action === 'enable') {
+    const previousFilters = {
+      includeTools: server.includeTools && [...server.includeTools],
+      excludeTools: server.excludeTools && [...server.excludeTools]
+    };
+    const blockingPattern = includeTool(server, tool);
+    if (blockingPattern) {
+      return sendResponse({
+        jsonrpc: '2.0',
+        error: {
+          code: -32602,
+          message: `Tool '${tool}' is still excluded by the pattern '${blockingPattern}' of server '${serverName}'. Enable '${blockingPattern}' first.`
+        },
+        id: message.id
+      });
+    }
+    
+    // The server's tools are counted again with the new filters, and have to fit in the tool limit
+    const toolCount = server.enabled ? await countServerTools(server) : 0;
+    const budget = getToolBudget(config);
+    if (toolCount === null || budget.remaining < 0) {
+      Object.assign(server, previousFilters);
+      await countServerTools(server);
       
-      // Send another notification with the result
-      sendNotification({
+      const limitResponse = {
         jsonrpc: '2.0',
-        method: 'update/tools',
-        params: {
-          message: `Found ${tools.length} tools from enabled servers.`
+        error: {
+          code: -32602,
+          message: toolCount === null
+            ? `The tools of server '${serverName}' could not be counted against the tool limit. Try again once it can be reached.`
+            : `Enabling '${tool}' would give server '${serverName}' ${toolCount} tools, ${-budget.remaining} more than the tool limit (${budget.limit}) allows. Disable another server or other tools first.`
+        },
+        id: message.id
+      };
+      log('Tool limit reached, sending error:', limitResponse);
+      return sendResponse(limitResponse);
+    }
+  } else {
+    excludeTool(server, tool);
+  }
+  saveConfig(config);
+  
+  // The server's tools are fetched and filtered again
+  invalidateCache(server.name);
+  updateLists(`${action === 'enable' ? 'enabling' : 'disabling'} ${tool} of ${serverName}`);
+  
+  const successResponse = {
+    jsonrpc: '2.0',
+    result: {
+      data: {
+        success: true,
+        message: `Tool '${tool}' of server '${serverName}' ${action}d`,
+        server: {
+          name: server.name,
+          includeTools: server.includeTools || [],
+          excludeTools: server.excludeTools || []
         }
-      });
-    })
-    .catch(error => {
-      log('Error refreshing tools:', error);
-    });
+      }
+    },
+    id: message.id
+  };
+  log('Tool filters changed, sending response:', successResponse);
+  return sendResponse(successResponse);
+}
+
+/**
+ * Handle the tools_enable tool
+ * @param {Object} message - JSON-RPC message
+ * @param {Object} toolParams - Tool parameters
+ * @param {Function} sendResponse - Function to send response
+ * @param {Function} sendNotification - Function to send notification
+ */
+async function handleToolsEnable(message, toolParams, sendResponse, sendNotification) {
+  return queueConfigChange(() => changeToolFilters(message, toolParams, sendResponse, 'enable'));
+}
+
+/**
+ * Handle the tools_disable tool
+ * @param {Object} message - JSON-RPC message
+ * @param {Object} toolParams - Tool parameters
+ * @param {Function} sendResponse - Function to send response
+ * @param {Function} sendNotification - Function to send notification
+ */
+async function handleToolsDisable(message, toolParams, sendResponse, sendNotification) {
+  return queueConfigChange(() => changeToolFilters(message, toolParams, sendResponse, 'disable'));
+}
+
+/**
+ * Handle the tools_search tool
+ * Searches the tool catalog, which also holds the tools of disabled servers
+ * @param {Object} message - JSON-RPC message
+ * @param {Object} toolParams - Tool parameters, with the `query` and optional `limit` and `refresh`
+ * @param {Function} sendResponse - Function to send response
+ * @param {Function} sendNotification - Function to send notification
+ */
+async function handleToolsSearch(message, toolParams, sendResponse, sendNotification) {
+  const { query, refresh } = toolParams;
+  const limit = Number.isInteger(toolParams.limit) && toolParams.limit > 0 ? toolParams.limit : DEFAULT_SEARCH_LIMIT;
+  
+  log(`Searching tools for: ${query}`);
+  
+  if (typeof query !== 'string' || query.trim() === '') {
+    const errorResponse = {
+      jsonrpc: '2.0',
+      error: {
+        code: -32602,
+        message: 'A search query is required'
+      },
+      id: message.id
+    };
+    log('Invalid tool search, sending error:', errorResponse);
+    return sendResponse(errorResponse);
+  }
+  
+  // Servers that were never reached are fetched first, so their tools can be found.
+  // Disabled servers are stopped again afterwards, so this waits for queued
+  // changes to servers.json and holds back a server being enabled meanwhile
+  await queueConfigChange(() => refreshCatalog(refresh === true));
+  
+  const config = getConfig();
+  const servers = new Map(config.servers.map(server => [server.name, server]));
+  const tools = searchCatalog(query, [...servers.keys()], limit).map(({ serverName, tool, score }) => {
+    const server = servers.get(serverName);
+    const toolEnabled = isToolAllowed(server, tool.name);
+    return {
+      name: server.enabled && toolEnabled ? tool.exposed_name : null,
+      tool: tool.name,
+      description: tool.description,
+      server: serverName,
+      server_enabled: server.enabled === true,
+      tool_enabled: toolEnabled,
+      score: Math.round(score * 1000) / 1000
+    };
+  });
+  
+  const successResponse = {
+    jsonrpc: '2.0',
+    result: {
+      data: {
+        success: true,
+        message: tools.length === 0
+          ? `No tools found for '${query}'`
+          : `Found ${tools.length} tools for '${query}'. Enable a server with mcp0_servers_enable, or a tool with mcp0_tools_enable, to call tools that are not enabled.`,
+        tools
+      }
+    },
+    id: message.id
+  };
+  log('Tool search done, sending response:', successResponse);
+  return sendResponse(successResponse);
+}
+
+/**
+ * Handle the refresh_tools tool
+ * @param {Object} message - JSON-RPC message
+ * @param {Function} sendResponse - Function to send response
+ * @param {Function} sendNotification - Function to send notification
+ */
+async function handleRefreshTools(message, sendResponse, sendNotification) {
+  log('Handling refresh_tools request');
+  
+  // Fetch tools and prompts from all enabled servers again, telling the client if they changed
+  invalidateCache();
+  updateLists('refresh_tools');
   
   return sendResponse({
     jsonrpc: '2.0',
@@ -305,6 +637,10 @@ module.exports = {
   handleServersList,
   handleServersEnable,
   handleServersDisable,
+  handleServersLogin,
+  handleToolsEnable,
+  handleToolsDisable,
+  handleToolsSearch,
   handleRefreshTools,
   fetchToolsFromEnabledServers
 };
@@ -0,0 +1,79 @@
+/**
+ * Upstream logging module for the Cascade MCP Server
+ * Passes the client's `logging/setLevel` on to the servers that offer logging,
+ * and relays their notifications/message log messages to the client
+ */
+const { log } = require('./logger');
+const { getConfig } = require('./config');
+const { forwardRequest, getServerCapabilities } = require('./client');
+const { notifyClient, onUpstreamNotification } = require('./notifications');
+
+// Log levels from least to most severe, as defined by the MCP specification
+const LOG_LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+
+// Least severe level the client asked for; messages below it are not relayed
+let minimumLevel = null;
+
+/**
+ * Check whether a log level is one the specification defines
+ * @param {string} level - Log level
+ * @returns {boolean} True if it is known
+ */
+function isLogLevel(level) {
+  return LOG_LEVELS.includes(level);
+}
+
+/**
+ * Set the level of the log messages the client receives
+ * The level is sent to every enabled server that offers logging and is
+ * connected; messages from servers that connect later are filtered here
+ * @param {string} level - Least severe level to relay
+ * @param {number} messageId - Message ID of the client's request
+ * @returns {Promise<void>}
+ */
+async function setLogLevel(level, messageId) {
+  minimumLevel = level;
+
+  const servers = getConfig().servers.filter(server => {
+    const capabilities = server.enabled ? getServerCapabilities(server) : null;
+    return capabilities && capabilities.logging;
+  });
+
+  await Promise.all(servers.map(server =>
+    forwardRequest(server, 'logging/setLevel', { level }, messageId)
+      .then(response => {
+        if (response.error) {
+          log(`${server.name} refused log level ${level}: ${response.error.message}`);
+        }
+      })
+      .catch(error => {
+        log(`Error setting log level of ${server.name}: ${error.message}`);
+      })
+  ));
+}
+
+/**
+ * Relay a log message from an upstream server to the client
+ * The logger name is prefixed with the server name, so the client can tell the servers apart
+ * @param {Object} server - Server configuration
+ * @param {Object} message - notifications/message notification
+ */
+function relayLogMessage(server, message) {
+  const params = message.params || {};
+  if (minimumLevel && LOG_LEVELS.indexOf(params.level) < LOG_LEVELS.indexOf(minimumLevel)) {
+    return;
+  }
+
+  notifyClient({
+    jsonrpc: '2.0',
+    method: 'notifications/message',
+    params: { ...params, logger: params.logger ? `${server.name}/${params.logger}` : server.name }
+  });
+}
+
+onUpstreamNotification('notifications/message', relayLogMessage);
+
+module.exports = {
+  isLogLevel,
+  setLogLevel
+};
@@ -0,0 +1,94 @@
+/**
+ * Upstream messages module for the Cascade MCP Server
+ * Routes the messages upstream servers send over any transport, and provides
+ * the per-session helpers every transport exports to the client module
+ */
+const { log } = require('./logger');
+const { resolveResponse, handleProgress, rejectAll } = require('./request-router');
+const { handleUpstreamNotification } = require('./notifications');
+const { handleUpstreamRequest, dropUpstreamRequests } = require('./upstream-requests');
+
+/**
+ * Route a message received from a server
+ * @param {Object} session - Session or connection the message arrived on
+ * @param {Object} message - JSON-RPC message
+ * @param {Function} send - Sends a message back over the session, called with the session and message
+ */
+function dispatchServerMessage(session, message, send) {
+  // Responses to our own requests
+  if (message.method === undefined && message.id !== undefined && resolveResponse(session, message)) {
+    return;
+  }
+
+  // Progress on our own requests
+  if (message.method === 'notifications/progress' && handleProgress(session, message)) {
+    return;
+  }
+
+  // Requests for the client, such as sampling/createMessage
+  if (message.method !== undefined && message.id !== undefined) {
+    handleUpstreamRequest(session, message, response => send(session, response));
+    return;
+  }
+
+  // Notifications handled elsewhere, such as list changes
+  if (message.method !== undefined && message.id === undefined && handleUpstreamNotification(session.server, message)) {
+    return;
+  }
+
+  log(`Ignoring message from ${session.server.name}:`, message);
+}
+
+/**
+ * Settle everything that waits on a session that closed
+ * Requests sent over it fail, and requests it forwarded to the client are cancelled there
+ * @param {Object} session - Session or connection that closed
+ * @param {Error} error - Cause
+ */
+function releaseSession(session, error) {
+  rejectAll(session, error);
+  dropUpstreamRequests(session);
+}
+
+/**
+ * Create the capability and notification helpers a transport exports
+ * Both only use sessions that have finished their initialize handshake
+ * @param {Map} sessions - The transport's sessions, keyed by server name
+ * @param {Function} send - Sends a message over a session, called with the session and message
+ * @returns {Object} Object with `getCapabilities(serverName)` and `notify(serverName, message)`
+ */
+function createSessionAccess(sessions, send) {
+  return {
+    /**
+     * Get the capabilities a server announced in its initialize response
+     * @param {string} serverName - Server name
+     * @returns {Object|null} Capabilities, or null without an initialized session
+     */
+    getCapabilities(serverName) {
+      const session = sessions.get(serverName);
+      return session && session.capabilities ? session.capabilities : null;
+    },
+
+    /**
+     * Send a notification to a server over its session, if it is initialized
+     * @param {string} serverName - Server name
+     * @param {Object} message - JSON-RPC notification
+     * @returns {Promise<boolean>} True if the notification was sent
+     */
+    async notify(serverName, message) {
+      const session = sessions.get(serverName);
+      if (!session || !session.capabilities || session.closed) {
+        return false;
+      }
+
+      await send(session, message);
+      return true;
+    }
+  };
+}
+
+module.exports = {
+  dispatchServerMessage,
+  releaseSession,
+  createSessionAccess
+};
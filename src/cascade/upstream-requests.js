@@ -0,0 +1,196 @@
+/**
+ * Upstream requests module for the Cascade MCP Server
+ * Forwards the requests upstream servers send to the client, such as
+ * sampling/createMessage, and returns the client's answers to the server
+ * that asked
+ */
+const { log } = require('./logger');
+const { getConfig } = require('./config');
+const { holdTimeouts, releaseTimeouts } = require('./request-router');
+const { getClientSession, clientSupports } = require('./client-session');
+const { notifyClient, onUpstreamNotification } = require('./notifications');
+
+// Requests forwarded to the client, with the client capability each one needs
+const FORWARDED_METHODS = {
+  'sampling/createMessage': 'sampling',
+  'elicitation/create': 'elicitation',
+  'roots/list': 'roots'
+};
+
+// How long the client has to answer without `client_request_timeout_ms` (5 minutes)
+const DEFAULT_CLIENT_REQUEST_TIMEOUT = 5 * 60 * 1000;
+
+// Requests waiting for the client's answer, keyed by the id sent to the client
+const pending = new Map();
+
+// Next id for requests sent to the client
+let nextId = 1;
+
+/**
+ * Get the capabilities offered to upstream servers in their initialize request
+ * Servers are offered what the client announced of sampling, elicitation and
+ * roots, since their requests for those are forwarded to the client
+ * @returns {Object} Client capabilities
+ */
+function getForwardedCapabilities() {
+  const session = getClientSession();
+  const capabilities = {};
+
+  for (const capability of Object.values(FORWARDED_METHODS)) {
+    if (session && session.capabilities[capability]) {
+      capabilities[capability] = session.capabilities[capability];
+    }
+  }
+  return capabilities;
+}
+
+/**
+ * Send a response back to an upstream server
+ * @param {Object} server - Server configuration
+ * @param {Function} reply - Sends a message over the server's session
+ * @param {Object} response - JSON-RPC response
+ */
+function sendReply(server, reply, response) {
+  Promise.resolve()
+    .then(() => reply(response))
+    .catch(error => {
+      log(`Error answering request ${response.id} from ${server.name}: ${error.message}`);
+    });
+}
+
+/**
+ * Handle a request an upstream server sent to the switcher
+ * `ping` is answered directly; sampling, elicitation and roots requests are
+ * forwarded to the client when it announced the capability. While the client
+ * works on one, the timeouts of the requests sent over the session are held,
+ * and the server is answered with an error if the client takes longer than
+ * `client_request_timeout_ms`.
+ * @param {Object} session - Session or connection the request arrived on
+ * @param {Object} message - JSON-RPC request
+ * @param {Function} reply - Sends a message back over the server's session
+ */
+function handleUpstreamRequest(session, message, reply) {
+  const server = session.server;
+  if (message.method === 'ping') {
+    sendReply(server, reply, { jsonrpc: '2.0', result: {}, id: message.id });
+    return;
+  }
+
+  const capability = FORWARDED_METHODS[message.method];
+  if (!capability || !clientSupports(capability)) {
+    log(`Rejecting ${message.method} from ${server.name}, the client cannot answer it`);
+    sendReply(server, reply, {
+      jsonrpc: '2.0',
+      error: {
+        code: -32601,
+        message: capability ? `Client does not support ${capability}` : `Method not found: ${message.method}`
+      },
+      id: message.id
+    });
+    return;
+  }
+
+  const id = nextId++;
+  const timeout = getConfig().client_request_timeout_ms || DEFAULT_CLIENT_REQUEST_TIMEOUT;
+  const timer = setTimeout(() => {
+    log(`The client did not answer ${id} in time, failing request ${message.id} from ${server.name}`);
+    settleRequest(id, { reason: 'Request timed out' });
+    sendReply(server, reply, {
+      jsonrpc: '2.0',
+      error: { code: -32001, message: `Client did not answer ${message.method} within ${timeout}ms` },
+      id: message.id
+    });
+  }, timeout);
+
+  pending.set(id, { session, server, upstreamId: message.id, reply, timer });
+  holdTimeouts(session);
+  log(`Forwarding ${message.method} from ${server.name} to the client as ${id}`);
+
+  // Requests go out to the client the same way as notifications
+  notifyClient({ jsonrpc: '2.0', id, method: message.method, params: message.params });
+}
+
+/**
+ * Stop tracking a request forwarded to the client
+ * The session's request timeouts are released, and when cancellation params
+ * are given the client is told to stop working on the request
+ * @param {number} id - Id sent to the client
+ * @param {Object} [cancelParams] - Params of the `notifications/cancelled` to send, without the request id
+ */
+function settleRequest(id, cancelParams) {
+  const request = pending.get(id);
+  pending.delete(id);
+  clearTimeout(request.timer);
+  releaseTimeouts(request.session);
+
+  if (cancelParams) {
+    notifyClient({
+      jsonrpc: '2.0',
+      method: 'notifications/cancelled',
+      params: { ...cancelParams, requestId: id }
+    });
+  }
+}
+
+/**
+ * Return the client's answer to the server whose request it answers
+ * @param {Object} message - JSON-RPC response from the client
+ * @returns {boolean} True if the response matched a forwarded request
+ */
+function handleClientResponse(message) {
+  const request = pending.get(message.id);
+  if (!request) {
+    return false;
+  }
+
+  settleRequest(message.id);
+  log(`Returning the client's answer to ${message.id} to ${request.server.name}`);
+
+  const response = message.error
+    ? { jsonrpc: '2.0', error: message.error, id: request.upstreamId }
+    : { jsonrpc: '2.0', result: message.result, id: request.upstreamId };
+  sendReply(request.server, request.reply, response);
+  return true;
+}
+
+/**
+ * Cancel the requests forwarded to the client for a session that closed
+ * Their answers could no longer be returned to the server
+ * @param {Object} session - Session or connection that closed
+ */
+function dropUpstreamRequests(session) {
+  for (const [id, request] of pending) {
+    if (request.session === session) {
+      log(`Session to ${request.server.name} closed, cancelling ${id} on the client`);
+      settleRequest(id, { reason: `Session to ${request.server.name} closed` });
+    }
+  }
+}
+
+/**
+ * Pass on an upstream server's cancellation of a request forwarded to the client
+ * @param {Object} server - Server configuration
+ * @param {Object} message - notifications/cancelled message
+ */
+function handleUpstreamCancelled(server, message) {
+  const upstreamId = message.params?.requestId;
+
+  for (const [id, request] of pending) {
+    if (request.server.name !== server.name || request.upstreamId !== upstreamId) {
+      continue;
+    }
+
+    log(`${server.name} cancelled request ${upstreamId}, cancelling ${id} on the client`);
+    settleRequest(id, message.params);
+    return;
+  }
+}
+
+onUpstreamNotification('notifications/cancelled', handleUpstreamCancelled);
+
+module.exports = {
+  getForwardedCapabilities,
+  handleUpstreamRequest,
+  handleClientResponse,
+  dropUpstreamRequests
+};
@@ -0,0 +1,363 @@
+/**
+ * WebSocket transport for the Cascade MCP Server
+ * Keeps one persistent JSON-RPC-over-WebSocket connection per `ws://`/`wss://`
+ * server, with heartbeats and automatic reconnects
+ */
+const WebSocket = require('ws');
+const { log } = require('./logger');
+const { getAuthHeaders } = require('./auth');
+const { ensureFreshToken, handleUnauthorized } = require('./oauth');
+const { getTlsOptions } = require('./tls');
+const { getUpstreamInitializeParams, checkInitializeResponse } = require('./protocol');
+const { createRequest, rejectRequest, throwIfCancelled, getCancelNotification } = require('./request-router');
+const { dispatchServerMessage, releaseSession, createSessionAccess } = require('./upstream-messages');
+
+// Open connections keyed by server name
+const sessions = new Map();
+
+// Reconnect bookkeeping for servers whose connection dropped, keyed by server name
+const reconnects = new Map();
+
+// Default timeout for requests sent over a connection
+const REQUEST_TIMEOUT = 5000;
+
+// Timeout for opening the connection and the initialize handshake
+const CONNECT_TIMEOUT = 10000;
+
+// Interval between heartbeat pings; a connection that misses a pong is dropped
+const HEARTBEAT_INTERVAL = 30000;
+
+// Delay before the first reconnect, doubled on each further failure
+const RECONNECT_BASE_DELAY = 500;
+const MAX_RECONNECT_DELAY = 30000;
+
+// How long a connection has to stay up before its drops stop counting towards the backoff
+const STABLE_CONNECTION_TIME = 60000;
+
+/**
+ * Create a connection to a server and start its initialize handshake
+ * @param {Object} server - Server configuration
+ * @returns {Object} Session
+ */
+function createSession(server) {
+  const session = {
+    server,
+    socket: null,
+    closed: false,
+    initialized: false,
+    initializedAt: null,
+    alive: false,
+    heartbeat: null,
+    serverInfo: null,
+    capabilities: null,
+    ready: null
+  };
+
+  const delay = getReconnectDelay(server.name);
+  if (delay > 0) {
+    log(`Reconnecting to ${server.name} in ${delay}ms`);
+  }
+
+  session.ready = new Promise(resolve => setTimeout(resolve, delay))
+    .then(() => ensureFreshToken(server))
+    .then(() => connect(session))
+    .then(() => sendRequest(session, 'initialize', getUpstreamInitializeParams(), { timeout: CONNECT_TIMEOUT }))
+    .then(response => {
+      const result = checkInitializeResponse(server, response);
+
+      session.initialized = true;
+      session.initializedAt = Date.now();
+      session.protocolVersion = result.protocolVersion;
+      session.serverInfo = result.serverInfo || null;
+      session.capabilities = result.capabilities || {};
+      sendMessage(session, { jsonrpc: '2.0', method: 'notifications/initialized' });
+      startHeartbeat(session);
+
+      log(`Server ${server.name} initialized successfully over WebSocket`);
+      return session;
+    });
+
+  session.ready.catch(error => {
+    log(`Error initializing WebSocket connection for ${server.name}: ${error.message}`);
+    closeSessionInternal(session, error);
+  });
+
+  return session;
+}
+
+/**
+ * Open the WebSocket for a session
+ * @param {Object} session - Session
+ * @returns {Promise<void>}
+ */
+function connect(session) {
+  return new Promise((resolve, reject) => {
+    const { server } = session;
+
+    if (session.closed) {
+      return reject(new Error(`Connection to ${server.name} closed`));
+    }
+
+    log(`Connecting to WebSocket server ${server.name} at ${server.url}`);
+
+    const socket = new WebSocket(server.url, {
+      handshakeTimeout: CONNECT_TIMEOUT,
+      headers: getAuthHeaders(server),
+      ...(server.url.startsWith('wss://') ? getTlsOptions(server) : {})
+    });
+    session.socket = socket;
+
+    socket.on('open', () => {
+      session.alive = true;
+      resolve();
+    });
+
+    // Keep the status of a refused handshake, so a 401 can be answered with a token refresh
+    socket.on('unexpected-response', (req, res) => {
+      const error = new Error(`Unexpected server response: ${res.statusCode}`);
+      error.statusCode = res.statusCode;
+      error.response = res;
+      res.resume();
+      reject(error);
+      socket.terminate();
+    });
+
+    socket.on('message', (data) => handleData(session, data.toString()));
+
+    socket.on('pong', () => {
+      session.alive = true;
+    });
+
+    socket.on('error', (error) => {
+      log(`WebSocket error for ${server.name}: ${error.message}`);
+      reject(error);
+    });
+
+    socket.on('close', (code) => {
+      reject(new Error(`Connection to ${server.name} closed with code ${code}`));
+      closeSessionInternal(session, new Error(`Connection to ${server.name} closed with code ${code}`));
+    });
+  });
+}
+
+/**
+ * Ping the server periodically and drop the connection if it stops answering
+ * @param {Object} session - Session
+ */
+function startHeartbeat(session) {
+  session.heartbeat = setInterval(() => {
+    if (!session.alive) {
+      log(`Heartbeat to ${session.server.name} missed, dropping connection`);
+      session.socket.terminate();
+      return;
+    }
+
+    session.alive = false;
+    session.socket.ping();
+  }, HEARTBEAT_INTERVAL);
+  session.heartbeat.unref();
+}
+
+/**
+ * Handle a message received from a server
+ * @param {Object} session - Session
+ * @param {string} data - Raw message
+ */
+function handleData(session, data) {
+  let message;
+  try {
+    message = JSON.parse(data);
+  } catch (e) {
+    log(`Error parsing message from ${session.server.name}: ${e.message}`);
+    log(`Raw message: ${data}`);
+    return;
+  }
+
+  dispatchServerMessage(session, message, sendMessage);
+}
+
+/**
+ * Send a JSON-RPC message over a session
+ * @param {Object} session - Session
+ * @param {Object} message - JSON-RPC message
+ */
+function sendMessage(session, message) {
+  if (session.closed || !session.socket || session.socket.readyState !== WebSocket.OPEN) {
+    throw new Error(`Connection to ${session.server.name} is not open`);
+  }
+  session.socket.send(JSON.stringify(message));
+}
+
+/**
+ * Send a request over a session and wait for the matching response
+ * @param {Object} session - Session
+ * @param {string} method - JSON-RPC method
+ * @param {Object} params - Request params
+ * @param {Object} options - Options for the request router
+ * @returns {Promise<Object>} JSON-RPC response
+ */
+function sendRequest(session, method, params, options) {
+  throwIfCancelled(options);
+
+  const { id, response } = createRequest(session, method, {
+    ...options,
+    onCancel: (requestId, reason) => sendMessage(session, getCancelNotification(requestId, reason))
+  });
+
+  try {
+    sendMessage(session, { jsonrpc: '2.0', id, method, params });
+  } catch (e) {
+    rejectRequest(id, e);
+  }
+
+  return response;
+}
+
+/**
+ * Close a session, failing its pending requests
+ * @param {Object} session - Session
+ * @param {Error} [error] - Cause, when the connection ended unexpectedly
+ */
+function closeSessionInternal(session, error) {
+  if (session.closed) {
+    return;
+  }
+  session.closed = true;
+
+  const { server } = session;
+  const wasInitialized = session.initialized;
+
+  if (sessions.get(server.name) === session) {
+    sessions.delete(server.name);
+  }
+
+  clearInterval(session.heartbeat);
+
+  const reason = error || new Error(`Connection to ${server.name} closed`);
+  releaseSession(session, reason);
+
+  if (session.socket && session.socket.readyState !== WebSocket.CLOSED) {
+    session.socket.terminate();
+  }
+
+  if (!error) {
+    return;
+  }
+
+  log(`WebSocket connection to ${server.name} lost: ${reason.message}`);
+
+  // Drops keep adding to the backoff until a connection stays up for a while
+  const stable = wasInitialized && Date.now() - session.initializedAt >= STABLE_CONNECTION_TIME;
+  const previous = stable ? null : reconnects.get(server.name);
+  reconnects.set(server.name, {
+    count: previous ? previous.count + 1 : 1,
+    closedAt: Date.now()
+  });
+
+  // A healthy connection that dropped is re-established right away; connections
+  // that never came up are only retried on the next request
+  if (wasInitialized) {
+    getSession(server).ready.catch(() => {});
+  }
+}
+
+/**
+ * Get the delay to wait before reconnecting to a server
+ * @param {string} serverName - Server name
+ * @returns {number} Delay in milliseconds
+ */
+function getReconnectDelay(serverName) {
+  const reconnect = reconnects.get(serverName);
+  if (!reconnect) {
+    return 0;
+  }
+
+  const backoff = Math.min(RECONNECT_BASE_DELAY * 2 ** (reconnect.count - 1), MAX_RECONNECT_DELAY);
+  return Math.max(0, reconnect.closedAt + backoff - Date.now());
+}
+
+/**
+ * Get the connection for a server, opening it if needed
+ * @param {Object} server - Server configuration
+ * @returns {Object} Session
+ */
+function getSession(server) {
+  let session = sessions.get(server.name);
+
+  if (!session) {
+    session = createSession(server);
+    sessions.set(server.name, session);
+  }
+
+  return session;
+}
+
+/**
+ * Open the connection to a server and wait until it is initialized
+ * @param {Object} server - Server configuration
+ * @returns {Promise<Object>} Session
+ */
+async function openSession(server) {
+  try {
+    return await getSession(server).ready;
+  } catch (error) {
+    // Servers using OAuth get one more attempt once their token is refreshed
+    if (error.statusCode !== 401 || !(await handleUnauthorized(server, error.response))) {
+      throw error;
+    }
+
+    log(`Reconnecting to ${server.name} with a refreshed token`);
+    reconnects.delete(server.name);
+    return getSession(server).ready;
+  }
+}
+
+/**
+ * Send a request to a server over its connection
+ * @param {Object} server - Server configuration
+ * @param {string} method - JSON-RPC method
+ * @param {Object} params - Request params
+ * @param {Object} [options] - Request options
+ * @param {number} [options.timeout] - Timeout in milliseconds
+ * @param {string|number} [options.clientId] - Id of the client request being forwarded
+ * @param {Function} [options.isCancelled] - Returns true once the client has cancelled; checked once the session is ready
+ * @returns {Promise<Object>} JSON-RPC response
+ */
+async function request(server, method, params = {}, options = {}) {
+  const session = await openSession(server);
+  return sendRequest(session, method, params, { ...options, timeout: options.timeout || REQUEST_TIMEOUT });
+}
+
+/**
+ * Close the connection to a server
+ * @param {string} serverName - Server name
+ */
+function closeSession(serverName) {
+  const session = sessions.get(serverName);
+  if (session) {
+    log(`Closing WebSocket connection to ${serverName}`);
+    closeSessionInternal(session);
+  }
+  reconnects.delete(serverName);
+}
+
+/**
+ * Close all connections
+ */
+function closeAllSessions() {
+  for (const serverName of [...sessions.keys()]) {
+    closeSession(serverName);
+  }
+}
+
+// Capabilities of, and notifications over, initialized sessions
+const { getCapabilities, notify } = createSessionAccess(sessions, sendMessage);
+
+module.exports = {
+  openSession,
+  getCapabilities,
+  notify,
+  request,
+  closeSession,
+  closeAllSessions
+};
@@ -2,9 +2,12 @@
  * Test for the automatic server startup functionality
  * 
  * This test verifies that the Auto Tool Switcher automatically starts
- * enabled MCP servers when it initializes.
+ * enabled MCP servers when it initializes, tells the client once their tools
+ * are in, and lists them.
  */
 const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const { spawn } = require('child_process');
 const readline = require('readline');
@@ -12,6 +15,18 @@ const readline = require('readline');
 // Test configuration
 const TEST_TIMEOUT = 10000; // 10 seconds
 
+// Temporary configs with a single enabled mock server
+const SERVERS_CONFIG_FILE = path.join(os.tmpdir(), `ats-auto-start-servers-${process.pid}.json`);
+const MCP_CONFIG_FILE = path.join(os.tmpdir(), `ats-auto-start-mcp-${process.pid}.json`);
+const CATALOG_FILE = path.join(os.tmpdir(), `ats-auto-start-catalog-${process.pid}.json`);
+fs.writeFileSync(SERVERS_CONFIG_FILE, JSON.stringify({
+  tool_limit: 60,
+  servers: [{ name: 'mock', url: 'mock', enabled: true }]
+}));
+fs.writeFileSync(MCP_CONFIG_FILE, JSON.stringify({
+  mcpServers: { mock: { command: process.execPath, args: [path.join(__dirname, 'mock-mcp-server.js')] } }
+}));
+
 /**
  * Main test function
  */
@@ -24,6 +39,7 @@ async function runTest() {
     [path.join(__dirname, '..', 'cascade-integration.js')],
     {
       cwd: path.join(__dirname, '..'),
+      env: { ...process.env, SERVERS_CONFIG_PATH: SERVERS_CONFIG_FILE, MCP_CONFIG_PATH: MCP_CONFIG_FILE, TOOL_CATALOG_PATH: CATALOG_FILE },
       stdio: ['pipe', 'pipe', 'pipe']
     }
   );
@@ -37,8 +53,7 @@ async function runTest() {
   // Track test state
   let initializeResponseReceived = false;
   let toolsListResponseReceived = false;
-  let serversStartedNotificationReceived = false;
-  let toolsUpdatedNotificationReceived = false;
+  let listChangedNotificationReceived = false;
   
   // Set up a promise that will resolve when the test is complete
   const testPromise = new Promise((resolve, reject) => {
@@ -59,39 +74,38 @@ async function runTest() {
           initializeResponseReceived = true;
         }
         
-        // Check for tools/list response
+        // Check for tools/list response, which must include the started server's tools
         if (message.id === 2 && message.result && message.result.tools) {
           console.log(`✓ Tools list response received with ${message.result.tools.length} tools`);
+          assert(message.result.tools.some(tool => tool.name === 'mock_echo'), 'Started server\'s tools are not listed');
           toolsListResponseReceived = true;
         }
         
-        // Check for update/tools notification about started servers
-        if (message.method === 'update/tools' && 
-            message.params && 
-            message.params.message && 
-            message.params.message.includes('Started')) {
-          console.log('✓ Server startup notification received');
-          serversStartedNotificationReceived = true;
-        }
-        
-        // Check for update/tools notification about updated tools
-        if (message.method === 'update/tools' && 
-            message.params && 
-            message.params.message && 
-            message.params.message.includes('Updated tool list')) {
-          console.log('✓ Tools updated notification received');
-          toolsUpdatedNotificationReceived = true;
+        // Check for the list_changed notification sent once the started servers' tools are in,
+        // then list the tools
+        if (message.method === 'notifications/tools/list_changed') {
+          console.log('✓ Tools list_changed notification received');
+          listChangedNotificationReceived = true;
+          
+          autoToolSwitcher.stdin.write(JSON.stringify({
+            jsonrpc: '2.0',
+            id: 2,
+            method: 'tools/list',
+            params: {}
+          }) + '\n');
+          console.log('Sent tools/list request');
         }
         
         // Check if all required messages have been received
         if (initializeResponseReceived && 
             toolsListResponseReceived && 
-            (serversStartedNotificationReceived || toolsUpdatedNotificationReceived)) {
+            listChangedNotificationReceived) {
           clearTimeout(timeout);
           resolve();
         }
       } catch (e) {
-        console.error('Error parsing message:', e);
+        clearTimeout(timeout);
+        reject(e);
       }
     });
     
@@ -121,22 +135,9 @@ async function runTest() {
   }) + '\n';
   
   autoToolSwitcher.stdin.write(initializeRequest);
+  autoToolSwitcher.stdin.write(JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' }) + '\n');
   console.log('Sent initialize request');
   
-  // Wait a moment for initialization to complete
-  await new Promise(resolve => setTimeout(resolve, 1000));
-  
-  // Send tools/list request
-  const toolsListRequest = JSON.stringify({
-    jsonrpc: '2.0',
-    id: 2,
-    method: 'tools/list',
-    params: {}
-  }) + '\n';
-  
-  autoToolSwitcher.stdin.write(toolsListRequest);
-  console.log('Sent tools/list request');
-  
   try {
     // Wait for the test to complete
     await testPromise;
@@ -145,11 +146,7 @@ async function runTest() {
     assert(initializeResponseReceived, 'Initialize response was not received');
     assert(toolsListResponseReceived, 'Tools list response was not received');
     
-    // At least one of these should be true
-    assert(
-      serversStartedNotificationReceived || toolsUpdatedNotificationReceived,
-      'Neither server startup nor tools updated notification was received'
-    );
+    assert(listChangedNotificationReceived, 'Tools list_changed notification was not received');
     
     console.log('✅ Test passed! Auto Tool Switcher successfully starts enabled servers on initialization.');
   } catch (error) {
@@ -159,6 +156,9 @@ async function runTest() {
     // Clean up
     autoToolSwitcher.kill();
     rl.close();
+    fs.rmSync(SERVERS_CONFIG_FILE, { force: true });
+    fs.rmSync(MCP_CONFIG_FILE, { force: true });
+    fs.rmSync(CATALOG_FILE, { force: true });
   }
 }
 
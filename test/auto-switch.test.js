@@ -0,0 +1,113 @@
+/**
+ * Test for auto-switching
+ *
+ * This test runs four local stand-in WebSocket MCP servers with three tools
+ * each, and checks that with `auto_switch`, enabling a server that does not fit
+ * in the tool limit disables the least recently used unpinned server, reports
+ * it and tells the client the tool list changed, and that pinned servers are
+ * never disabled.
+ */
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Point the config and catalog modules at temporary files before loading the modules
+const SERVERS_CONFIG_FILE = path.join(os.tmpdir(), `ats-auto-switch-${process.pid}.json`);
+const CATALOG_FILE = path.join(os.tmpdir(), `ats-auto-switch-catalog-${process.pid}.json`);
+process.env.SERVERS_CONFIG_PATH = SERVERS_CONFIG_FILE;
+process.env.TOOL_CATALOG_PATH = CATALOG_FILE;
+
+const { getCoreTools } = require('../src/cascade/tools-manager');
+const { setClientSink } = require('../src/cascade/notifications');
+const { startClientSession, markClientInitialized } = require('../src/cascade/client-session');
+const { stopAllServers } = require('../src/cascade/client');
+const { startStandIn, send, callTool } = require('./ws-stand-in');
+
+/**
+ * Start a stand-in server with three tools
+ */
+function startToolStandIn(name) {
+  return startStandIn(name, {
+    tools: ['one', 'two', 'three'].map(toolName => ({ name: toolName, description: toolName })),
+    handlers: { 'tools/call': message => ({ content: [{ type: 'text', text: `${name} ${message.params.name}` }] }) }
+  });
+}
+
+/**
+ * Get the enabled servers in servers.json
+ */
+function getSavedEnabled() {
+  return JSON.parse(fs.readFileSync(SERVERS_CONFIG_FILE)).servers.filter(server => server.enabled).map(server => server.name);
+}
+
+/**
+ * Main test function
+ */
+async function runTest() {
+  console.log('Starting auto-switch test...');
+
+  const names = ['alpha', 'beta', 'gamma', 'delta'];
+  const standIns = await Promise.all(names.map(startToolStandIn));
+  const coreCount = getCoreTools().length;
+  fs.writeFileSync(SERVERS_CONFIG_FILE, JSON.stringify({
+    tool_limit: coreCount + 6,
+    auto_switch: true,
+    servers: [
+      { name: 'alpha', url: `ws://127.0.0.1:${standIns[0].address().port}`, enabled: true },
+      { name: 'beta', url: `ws://127.0.0.1:${standIns[1].address().port}`, enabled: true, pinned: true },
+      { name: 'gamma', url: `ws://127.0.0.1:${standIns[2].address().port}`, enabled: false },
+      { name: 'delta', url: `ws://127.0.0.1:${standIns[3].address().port}`, enabled: false }
+    ]
+  }));
+
+  const sent = [];
+  setClientSink(notification => sent.push(notification));
+  startClientSession('2025-06-18', {}, { tools: { listChanged: true } });
+  markClientInitialized();
+
+  try {
+    await send({ jsonrpc: '2.0', id: 'list', method: 'tools/list', params: {} });
+    const called = await callTool('beta_one', {});
+    assert.strictEqual(called.result.content[0].text, 'beta one');
+
+    const first = await callTool('mcp0_servers_enable', { name: 'gamma' });
+    assert.deepStrictEqual(first.result.data.evicted, ['alpha']);
+    assert(first.result.data.message.includes('Disabled alpha to make room'));
+    assert.deepStrictEqual(getSavedEnabled(), ['beta', 'gamma']);
+    await new Promise(resolve => setTimeout(resolve, 300));
+    assert(sent.some(notification => notification.method === 'notifications/tools/list_changed'));
+    console.log('✓ Enabling a server that does not fit disables an unpinned server and tells the client');
+
+    await callTool('gamma_one', {});
+    const second = await callTool('mcp0_servers_enable', { name: 'delta' });
+    assert.deepStrictEqual(second.result.data.evicted, ['gamma']);
+    assert.deepStrictEqual(getSavedEnabled(), ['beta', 'delta']);
+    console.log('✓ Pinned servers are kept even when they were used least recently');
+
+    const listed = (await callTool('mcp0_servers_list', {})).result.data.servers;
+    assert.strictEqual(listed[1].pinned, true);
+    assert.notStrictEqual(listed[1].last_used, null);
+    console.log('✓ mcp0_servers_list shows which servers are pinned and when they were last used');
+
+    const config = JSON.parse(fs.readFileSync(SERVERS_CONFIG_FILE));
+    config.servers[3].pinned = true;
+    fs.writeFileSync(SERVERS_CONFIG_FILE, JSON.stringify(config));
+    const refused = await callTool('mcp0_servers_enable', { name: 'alpha' });
+    assert.strictEqual(refused.error.code, -32602);
+    assert.deepStrictEqual(getSavedEnabled(), ['beta', 'delta']);
+    console.log('✓ Nothing is disabled when the server does not fit even then');
+
+    console.log('✅ Test passed! Auto-switching makes room for servers that are enabled.');
+  } finally {
+    stopAllServers();
+    standIns.forEach(standIn => standIn.close());
+    fs.rmSync(SERVERS_CONFIG_FILE, { force: true });
+    fs.rmSync(CATALOG_FILE, { force: true });
+  }
+}
+
+runTest().catch(error => {
+  console.error('❌ Test failed:', error.message);
+  process.exitCode = 1;
+});
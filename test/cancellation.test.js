@@ -0,0 +1,158 @@
+/**
+ * Test for cancellation of forwarded tool calls
+ *
+ * This test sends slow tool calls through the server, cancels them with
+ * `notifications/cancelled`, and checks that the cancellation reaches the
+ * upstream server (or stops a per-call process) and that no response is sent
+ * for the cancelled request. A call cancelled while its per-call process is
+ * still starting is never sent, and the process is stopped.
+ */
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Point the config modules at temporary files before loading the server
+const TMP_PREFIX = path.join(os.tmpdir(), `ats-cancellation-${process.pid}`);
+const EVENTS_FILE = `${TMP_PREFIX}-events.log`;
+const MCP_CONFIG_FILE = `${TMP_PREFIX}-mcp.json`;
+const SERVERS_CONFIG_FILE = `${TMP_PREFIX}-servers.json`;
+const CATALOG_FILE = `${TMP_PREFIX}-catalog.json`;
+
+const mockServer = {
+  command: process.execPath,
+  args: [path.join(__dirname, 'mock-mcp-server.js')],
+  env: { MOCK_EVENTS_FILE: EVENTS_FILE }
+};
+const slowServer = { ...mockServer, env: { ...mockServer.env, MOCK_STARTUP_DELAY: '1000' } };
+fs.writeFileSync(MCP_CONFIG_FILE, JSON.stringify({ mcpServers: { pooled: mockServer, percall: mockServer, slow: slowServer } }));
+fs.writeFileSync(SERVERS_CONFIG_FILE, JSON.stringify({
+  servers: [
+    { name: 'pooled', url: 'pooled', enabled: true },
+    { name: 'percall', url: 'percall', enabled: true, persistent: false },
+    { name: 'slow', url: 'slow', enabled: true, persistent: false }
+  ],
+  tool_limit: 60
+}));
+process.env.MCP_CONFIG_PATH = MCP_CONFIG_FILE;
+process.env.SERVERS_CONFIG_PATH = SERVERS_CONFIG_FILE;
+process.env.TOOL_CATALOG_PATH = CATALOG_FILE;
+
+const { processMessage } = require('../src/cascade/server');
+const { stopAllServers } = require('../src/cascade/client');
+
+// Everything the server sends back to the client
+const sent = [];
+const collect = message => sent.push(message);
+
+/**
+ * Read the events recorded by the mock servers
+ */
+function readEvents() {
+  return fs.existsSync(EVENTS_FILE) ? fs.readFileSync(EVENTS_FILE, 'utf8').trim().split('\n') : [];
+}
+
+/**
+ * Wait for a condition to become true
+ */
+async function waitFor(condition, what) {
+  for (let i = 0; i < 50; i++) {
+    if (condition()) {
+      return;
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error(`Timed out waiting for ${what}`);
+}
+
+/**
+ * Wait for a process to stop
+ */
+function waitForExit(pid, what) {
+  return waitFor(() => {
+    try {
+      process.kill(pid, 0);
+      return false;
+    } catch (e) {
+      return true;
+    }
+  }, what);
+}
+
+/**
+ * Get the process id of the last mock server that started
+ */
+function getLastStartedPid() {
+  return Number(readEvents().filter(event => event.startsWith('started ')).pop().split(' ')[1]);
+}
+
+/**
+ * Send a slow echo call and cancel it while the server is still working
+ */
+async function callAndCancel(toolName, id) {
+  processMessage({
+    jsonrpc: '2.0',
+    id,
+    method: 'tools/call',
+    params: { name: toolName, parameters: { text: 'late', delay: 700 } }
+  }, collect, collect);
+
+  // Give the call time to reach the server before cancelling it
+  await new Promise(resolve => setTimeout(resolve, 300));
+  await processMessage({
+    jsonrpc: '2.0',
+    method: 'notifications/cancelled',
+    params: { requestId: id, reason: 'User gave up' }
+  }, collect, collect);
+}
+
+/**
+ * Main test function
+ */
+async function runTest() {
+  console.log('Starting cancellation test...');
+
+  // Warm up the pooled session so the slow call is in flight when cancelled
+  await processMessage({
+    jsonrpc: '2.0',
+    id: 'warmup',
+    method: 'tools/call',
+    params: { name: 'pooled_echo', parameters: { text: 'ready' } }
+  }, collect, collect);
+  await waitFor(() => sent.some(message => message.id === 'warmup'), 'the warm-up call');
+
+  await callAndCancel('pooled_echo', 'pooled-call');
+  await waitFor(() => readEvents().some(event => event.startsWith('cancelled ')), 'the cancellation');
+  console.log('✓ Cancellation is forwarded to the pooled server');
+
+  await callAndCancel('percall_echo', 'percall-call');
+  await waitForExit(getLastStartedPid(), 'the per-call process to stop');
+  console.log('✓ Per-call server process is stopped');
+
+  // The slow server is still starting when the call is cancelled
+  await callAndCancel('slow_echo', 'slow-call');
+  const slowPid = getLastStartedPid();
+  await waitForExit(slowPid, 'the starting per-call process to stop');
+  assert(!readEvents().includes(`called ${slowPid}`), 'A call cancelled during startup should not be sent');
+  console.log('✓ A call cancelled while its per-call server starts is not sent');
+
+  // Both servers would have answered by now
+  await new Promise(resolve => setTimeout(resolve, 1000));
+  assert(!sent.some(message => ['pooled-call', 'percall-call', 'slow-call'].includes(message.id)),
+    'No response should be sent for a cancelled request');
+  console.log('✓ No response is sent for cancelled requests');
+
+  console.log('✅ Test passed! Cancellations are propagated upstream.');
+}
+
+runTest()
+  .catch(error => {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => {
+    stopAllServers();
+    for (const file of [EVENTS_FILE, MCP_CONFIG_FILE, SERVERS_CONFIG_FILE, CATALOG_FILE]) {
+      fs.rmSync(file, { force: true });
+    }
+  });
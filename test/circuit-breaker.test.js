@@ -0,0 +1,129 @@
+/**
+ * Test for the per-server circuit breaker
+ *
+ * This test runs a local stand-in MCP server that can be taken down, and checks
+ * that repeated failures open the server's circuit, that its tools are hidden
+ * and it is not contacted while the circuit is open, and that a background
+ * probe closes the circuit once the server is back.
+ */
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Point the config and catalog modules at temporary files before loading the modules
+const SERVERS_CONFIG_FILE = path.join(os.tmpdir(), `ats-circuit-breaker-${process.pid}.json`);
+const CATALOG_FILE = path.join(os.tmpdir(), `ats-circuit-breaker-catalog-${process.pid}.json`);
+process.env.SERVERS_CONFIG_PATH = SERVERS_CONFIG_FILE;
+process.env.TOOL_CATALOG_PATH = CATALOG_FILE;
+
+const { fetchToolsFromEnabledServers } = require('../src/cascade/tools-manager');
+const { handleServersList } = require('../src/cascade/tools');
+const { forwardToolCall, stopAllServers } = require('../src/cascade/client');
+
+// Whether the stand-in server is answering, and how many tool lists it served
+let serverUp = true;
+let listRequests = 0;
+
+/**
+ * Handle a request to the stand-in server
+ */
+function handleRequest(req, res) {
+  if (req.method !== 'POST') {
+    res.writeHead(405).end();
+    return;
+  }
+
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+  });
+  req.on('end', () => {
+    const message = JSON.parse(body);
+
+    if (!serverUp) {
+      res.writeHead(503).end('Down for maintenance');
+      return;
+    }
+    if (message.id === undefined) {
+      res.writeHead(202).end();
+      return;
+    }
+
+    let result;
+    if (message.method === 'initialize') {
+      result = { protocolVersion: message.params.protocolVersion, capabilities: { tools: {} }, serverInfo: { name: 'flaky', version: '1.0.0' } };
+    } else {
+      listRequests++;
+      result = { tools: [{ name: 'status', description: 'Report status' }] };
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ jsonrpc: '2.0', id: message.id, result }));
+  });
+}
+
+/**
+ * Get the flaky server's entry from mcp0_servers_list
+ */
+function listFlakyServer() {
+  return new Promise(resolve => {
+    handleServersList({ id: 1 }, response => {
+      resolve(response.result.data.servers.find(server => server.name === 'flaky'));
+    }, () => {});
+  });
+}
+
+/**
+ * Main test function
+ */
+async function runTest() {
+  console.log('Starting circuit breaker test...');
+
+  const standIn = http.createServer(handleRequest);
+  await new Promise(resolve => standIn.listen(0, '127.0.0.1', resolve));
+  const server = { name: 'flaky', url: `http://127.0.0.1:${standIn.address().port}/mcp`, enabled: true };
+  fs.writeFileSync(SERVERS_CONFIG_FILE, JSON.stringify({
+    tool_limit: 60,
+    circuit_breaker: { failure_threshold: 2, probe_interval_ms: 300 },
+    servers: [server]
+  }));
+
+  try {
+    assert.strictEqual((await fetchToolsFromEnabledServers(true)).length, 1);
+    assert.strictEqual((await listFlakyServer()).circuit, 'closed');
+    console.log('✓ Healthy server has a closed circuit');
+
+    serverUp = false;
+    await fetchToolsFromEnabledServers(true);
+    await fetchToolsFromEnabledServers(true);
+    const listed = await listFlakyServer();
+    assert.strictEqual(listed.circuit, 'open');
+    assert(listed.last_error.includes('HTTP 503'));
+    console.log('✓ Circuit opens after repeated failures and is shown in mcp0_servers_list');
+
+    const requestsBefore = listRequests;
+    serverUp = true;
+    assert.deepStrictEqual(await fetchToolsFromEnabledServers(true), []);
+    assert.strictEqual(listRequests, requestsBefore, 'An open circuit should not be contacted');
+    await assert.rejects(forwardToolCall(server, 'status', {}, 2), /unavailable after repeated failures/);
+    console.log('✓ Tools are hidden and calls fail fast while the circuit is open');
+
+    await new Promise(resolve => setTimeout(resolve, 600));
+    assert.strictEqual((await listFlakyServer()).circuit, 'closed');
+    assert.strictEqual((await fetchToolsFromEnabledServers()).length, 1);
+    console.log('✓ Background probe closes the circuit once the server recovers');
+
+    console.log('✅ Test passed! Failing servers are quarantined and recovered.');
+  } finally {
+    stopAllServers();
+    standIn.close();
+    fs.rmSync(SERVERS_CONFIG_FILE, { force: true });
+    fs.rmSync(CATALOG_FILE, { force: true });
+  }
+}
+
+runTest().catch(error => {
+  console.error('❌ Test failed:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,134 @@
+/**
+ * Test for completion/complete
+ *
+ * This test runs two local stand-in WebSocket MCP servers with a prompt and a
+ * resource template, only one of which offers completions, and checks that
+ * completion requests reach the server that owns the prompt or template under
+ * its own names, and that the other server is not asked.
+ */
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Point the config and catalog modules at temporary files before loading the modules
+const SERVERS_CONFIG_FILE = path.join(os.tmpdir(), `ats-completion-${process.pid}.json`);
+const CATALOG_FILE = path.join(os.tmpdir(), `ats-completion-catalog-${process.pid}.json`);
+process.env.SERVERS_CONFIG_PATH = SERVERS_CONFIG_FILE;
+process.env.TOOL_CATALOG_PATH = CATALOG_FILE;
+
+const { startEnabledServers, stopAllServers } = require('../src/cascade/client');
+const { startStandIn, send } = require('./ws-stand-in');
+
+/**
+ * Start a stand-in server, completing arguments when `completions` is set
+ */
+function startCompletionStandIn(name, completions) {
+  const capabilities = { tools: {}, prompts: {}, resources: {} };
+  if (completions) {
+    capabilities.completions = {};
+  }
+  return startStandIn(name, {
+    capabilities,
+    handlers: {
+      'prompts/list': () => ({ prompts: [{ name: 'review', arguments: [{ name: 'language' }] }] }),
+      'resources/list': () => ({ resources: [] }),
+      'resources/templates/list': () => ({ resourceTemplates: [{ uriTemplate: 'file:///{path}', name: 'file' }] }),
+      'completion/complete': message => ({
+        completion: { values: [`${message.params.argument.value}-${name}`], total: 1, hasMore: false }
+      })
+    }
+  });
+}
+
+/**
+ * Main test function
+ */
+async function runTest() {
+  console.log('Starting completion test...');
+
+  const alpha = await startCompletionStandIn('alpha', true);
+  const beta = await startCompletionStandIn('beta', false);
+  fs.writeFileSync(SERVERS_CONFIG_FILE, JSON.stringify({
+    tool_limit: 60,
+    servers: [
+      { name: 'alpha', url: `ws://127.0.0.1:${alpha.address().port}`, enabled: true },
+      { name: 'beta', url: `ws://127.0.0.1:${beta.address().port}`, enabled: true }
+    ]
+  }));
+
+  try {
+    await startEnabledServers(JSON.parse(fs.readFileSync(SERVERS_CONFIG_FILE)).servers);
+    const initialize = await send({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-06-18' } });
+    assert.deepStrictEqual(initialize.result.capabilities.completions, {});
+    console.log('✓ completions is announced when an upstream server offers it');
+
+    const prompt = await send({
+      jsonrpc: '2.0',
+      id: 2,
+      method: 'completion/complete',
+      params: {
+        ref: { type: 'ref/prompt', name: 'alpha_review' },
+        argument: { name: 'language', value: 'py' },
+        context: { arguments: { style: 'strict' } }
+      }
+    });
+    assert.strictEqual(prompt.id, 2);
+    assert.deepStrictEqual(prompt.result.completion.values, ['py-alpha']);
+    const forwarded = alpha.requests.find(request => request.method === 'completion/complete');
+    assert.deepStrictEqual(forwarded.params, {
+      ref: { type: 'ref/prompt', name: 'review' },
+      argument: { name: 'language', value: 'py' },
+      context: { arguments: { style: 'strict' } }
+    });
+    console.log('✓ Prompt argument completion reaches the owning server under the prompt\'s own name');
+
+    const template = await send({
+      jsonrpc: '2.0',
+      id: 3,
+      method: 'completion/complete',
+      params: {
+        ref: { type: 'ref/resource', uri: 'mcp0-resource://alpha/file:///{path}' },
+        argument: { name: 'path', value: 'src' }
+      }
+    });
+    assert.deepStrictEqual(template.result.completion.values, ['src-alpha']);
+    assert.deepStrictEqual(alpha.requests.filter(request => request.method === 'completion/complete')[1].params.ref, {
+      type: 'ref/resource',
+      uri: 'file:///{path}'
+    });
+    console.log('✓ Resource template completion reaches the owning server under its own URI');
+
+    const withoutCompletions = await send({
+      jsonrpc: '2.0',
+      id: 4,
+      method: 'completion/complete',
+      params: { ref: { type: 'ref/prompt', name: 'beta_review' }, argument: { name: 'language', value: 'py' } }
+    });
+    assert.deepStrictEqual(withoutCompletions.result.completion, { values: [], hasMore: false });
+    assert(!beta.requests.some(request => request.method === 'completion/complete'));
+    console.log('✓ Servers without completions are not asked');
+
+    const unknown = await send({
+      jsonrpc: '2.0',
+      id: 5,
+      method: 'completion/complete',
+      params: { ref: { type: 'ref/prompt', name: 'gamma_review' }, argument: { name: 'language', value: 'py' } }
+    });
+    assert.strictEqual(unknown.error.code, -32602);
+    console.log('✓ Unknown references are rejected');
+
+    console.log('✅ Test passed! Completions are routed to the owning servers.');
+  } finally {
+    stopAllServers();
+    alpha.close();
+    beta.close();
+    fs.rmSync(SERVERS_CONFIG_FILE, { force: true });
+    fs.rmSync(CATALOG_FILE, { force: true });
+  }
+}
+
+runTest().catch(error => {
+  console.error('❌ Test failed:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,141 @@
+/**
+ * Test for the initialize handshake
+ *
+ * This test runs two local stand-in WebSocket MCP servers, one of which answers
+ * with a protocol version that is not supported, and checks the protocol
+ * version negotiation and the capabilities announced to the client, which
+ * have to reflect the upstream servers even though initialize is what starts them.
+ * It also checks that ping is answered, and that the logging capability is
+ * backed by passing logging/setLevel on and relaying the servers' log messages.
+ */
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Point the config and catalog modules at temporary files before loading the modules
+const SERVERS_CONFIG_FILE = path.join(os.tmpdir(), `ats-initialize-${process.pid}.json`);
+const CATALOG_FILE = path.join(os.tmpdir(), `ats-initialize-catalog-${process.pid}.json`);
+process.env.SERVERS_CONFIG_PATH = SERVERS_CONFIG_FILE;
+process.env.TOOL_CATALOG_PATH = CATALOG_FILE;
+
+const { processMessage } = require('../src/cascade/server');
+const { getClientSession } = require('../src/cascade/client-session');
+const { setClientSink } = require('../src/cascade/notifications');
+const { PROTOCOL_VERSION } = require('../src/cascade/protocol');
+const { startEnabledServers, stopAllServers } = require('../src/cascade/client');
+const { startStandIn } = require('./ws-stand-in');
+
+/**
+ * Answer logging/setLevel, then log one message below and one at the new level, for the switcher to filter
+ */
+function setLevel(message, socket) {
+  socket.send(JSON.stringify({ jsonrpc: '2.0', id: message.id, result: {} }));
+  for (const level of ['info', message.params.level]) {
+    socket.send(JSON.stringify({ jsonrpc: '2.0', method: 'notifications/message', params: { level, logger: 'db', data: `${level} message` } }));
+  }
+}
+
+/**
+ * Send a message to the server and collect what it sends back
+ */
+async function send(message) {
+  const responses = [];
+  await processMessage(message, response => responses.push(response), () => {});
+  return responses;
+}
+
+/**
+ * Main test function
+ */
+async function runTest() {
+  console.log('Starting initialize test...');
+
+  const current = await startStandIn('current', {
+    capabilities: { tools: {}, prompts: {}, logging: {} },
+    handlers: { 'logging/setLevel': setLevel }
+  });
+  const ancient = await startStandIn('ancient', { protocolVersion: '1999-01-01', capabilities: { tools: {}, resources: {} } });
+  fs.writeFileSync(SERVERS_CONFIG_FILE, JSON.stringify({
+    tool_limit: 60,
+    servers: [
+      { name: 'current', url: `ws://127.0.0.1:${current.address().port}`, enabled: true },
+      { name: 'ancient', url: `ws://127.0.0.1:${ancient.address().port}`, enabled: true }
+    ]
+  }));
+
+  try {
+    // No server is connected yet: initialize itself starts them
+    const [response] = await send({
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'initialize',
+      params: {
+        protocolVersion: '2025-03-26',
+        capabilities: { roots: { listChanged: true } },
+        clientInfo: { name: 'test-client', version: '2.0.0' }
+      }
+    });
+    assert.strictEqual(response.result.protocolVersion, '2025-03-26');
+    console.log('✓ A supported client version is accepted');
+
+    // Only the server that initialized counts: it offers prompts and logging, not resources
+    assert.deepStrictEqual(response.result.capabilities, {
+      tools: { listChanged: true },
+      prompts: { listChanged: true },
+      logging: {}
+    });
+    assert.strictEqual(response.result.serverInfo.name, 'Auto Tool Switcher');
+    console.log('✓ Capabilities follow what the upstream servers started by initialize offer');
+
+    const results = await startEnabledServers(JSON.parse(fs.readFileSync(SERVERS_CONFIG_FILE)).servers);
+    const ancientResult = results.find(result => result.name === 'ancient');
+    assert.strictEqual(ancientResult.success, false);
+    assert(ancientResult.message.includes('unsupported protocol version 1999-01-01'));
+    console.log('✓ Upstream servers with an unsupported protocol version are rejected');
+
+    const session = getClientSession();
+    assert.deepStrictEqual(session.clientInfo, { name: 'test-client', version: '2.0.0' });
+    assert.deepStrictEqual(session.capabilities, { roots: { listChanged: true } });
+    assert.strictEqual(session.initialized, false);
+
+    assert.deepStrictEqual(await send({ jsonrpc: '2.0', method: 'notifications/initialized' }), []);
+    assert.strictEqual(getClientSession().initialized, true);
+    console.log('✓ Client info is recorded and notifications/initialized gets no response');
+
+    const [fallback] = await send({ jsonrpc: '2.0', id: 2, method: 'initialize', params: { protocolVersion: '1999-01-01' } });
+    assert.strictEqual(fallback.result.protocolVersion, PROTOCOL_VERSION);
+    console.log('✓ An unsupported client version is answered with the newest one');
+
+    assert.deepStrictEqual(await send({ jsonrpc: '2.0', method: 'notifications/unknown' }), []);
+    console.log('✓ Unknown notifications get no response');
+
+    assert.deepStrictEqual(await send({ jsonrpc: '2.0', id: 3, method: 'ping' }), [{ jsonrpc: '2.0', result: {}, id: 3 }]);
+    console.log('✓ ping is answered');
+
+    const notified = [];
+    setClientSink(notification => notified.push(notification));
+    assert.deepStrictEqual(await send({ jsonrpc: '2.0', id: 4, method: 'logging/setLevel', params: { level: 'warning' } }),
+      [{ jsonrpc: '2.0', result: {}, id: 4 }]);
+    assert.strictEqual(current.received.find(message => message.method === 'logging/setLevel').params.level, 'warning');
+    await new Promise(resolve => setTimeout(resolve, 200));
+    assert.deepStrictEqual(notified.filter(message => message.method === 'notifications/message').map(message => message.params),
+      [{ level: 'warning', logger: 'current/db', data: 'warning message' }]);
+    const [invalid] = await send({ jsonrpc: '2.0', id: 5, method: 'logging/setLevel', params: { level: 'loud' } });
+    assert.strictEqual(invalid.error.code, -32602);
+    console.log('✓ logging/setLevel reaches the servers and their log messages are relayed at that level');
+
+    console.log('✅ Test passed! The initialize handshake follows the specification.');
+  } finally {
+    stopAllServers();
+    current.close();
+    ancient.close();
+    fs.rmSync(SERVERS_CONFIG_FILE, { force: true });
+    fs.rmSync(CATALOG_FILE, { force: true });
+  }
+}
+
+runTest().catch(error => {
+  console.error('❌ Test failed:', error.message);
+  process.exitCode = 1;
+});
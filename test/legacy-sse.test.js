@@ -0,0 +1,128 @@
+/**
+ * Test for the legacy HTTP+SSE upstream transport
+ *
+ * This test runs a local stand-in server exposing `GET /sse` and
+ * `POST /messages?sessionId=...`, answering requests out of order on the
+ * event stream.
+ */
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Point the catalog module at a temporary file before loading the client
+const CATALOG_FILE = path.join(os.tmpdir(), `ats-legacy-sse-catalog-${process.pid}.json`);
+process.env.TOOL_CATALOG_PATH = CATALOG_FILE;
+
+const { fetchToolsFromServer, forwardToolCall, stopAllServers } = require('../src/cascade/client');
+
+// Open event streams keyed by session id
+const streams = new Map();
+
+/**
+ * Send a JSON-RPC message on a session's event stream
+ */
+function sendEvent(sessionId, message) {
+  streams.get(sessionId).write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+}
+
+/**
+ * Handle a request to the stand-in server
+ */
+function handleRequest(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+
+  if (req.method === 'GET' && url.pathname === '/sse') {
+    const sessionId = `session-${streams.size + 1}`;
+    streams.set(sessionId, res);
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.write(`event: endpoint\ndata: /messages?sessionId=${sessionId}\n\n`);
+    return;
+  }
+
+  if (req.method !== 'POST' || url.pathname !== '/messages' || !streams.has(url.searchParams.get('sessionId'))) {
+    res.writeHead(404).end();
+    return;
+  }
+
+  const sessionId = url.searchParams.get('sessionId');
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+  });
+  req.on('end', () => {
+    const message = JSON.parse(body);
+    res.writeHead(202).end('Accepted');
+
+    if (message.method === 'initialize') {
+      sendEvent(sessionId, {
+        jsonrpc: '2.0',
+        id: message.id,
+        result: {
+          protocolVersion: '2024-11-05',
+          capabilities: { tools: {} },
+          serverInfo: { name: 'legacy-stand-in', version: '1.0.0' }
+        }
+      });
+    } else if (message.method === 'tools/list') {
+      sendEvent(sessionId, { jsonrpc: '2.0', id: message.id, result: { tools: [{ name: 'wait', description: 'Wait a while' }] } });
+    } else if (message.method === 'tools/call') {
+      const { ms } = message.params.parameters;
+      setTimeout(() => {
+        sendEvent(sessionId, {
+          jsonrpc: '2.0',
+          id: message.id,
+          result: { content: [{ type: 'text', text: `waited ${ms}` }] }
+        });
+      }, ms);
+    }
+  });
+}
+
+/**
+ * Main test function
+ */
+async function runTest() {
+  console.log('Starting legacy HTTP+SSE transport test...');
+
+  const standIn = http.createServer(handleRequest);
+  await new Promise(resolve => standIn.listen(0, '127.0.0.1', resolve));
+  const server = {
+    name: 'legacy',
+    url: `http://127.0.0.1:${standIn.address().port}/sse`,
+    transport: 'sse',
+    enabled: true
+  };
+
+  try {
+    const tools = await fetchToolsFromServer(server);
+    assert.deepStrictEqual(tools.map(tool => tool.name), ['legacy_wait']);
+    console.log('✓ Tools listed over the event stream');
+
+    const [slow, fast] = await Promise.all([
+      forwardToolCall(server, 'wait', { ms: 200 }, 'slow'),
+      forwardToolCall(server, 'wait', { ms: 10 }, 'fast')
+    ]);
+    assert.strictEqual(slow.id, 'slow');
+    assert.strictEqual(slow.result.content[0].text, 'waited 200');
+    assert.strictEqual(fast.id, 'fast');
+    assert.strictEqual(fast.result.content[0].text, 'waited 10');
+    console.log('✓ Out-of-order responses are matched to their requests');
+
+    assert.strictEqual(streams.size, 1, 'All requests should share one event stream');
+    console.log('✓ The event stream is kept open between requests');
+
+    console.log('✅ Test passed! Legacy HTTP+SSE upstreams are supported.');
+  } finally {
+    stopAllServers();
+    standIn.closeAllConnections();
+    standIn.close();
+    fs.rmSync(CATALOG_FILE, { force: true });
+  }
+}
+
+runTest().catch(error => {
+  console.error('❌ Test failed:', error.message);
+  process.exitCode = 1;
+});
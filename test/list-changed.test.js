@@ -0,0 +1,114 @@
+/**
+ * Test for live tool updates from upstream list_changed notifications
+ *
+ * This test runs two local stand-in WebSocket MCP servers. One of them changes
+ * its tools and announces it; only that server's tools must be fetched again,
+ * and the client must be told once. An announcement that changes nothing the
+ * client can see must not be passed on.
+ */
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Point the config and catalog modules at temporary files before loading the modules
+const SERVERS_CONFIG_FILE = path.join(os.tmpdir(), `ats-list-changed-${process.pid}.json`);
+const CATALOG_FILE = path.join(os.tmpdir(), `ats-list-changed-catalog-${process.pid}.json`);
+process.env.SERVERS_CONFIG_PATH = SERVERS_CONFIG_FILE;
+process.env.TOOL_CATALOG_PATH = CATALOG_FILE;
+
+const { getAllTools, getCoreTools } = require('../src/cascade/tools-manager');
+const { setClientSink } = require('../src/cascade/notifications');
+const { startClientSession, markClientInitialized } = require('../src/cascade/client-session');
+const { stopAllServers } = require('../src/cascade/client');
+const { startStandIn } = require('./ws-stand-in');
+
+/**
+ * Get the names of the tools from enabled servers
+ */
+async function listServerTools() {
+  const coreCount = getCoreTools().length;
+  return (await getAllTools()).slice(coreCount).map(tool => tool.name).sort();
+}
+
+/**
+ * Start a stand-in server whose tool list can be changed
+ */
+async function startListStandIn(name, toolNames) {
+  const standIn = await startStandIn(name, {
+    capabilities: { tools: { listChanged: true } },
+    handlers: {
+      'tools/list': () => {
+        standIn.listRequests++;
+        return { tools: standIn.toolNames.map(toolName => ({ name: toolName, description: toolName })) };
+      }
+    }
+  });
+  standIn.toolNames = toolNames;
+  standIn.listRequests = 0;
+  return standIn;
+}
+
+/**
+ * Main test function
+ */
+async function runTest() {
+  console.log('Starting list_changed test...');
+
+  const alpha = await startListStandIn('alpha', ['search']);
+  const beta = await startListStandIn('beta', ['build']);
+  fs.writeFileSync(SERVERS_CONFIG_FILE, JSON.stringify({
+    tool_limit: 60,
+    servers: [
+      { name: 'alpha', url: `ws://127.0.0.1:${alpha.address().port}`, enabled: true },
+      { name: 'beta', url: `ws://127.0.0.1:${beta.address().port}`, enabled: true }
+    ]
+  }));
+
+  const sent = [];
+  setClientSink(notification => sent.push(notification));
+  startClientSession('2025-06-18', {}, { tools: { listChanged: true } });
+  markClientInitialized();
+
+  try {
+    assert.deepStrictEqual(await listServerTools(), ['alpha_search', 'beta_build']);
+    console.log('✓ Tools cached per server');
+
+    // Alpha gains a tool and announces every list it has, all at once
+    alpha.toolNames = ['search', 'fetch'];
+    for (const list of ['tools', 'prompts', 'resources']) {
+      alpha.socket.send(JSON.stringify({ jsonrpc: '2.0', method: `notifications/${list}/list_changed` }));
+    }
+    await new Promise(resolve => setTimeout(resolve, 500));
+
+    assert.deepStrictEqual(sent, [{ jsonrpc: '2.0', method: 'notifications/tools/list_changed' }]);
+    console.log('✓ Client is sent one notifications/tools/list_changed');
+
+    const betaRequests = beta.listRequests;
+    assert.deepStrictEqual(await listServerTools(), ['alpha_fetch', 'alpha_search', 'beta_build']);
+    assert.strictEqual(beta.listRequests, betaRequests, 'Other servers should be served from the cache');
+    assert.strictEqual(beta.listRequests, 1);
+    console.log('✓ Only the announcing server\'s tools are fetched again');
+
+    // Beta announces a change, but its tools are the same
+    sent.length = 0;
+    beta.socket.send(JSON.stringify({ jsonrpc: '2.0', method: 'notifications/tools/list_changed' }));
+    await new Promise(resolve => setTimeout(resolve, 500));
+    assert.strictEqual(beta.listRequests, 2);
+    assert.deepStrictEqual(sent, []);
+    console.log('✓ Nothing is sent when the visible tools did not change');
+
+    console.log('✅ Test passed! Upstream list changes update the tool list live.');
+  } finally {
+    stopAllServers();
+    alpha.close();
+    beta.close();
+    fs.rmSync(SERVERS_CONFIG_FILE, { force: true });
+    fs.rmSync(CATALOG_FILE, { force: true });
+  }
+}
+
+runTest().catch(error => {
+  console.error('❌ Test failed:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,108 @@
+/**
+ * Minimal stdio MCP server used by the tests
+ * Speaks newline-delimited JSON-RPC on stdin/stdout. When MOCK_EVENTS_FILE is
+ * set, its startup, the tool calls and the cancellations it receives are
+ * appended to that file. MOCK_STARTUP_DELAY delays its initialize response.
+ */
+const fs = require('fs');
+const readline = require('readline');
+
+const rl = readline.createInterface({
+  input: process.stdin,
+  terminal: false
+});
+
+const tools = [
+  {
+    name: 'echo',
+    description: 'Echo the given text, optionally after a delay with progress reports',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        text: { type: 'string' },
+        delay: { type: 'number' },
+        progress: { type: 'number' }
+      }
+    }
+  },
+  {
+    name: 'pid',
+    description: 'Return the process id of the server',
+    inputSchema: { type: 'object', properties: {} }
+  },
+  {
+    name: 'crash',
+    description: 'Exit the server process',
+    inputSchema: { type: 'object', properties: {} }
+  }
+];
+
+function recordEvent(event) {
+  if (process.env.MOCK_EVENTS_FILE) {
+    fs.appendFileSync(process.env.MOCK_EVENTS_FILE, event + '\n');
+  }
+}
+
+recordEvent(`started ${process.pid}`);
+
+function send(message) {
+  process.stdout.write(JSON.stringify(message) + '\n');
+}
+
+function textResult(id, text) {
+  send({ jsonrpc: '2.0', id, result: { content: [{ type: 'text', text: String(text) }] } });
+}
+
+rl.on('line', (line) => {
+  const message = JSON.parse(line);
+
+  if (message.method === 'initialize') {
+    return setTimeout(() => send({
+      jsonrpc: '2.0',
+      id: message.id,
+      result: {
+        protocolVersion: message.params.protocolVersion,
+        capabilities: { tools: {} },
+        serverInfo: { name: 'mock-mcp-server', version: '1.0.0' }
+      }
+    }), Number(process.env.MOCK_STARTUP_DELAY) || 0);
+  }
+
+  if (message.method === 'notifications/cancelled') {
+    // Keep working, so the test can check that late responses are dropped
+    return recordEvent(`cancelled ${message.params.requestId}`);
+  }
+
+  if (message.method === 'tools/list') {
+    return send({ jsonrpc: '2.0', id: message.id, result: { tools } });
+  }
+
+  if (message.method === 'tools/call') {
+    recordEvent(`called ${process.pid}`);
+    const args = message.params.arguments || message.params.parameters || {};
+
+    if (message.params.name === 'echo') {
+      // Report `progress` steps spread over the delay when the client asked for progress
+      const progressToken = message.params._meta && message.params._meta.progressToken;
+      const steps = progressToken !== undefined ? args.progress || 0 : 0;
+      for (let step = 1; step <= steps; step++) {
+        setTimeout(() => send({
+          jsonrpc: '2.0',
+          method: 'notifications/progress',
+          params: { progressToken, progress: step, total: steps }
+        }), ((args.delay || 0) * step) / (steps + 1));
+      }
+      return setTimeout(() => textResult(message.id, args.text), args.delay || 0);
+    }
+    if (message.params.name === 'pid') {
+      return textResult(message.id, process.pid);
+    }
+    if (message.params.name === 'crash') {
+      process.exit(1);
+    }
+  }
+
+  if (message.id !== undefined && message.method) {
+    send({ jsonrpc: '2.0', id: message.id, error: { code: -32601, message: 'Method not found' } });
+  }
+});
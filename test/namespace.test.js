@@ -0,0 +1,109 @@
+/**
+ * Test for tool and prompt namespacing
+ *
+ * This test checks that exposed names map back to the server and name they
+ * came from, also for server names with spaces and underscores, that
+ * colliding, reserved and overlong names are made unique, and that the
+ * separator can be configured. A local stand-in WebSocket MCP server checks
+ * that tools/call is routed through the mapping.
+ */
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Point the config and catalog modules at temporary files before loading the modules
+const SERVERS_CONFIG_FILE = path.join(os.tmpdir(), `ats-namespace-${process.pid}.json`);
+const CATALOG_FILE = path.join(os.tmpdir(), `ats-namespace-catalog-${process.pid}.json`);
+process.env.SERVERS_CONFIG_PATH = SERVERS_CONFIG_FILE;
+process.env.TOOL_CATALOG_PATH = CATALOG_FILE;
+
+const { processMessage } = require('../src/cascade/server');
+const { getNamingContext, getExposedName, resolveName, MAX_NAME_LENGTH } = require('../src/cascade/namespace');
+const { stopAllServers } = require('../src/cascade/client');
+const { startStandIn } = require('./ws-stand-in');
+
+/**
+ * Write the servers config
+ */
+function writeConfig(config) {
+  fs.writeFileSync(SERVERS_CONFIG_FILE, JSON.stringify({ tool_limit: 60, ...config }));
+}
+
+/**
+ * Main test function
+ */
+async function runTest() {
+  console.log('Starting namespace test...');
+
+  const alpha = { name: 'MCP Alpha', enabled: true };
+  const underscored = { name: 'my_server', enabled: true };
+  const spaced = { name: 'a b', enabled: true };
+  const short = { name: 'a', enabled: true };
+  const core = { name: 'mcp0', enabled: true };
+  writeConfig({ servers: [alpha, underscored, spaced, short, core] });
+  let naming = getNamingContext();
+
+  try {
+    assert.strictEqual(getExposedName('tools', alpha, 'search', naming), 'mcp_alpha_search');
+    assert.strictEqual(getExposedName('tools', underscored, 'read_file', naming), 'my_server_read_file');
+    assert.deepStrictEqual(resolveName('tools', 'my_server_read_file'), { server: underscored, name: 'read_file' });
+    assert.strictEqual(getExposedName('tools', alpha, 'get.weather', naming), 'mcp_alpha_get_weather');
+    assert.strictEqual(resolveName('tools', 'mcp_alpha_get_weather').name, 'get.weather');
+    console.log('✓ Names with spaces, underscores and other characters map back to their server');
+
+    assert.strictEqual(getExposedName('tools', spaced, 'c', naming), 'a_b_c');
+    const collided = getExposedName('tools', short, 'b_c', naming);
+    assert.notStrictEqual(collided, 'a_b_c');
+    assert(collided.startsWith('a_b_c_'));
+    assert.deepStrictEqual(resolveName('tools', 'a_b_c'), { server: spaced, name: 'c' });
+    assert.deepStrictEqual(resolveName('tools', collided), { server: short, name: 'b_c' });
+    assert.notStrictEqual(getExposedName('tools', core, 'servers_list', naming), 'mcp0_servers_list');
+    console.log('✓ Colliding and reserved names are made unique');
+
+    const longName = getExposedName('tools', alpha, 'x'.repeat(100), naming);
+    assert.strictEqual(longName.length, MAX_NAME_LENGTH);
+    assert.deepStrictEqual(resolveName('tools', longName), { server: alpha, name: 'x'.repeat(100) });
+    assert.notStrictEqual(getExposedName('tools', alpha, `${'x'.repeat(99)}y`, naming), longName);
+    console.log('✓ Long names are shortened with a hash and still map back');
+
+    writeConfig({ namespace_separator: '__', servers: [alpha] });
+    naming = getNamingContext();
+    assert.strictEqual(getExposedName('prompts', alpha, 'summarize', naming), 'mcp_alpha__summarize');
+    writeConfig({ namespace_separator: '.', servers: [alpha] });
+    naming = getNamingContext();
+    assert.strictEqual(getExposedName('prompts', alpha, 'review', naming), 'mcp_alpha_review');
+    writeConfig({ servers: [{ ...alpha, enabled: false }] });
+    assert.strictEqual(resolveName('prompts', 'mcp_alpha__summarize'), null);
+    console.log('✓ The separator is configurable, and disabled servers\' names do not resolve');
+
+    const standIn = await startStandIn('store', {
+      tools: [{ name: 'query_all', description: 'Query everything' }],
+      handlers: { 'tools/call': message => ({ content: [{ type: 'text', text: `called ${message.params.name}` }] }) }
+    });
+    try {
+      writeConfig({ servers: [{ name: 'Data_Store', url: `ws://127.0.0.1:${standIn.address().port}`, enabled: true }] });
+      const response = await new Promise(resolve => processMessage({
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'tools/call',
+        params: { name: 'data_store_query_all', parameters: {} }
+      }, resolve, () => {}));
+      assert.strictEqual(response.result.content[0].text, 'called query_all');
+      console.log('✓ tools/call reaches a server whose name contains an underscore');
+    } finally {
+      stopAllServers();
+      standIn.close();
+    }
+
+    console.log('✅ Test passed! Namespaced names map back to their servers.');
+  } finally {
+    fs.rmSync(SERVERS_CONFIG_FILE, { force: true });
+    fs.rmSync(CATALOG_FILE, { force: true });
+  }
+}
+
+runTest().catch(error => {
+  console.error('❌ Test failed:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,265 @@
+/**
+ * Test for the OAuth authorization flow
+ *
+ * This test runs a local mock authorization server and protected MCP server,
+ * drives the login flow (discovery, dynamic client registration, PKCE) with a
+ * simulated browser, and checks that an expired token is refreshed on a 401,
+ * also on a WebSocket handshake, and that the refresh token is only dropped
+ * when the authorization server rejects it.
+ */
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { WebSocketServer } = require('ws');
+
+// Keep tokens and the tool catalog out of the repository
+const TOKENS_FILE = path.join(os.tmpdir(), `ats-oauth-${process.pid}.json`);
+const CATALOG_FILE = path.join(os.tmpdir(), `ats-oauth-catalog-${process.pid}.json`);
+process.env.OAUTH_TOKENS_PATH = TOKENS_FILE;
+process.env.TOOL_CATALOG_PATH = CATALOG_FILE;
+
+const { startLogin } = require('../src/cascade/oauth');
+const { fetchToolsFromServer, stopAllServers } = require('../src/cascade/client');
+
+// State of the mock authorization server
+const codes = new Map();
+let validAccessToken = null;
+let issuedTokens = 0;
+let registrations = 0;
+
+// How the next token request fails: 'reset', 'invalid_grant' or null
+let tokenFailure = null;
+
+/**
+ * Issue a new token pair
+ */
+function issueTokens(res) {
+  issuedTokens++;
+  validAccessToken = `access-${issuedTokens}`;
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({
+    access_token: validAccessToken,
+    token_type: 'Bearer',
+    expires_in: 3600,
+    refresh_token: `refresh-${issuedTokens}`
+  }));
+}
+
+/**
+ * Handle a request to the mock servers
+ */
+function handleRequest(req, res) {
+  const origin = `http://${req.headers.host}`;
+  const url = new URL(req.url, origin);
+  let body = '';
+
+  req.on('data', chunk => {
+    body += chunk;
+  });
+  req.on('end', () => {
+    if (url.pathname === '/.well-known/oauth-protected-resource/mcp') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ resource: `${origin}/mcp`, authorization_servers: [origin] }));
+      return;
+    }
+
+    if (url.pathname === '/.well-known/oauth-authorization-server') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        issuer: origin,
+        authorization_endpoint: `${origin}/authorize`,
+        token_endpoint: `${origin}/token`,
+        registration_endpoint: `${origin}/register`,
+        code_challenge_methods_supported: ['S256']
+      }));
+      return;
+    }
+
+    if (url.pathname === '/register') {
+      registrations++;
+      const registration = JSON.parse(body);
+      res.writeHead(201, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ...registration, client_id: `client-${registrations}` }));
+      return;
+    }
+
+    if (url.pathname === '/authorize') {
+      // Approve immediately and send the browser back with a code
+      const code = `code-${codes.size + 1}`;
+      codes.set(code, url.searchParams.get('code_challenge'));
+      const redirect = new URL(url.searchParams.get('redirect_uri'));
+      redirect.searchParams.set('code', code);
+      redirect.searchParams.set('state', url.searchParams.get('state'));
+      res.writeHead(302, { Location: redirect.href }).end();
+      return;
+    }
+
+    if (url.pathname === '/token') {
+      const failure = tokenFailure;
+      tokenFailure = null;
+      if (failure === 'reset') {
+        req.socket.destroy();
+        return;
+      }
+      if (failure === 'invalid_grant') {
+        res.writeHead(400, { 'Content-Type': 'application/json' }).end(JSON.stringify({ error: 'invalid_grant' }));
+        return;
+      }
+
+      const params = new URLSearchParams(body);
+      if (params.get('grant_type') === 'authorization_code') {
+        const challenge = crypto.createHash('sha256').update(params.get('code_verifier')).digest('base64url');
+        if (codes.get(params.get('code')) !== challenge) {
+          res.writeHead(400, { 'Content-Type': 'application/json' }).end(JSON.stringify({ error: 'invalid_grant' }));
+          return;
+        }
+      }
+      issueTokens(res);
+      return;
+    }
+
+    if (url.pathname === '/mcp') {
+      if (req.headers.authorization !== `Bearer ${validAccessToken}`) {
+        res.writeHead(401, {
+          'WWW-Authenticate': `Bearer resource_metadata="${origin}/.well-known/oauth-protected-resource/mcp"`
+        }).end();
+        return;
+      }
+
+      if (req.method !== 'POST') {
+        res.writeHead(405).end();
+        return;
+      }
+
+      const message = JSON.parse(body);
+      if (message.id === undefined) {
+        res.writeHead(202).end();
+        return;
+      }
+
+      const result = message.method === 'initialize'
+        ? { protocolVersion: message.params.protocolVersion, capabilities: { tools: {} }, serverInfo: { name: 'protected', version: '1.0.0' } }
+        : { tools: [{ name: 'secret', description: 'Only for signed-in users' }] };
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ jsonrpc: '2.0', id: message.id, result }));
+      return;
+    }
+
+    res.writeHead(404).end();
+  });
+}
+
+/**
+ * Follow the authorization URL like a browser would, including the redirect
+ */
+function simulateBrowser(authorizationUrl) {
+  return new Promise((resolve, reject) => {
+    http.get(authorizationUrl, (res) => {
+      res.resume();
+      http.get(res.headers.location, (callbackRes) => {
+        callbackRes.resume();
+        callbackRes.on('end', () => resolve(callbackRes.statusCode));
+      }).on('error', reject);
+    }).on('error', reject);
+  });
+}
+
+/**
+ * Main test function
+ */
+async function runTest() {
+  console.log('Starting OAuth flow test...');
+
+  const mock = http.createServer(handleRequest);
+  await new Promise(resolve => mock.listen(0, '127.0.0.1', resolve));
+  const server = { name: 'protected', url: `http://127.0.0.1:${mock.address().port}/mcp`, enabled: true };
+  const wsServer = { ...server, url: `ws://127.0.0.1:${mock.address().port}/ws` };
+
+  // The same protected server over WebSocket, refusing the handshake without a valid token
+  const wss = new WebSocketServer({
+    server: mock,
+    path: '/ws',
+    verifyClient: (info, done) => done(info.req.headers.authorization === `Bearer ${validAccessToken}`, 401)
+  });
+  wss.on('connection', (socket) => {
+    socket.on('message', (data) => {
+      const message = JSON.parse(data.toString());
+      if (message.id === undefined) {
+        return;
+      }
+      const result = message.method === 'initialize'
+        ? { protocolVersion: message.params.protocolVersion, capabilities: { tools: {} }, serverInfo: { name: 'protected', version: '1.0.0' } }
+        : { tools: [{ name: 'secret', description: 'Only for signed-in users' }] };
+      socket.send(JSON.stringify({ jsonrpc: '2.0', id: message.id, result }));
+    });
+  });
+
+  try {
+    await assert.rejects(fetchToolsFromServer(server), /mcp0_servers_login/);
+    console.log('✓ Unauthorized server asks for a login');
+
+    const login = await startLogin(server);
+    const authorizationUrl = new URL(login.authorizationUrl);
+    assert.strictEqual(authorizationUrl.searchParams.get('code_challenge_method'), 'S256');
+    assert.strictEqual(authorizationUrl.searchParams.get('client_id'), 'client-1');
+    console.log('✓ Metadata discovered and client registered dynamically');
+
+    assert.strictEqual(await simulateBrowser(login.authorizationUrl), 200);
+    await login.completion;
+    const stored = JSON.parse(fs.readFileSync(TOKENS_FILE, 'utf8'));
+    assert.strictEqual(stored.protected.tokens.access_token, 'access-1');
+    console.log('✓ Authorization code exchanged with PKCE and tokens stored');
+
+    let tools = await fetchToolsFromServer(server);
+    assert.deepStrictEqual(tools.map(tool => tool.name), ['protected_secret']);
+    console.log('✓ Stored token is sent to the server');
+
+    // The server stops accepting the token; the client must refresh and retry
+    stopAllServers();
+    validAccessToken = 'revoked';
+    tools = await fetchToolsFromServer(server);
+    assert.strictEqual(tools.length, 1);
+    assert.strictEqual(JSON.parse(fs.readFileSync(TOKENS_FILE, 'utf8')).protected.tokens.access_token, 'access-2');
+    console.log('✓ Token refreshed after a 401');
+
+    // A refresh that fails on the network keeps the tokens for the next attempt
+    stopAllServers();
+    validAccessToken = 'revoked';
+    tokenFailure = 'reset';
+    await assert.rejects(fetchToolsFromServer(server));
+    assert.strictEqual(JSON.parse(fs.readFileSync(TOKENS_FILE, 'utf8')).protected.tokens.refresh_token, 'refresh-2');
+    tools = await fetchToolsFromServer(server);
+    assert.strictEqual(tools.length, 1);
+    console.log('✓ Tokens are kept when the refresh fails on the network');
+
+    stopAllServers();
+    validAccessToken = 'revoked';
+    tools = await fetchToolsFromServer(wsServer);
+    assert.strictEqual(tools.length, 1);
+    assert.strictEqual(JSON.parse(fs.readFileSync(TOKENS_FILE, 'utf8')).protected.tokens.access_token, 'access-4');
+    console.log('✓ Token refreshed after a 401 on the WebSocket handshake');
+
+    stopAllServers();
+    validAccessToken = 'revoked';
+    tokenFailure = 'invalid_grant';
+    await assert.rejects(fetchToolsFromServer(server), /mcp0_servers_login/);
+    assert.strictEqual(JSON.parse(fs.readFileSync(TOKENS_FILE, 'utf8')).protected.tokens, null);
+    console.log('✓ Tokens are dropped when the refresh token is rejected');
+
+    console.log('✅ Test passed! OAuth authorization flow works.');
+  } finally {
+    stopAllServers();
+    wss.close();
+    mock.close();
+    fs.rmSync(TOKENS_FILE, { force: true });
+    fs.rmSync(CATALOG_FILE, { force: true });
+  }
+}
+
+runTest().catch(error => {
+  console.error('❌ Test failed:', error.message);
+  process.exitCode = 1;
+});
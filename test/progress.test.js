@@ -0,0 +1,98 @@
+/**
+ * Test for progress relaying
+ *
+ * This test sends a long-running tool call with a progress token through the
+ * server and checks that the upstream's progress notifications are relayed
+ * with the client's token, and that progress keeps a request from timing out.
+ */
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Point the config modules at temporary files before loading the server
+const TMP_PREFIX = path.join(os.tmpdir(), `ats-progress-${process.pid}`);
+const MCP_CONFIG_FILE = `${TMP_PREFIX}-mcp.json`;
+const SERVERS_CONFIG_FILE = `${TMP_PREFIX}-servers.json`;
+const CATALOG_FILE = `${TMP_PREFIX}-catalog.json`;
+
+fs.writeFileSync(MCP_CONFIG_FILE, JSON.stringify({
+  mcpServers: {
+    builder: {
+      command: process.execPath,
+      args: [path.join(__dirname, 'mock-mcp-server.js')]
+    }
+  }
+}));
+fs.writeFileSync(SERVERS_CONFIG_FILE, JSON.stringify({
+  servers: [{ name: 'builder', url: 'builder', enabled: true }],
+  tool_limit: 60
+}));
+process.env.MCP_CONFIG_PATH = MCP_CONFIG_FILE;
+process.env.SERVERS_CONFIG_PATH = SERVERS_CONFIG_FILE;
+process.env.TOOL_CATALOG_PATH = CATALOG_FILE;
+
+const { processMessage } = require('../src/cascade/server');
+const { stopAllServers } = require('../src/cascade/client');
+const { createRequest, resolveResponse, handleProgress } = require('../src/cascade/request-router');
+
+/**
+ * Call the echo tool through the server and collect what is sent back
+ */
+function callEcho(id, meta) {
+  return new Promise(resolve => {
+    const notifications = [];
+
+    processMessage({
+      jsonrpc: '2.0',
+      id,
+      method: 'tools/call',
+      params: { name: 'builder_echo', parameters: { text: 'built', delay: 400, progress: 3 }, ...meta }
+    }, response => resolve({ response, notifications }), notification => notifications.push(notification));
+  });
+}
+
+/**
+ * Main test function
+ */
+async function runTest() {
+  console.log('Starting progress relaying test...');
+
+  const { response, notifications } = await callEcho(1, { _meta: { progressToken: 'build-42' } });
+  assert.strictEqual(response.result.content[0].text, 'built');
+  assert.deepStrictEqual(notifications, [1, 2, 3].map(progress => ({
+    jsonrpc: '2.0',
+    method: 'notifications/progress',
+    params: { progressToken: 'build-42', progress, total: 3 }
+  })));
+  console.log('✓ Progress is relayed with the client\'s token before the response');
+
+  const withoutToken = await callEcho(2, {});
+  assert.strictEqual(withoutToken.notifications.length, 0);
+  console.log('✓ No progress is requested without a token');
+
+  // A request that keeps reporting progress outlives its timeout
+  const owner = { server: { name: 'fake' } };
+  const pending = createRequest(owner, 'tools/call', { timeout: 200, progressToken: 7 });
+  for (let i = 0; i < 4; i++) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert(handleProgress(owner, { method: 'notifications/progress', params: { progressToken: 7, progress: i } }));
+  }
+  resolveResponse(owner, { jsonrpc: '2.0', id: pending.id, result: {} });
+  await pending.response;
+  console.log('✓ Progress restarts the request timeout');
+
+  console.log('✅ Test passed! Progress notifications are relayed.');
+}
+
+runTest()
+  .catch(error => {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => {
+    stopAllServers();
+    fs.rmSync(MCP_CONFIG_FILE, { force: true });
+    fs.rmSync(SERVERS_CONFIG_FILE, { force: true });
+    fs.rmSync(CATALOG_FILE, { force: true });
+  });
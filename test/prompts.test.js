@@ -0,0 +1,118 @@
+/**
+ * Test for prompt aggregation
+ *
+ * This test runs three local stand-in WebSocket MCP servers, two with prompts
+ * of the same name and one without prompts, and checks that prompts/list merges
+ * the namespaced prompts, that prompts/get reaches the server that owns the
+ * prompt, and that upstream prompt changes are passed on to the client.
+ */
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Point the config and catalog modules at temporary files before loading the modules
+const SERVERS_CONFIG_FILE = path.join(os.tmpdir(), `ats-prompts-${process.pid}.json`);
+const CATALOG_FILE = path.join(os.tmpdir(), `ats-prompts-catalog-${process.pid}.json`);
+process.env.SERVERS_CONFIG_PATH = SERVERS_CONFIG_FILE;
+process.env.TOOL_CATALOG_PATH = CATALOG_FILE;
+
+const { processMessage } = require('../src/cascade/server');
+const { setClientSink } = require('../src/cascade/notifications');
+const { startEnabledServers, stopAllServers } = require('../src/cascade/client');
+const { startStandIn, send } = require('./ws-stand-in');
+
+/**
+ * Start a stand-in server with the given prompts, or without prompt support
+ */
+async function startPromptStandIn(name, prompts) {
+  const standIn = await startStandIn(name, {
+    capabilities: prompts ? { tools: {}, prompts: { listChanged: true } } : { tools: {} },
+    handlers: {
+      'prompts/list': () => ({ prompts: standIn.prompts }),
+      'prompts/get': message => {
+        const text = `${name} ${message.params.name}: ${message.params.arguments.topic}`;
+        return { messages: [{ role: 'user', content: { type: 'text', text } }] };
+      }
+    }
+  });
+  standIn.prompts = prompts;
+  return standIn;
+}
+
+/**
+ * Main test function
+ */
+async function runTest() {
+  console.log('Starting prompts test...');
+
+  const summarize = { name: 'summarize', description: 'Summarize a topic', arguments: [{ name: 'topic', required: true }] };
+  const alpha = await startPromptStandIn('alpha', [summarize]);
+  const beta = await startPromptStandIn('beta', [summarize]);
+  const gamma = await startPromptStandIn('gamma', null);
+  fs.writeFileSync(SERVERS_CONFIG_FILE, JSON.stringify({
+    tool_limit: 60,
+    servers: [alpha, beta, gamma].map((standIn, index) => ({
+      name: ['alpha', 'beta', 'gamma'][index],
+      url: `ws://127.0.0.1:${standIn.address().port}`,
+      enabled: true
+    }))
+  }));
+
+  const sent = [];
+  setClientSink(notification => sent.push(notification));
+
+  try {
+    // Connect first, so the prompts capability is announced
+    await startEnabledServers(JSON.parse(fs.readFileSync(SERVERS_CONFIG_FILE)).servers);
+    const initialize = await send({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-06-18' } });
+    assert.deepStrictEqual(initialize.result.capabilities.prompts, { listChanged: true });
+    await processMessage({ jsonrpc: '2.0', method: 'notifications/initialized' }, () => {}, () => {});
+
+    const list = await send({ jsonrpc: '2.0', id: 2, method: 'prompts/list', params: {} });
+    assert.deepStrictEqual(list.result.prompts.map(prompt => prompt.name), ['alpha_summarize', 'beta_summarize']);
+    assert.strictEqual(list.result.prompts[1].description, '[From beta] Summarize a topic');
+    assert.deepStrictEqual(list.result.prompts[1].arguments, summarize.arguments);
+    assert(!gamma.requests.some(request => request.method === 'prompts/list'), 'Servers without prompts should not be asked');
+    console.log('✓ prompts/list merges namespaced prompts from servers that have them');
+
+    const prompt = await send({
+      jsonrpc: '2.0',
+      id: 3,
+      method: 'prompts/get',
+      params: { name: 'beta_summarize', arguments: { topic: 'tides' } }
+    });
+    assert.strictEqual(prompt.id, 3);
+    assert.strictEqual(prompt.result.messages[0].content.text, 'beta summarize: tides');
+    assert(!alpha.requests.some(request => request.method === 'prompts/get'));
+    console.log('✓ prompts/get is routed to the server that owns the prompt');
+
+    const unknown = await send({ jsonrpc: '2.0', id: 4, method: 'prompts/get', params: { name: 'gamma_summarize' } });
+    assert.strictEqual(unknown.error.code, -32602);
+    console.log('✓ Unknown prompts are rejected');
+
+    alpha.prompts = [summarize, { name: 'translate', description: 'Translate a text' }];
+    alpha.socket.send(JSON.stringify({ jsonrpc: '2.0', method: 'notifications/prompts/list_changed' }));
+    await new Promise(resolve => setTimeout(resolve, 500));
+    const promptNotifications = sent.filter(notification => notification.method.startsWith('notifications/prompts/'));
+    assert.deepStrictEqual(promptNotifications, [{ jsonrpc: '2.0', method: 'notifications/prompts/list_changed' }]);
+
+    const updated = await send({ jsonrpc: '2.0', id: 5, method: 'prompts/list', params: {} });
+    assert.deepStrictEqual(updated.result.prompts.map(p => p.name), ['alpha_summarize', 'alpha_translate', 'beta_summarize']);
+    console.log('✓ Upstream prompt changes are passed on to the client');
+
+    console.log('✅ Test passed! Prompts are aggregated across enabled servers.');
+  } finally {
+    stopAllServers();
+    alpha.close();
+    beta.close();
+    gamma.close();
+    fs.rmSync(SERVERS_CONFIG_FILE, { force: true });
+    fs.rmSync(CATALOG_FILE, { force: true });
+  }
+}
+
+runTest().catch(error => {
+  console.error('❌ Test failed:', error.message);
+  process.exitCode = 1;
+});
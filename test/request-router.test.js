@@ -0,0 +1,101 @@
+/**
+ * Test for the request router
+ *
+ * This test verifies that forwarded calls get their own upstream ids, so
+ * concurrent calls that reuse client ids are answered correctly, that
+ * unanswered requests time out, and that the entry point handles every
+ * client message exactly once.
+ */
+const assert = require('assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+
+// Point the config module at a temporary MCP config before loading the client
+const MCP_CONFIG_FILE = path.join(os.tmpdir(), `ats-request-router-${process.pid}.json`);
+const mockServer = {
+  command: process.execPath,
+  args: [path.join(__dirname, 'mock-mcp-server.js')]
+};
+fs.writeFileSync(MCP_CONFIG_FILE, JSON.stringify({ mcpServers: { first: mockServer, second: mockServer } }));
+process.env.MCP_CONFIG_PATH = MCP_CONFIG_FILE;
+
+const { forwardToolCall, stopAllServers } = require('../src/cascade/client');
+const { createRequest, resolveResponse } = require('../src/cascade/request-router');
+
+const first = { name: 'first', url: 'first', enabled: true };
+const second = { name: 'second', url: 'second', enabled: true };
+
+/**
+ * Count the responses the entry point writes for a single request
+ */
+function countResponses(message) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'cascade-integration.js')], {
+      stdio: ['pipe', 'pipe', 'ignore']
+    });
+    const rl = readline.createInterface({ input: child.stdout, terminal: false });
+    let count = 0;
+
+    rl.on('line', line => {
+      if (JSON.parse(line).id === message.id) {
+        count++;
+      }
+    });
+    child.on('error', reject);
+    child.on('exit', () => resolve(count));
+
+    child.stdin.write(JSON.stringify(message) + '\n');
+    setTimeout(() => child.stdin.end(), 1000);
+  });
+}
+
+/**
+ * Main test function
+ */
+async function runTest() {
+  console.log('Starting request router test...');
+
+  // Client ids 1 and 2 used to collide with the ids of the initialize and
+  // tools/list requests, and the same client id can be in flight twice
+  const responses = await Promise.all([
+    forwardToolCall(first, 'echo', { text: 'first-1', delay: 200 }, 1),
+    forwardToolCall(first, 'echo', { text: 'first-2' }, 2),
+    forwardToolCall(second, 'echo', { text: 'second-1', delay: 100 }, 1),
+    forwardToolCall(second, 'echo', { text: 'second-x' }, 'x')
+  ]);
+  assert.deepStrictEqual(
+    responses.map(response => [response.id, response.result.content[0].text]),
+    [[1, 'first-1'], [2, 'first-2'], [1, 'second-1'], ['x', 'second-x']]
+  );
+  console.log('✓ Concurrent calls with clashing client ids are answered correctly');
+
+  const owner = { server: { name: 'fake' } };
+  const other = { server: { name: 'other' } };
+  const pending = createRequest(owner, 'tools/call', { timeout: 1000, clientId: 'abc' });
+  assert.strictEqual(resolveResponse(other, { jsonrpc: '2.0', id: pending.id, result: {} }), false);
+  assert.strictEqual(resolveResponse(owner, { jsonrpc: '2.0', id: pending.id, result: {} }), true);
+  assert.strictEqual((await pending.response).id, 'abc');
+  console.log('✓ Responses are only accepted from the upstream the request was sent to');
+
+  const unanswered = createRequest(owner, 'tools/call', { timeout: 50 });
+  await assert.rejects(unanswered.response, /Timeout waiting for response from fake/);
+  console.log('✓ Unanswered requests time out');
+
+  assert.strictEqual(await countResponses({ jsonrpc: '2.0', id: 'once', method: 'unknown/method' }), 1);
+  console.log('✓ Each client message is handled once');
+
+  console.log('✅ Test passed! Upstream request ids are owned by the proxy.');
+}
+
+runTest()
+  .catch(error => {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => {
+    stopAllServers();
+    fs.rmSync(MCP_CONFIG_FILE, { force: true });
+  });
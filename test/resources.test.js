@@ -0,0 +1,146 @@
+/**
+ * Test for resource aggregation
+ *
+ * This test runs two local stand-in WebSocket MCP servers that expose the same
+ * resource URI, and checks that the resources are listed under separate URIs,
+ * that reads and subscriptions reach the server that owns the resource under
+ * its own URI, that resource updates are only relayed for subscriptions, and
+ * that servers whose names give the same prefix are listed under separate URIs.
+ */
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Point the config and catalog modules at temporary files before loading the modules
+const SERVERS_CONFIG_FILE = path.join(os.tmpdir(), `ats-resources-${process.pid}.json`);
+const CATALOG_FILE = path.join(os.tmpdir(), `ats-resources-catalog-${process.pid}.json`);
+process.env.SERVERS_CONFIG_PATH = SERVERS_CONFIG_FILE;
+process.env.TOOL_CATALOG_PATH = CATALOG_FILE;
+
+const { setClientSink } = require('../src/cascade/notifications');
+const { startEnabledServers, stopAllServers } = require('../src/cascade/client');
+const { startStandIn, send } = require('./ws-stand-in');
+
+/**
+ * Start a stand-in server with a notes resource and a file template
+ */
+function startResourceStandIn(name) {
+  return startStandIn(name, {
+    capabilities: { tools: {}, resources: { subscribe: true, listChanged: true } },
+    handlers: {
+      'resources/list': () => ({ resources: [{ uri: 'file:///notes.md', name: 'notes', mimeType: 'text/markdown' }] }),
+      'resources/templates/list': () => ({ resourceTemplates: [{ uriTemplate: 'file:///{path}', name: 'file' }] }),
+      'resources/read': message => ({ contents: [{ uri: message.params.uri, text: `${name} notes` }] }),
+      'resources/subscribe': () => ({}),
+      'resources/unsubscribe': () => ({})
+    }
+  });
+}
+
+/**
+ * Make a stand-in server announce that its notes changed
+ */
+async function announceUpdate(standIn) {
+  standIn.socket.send(JSON.stringify({
+    jsonrpc: '2.0',
+    method: 'notifications/resources/updated',
+    params: { uri: 'file:///notes.md' }
+  }));
+  await new Promise(resolve => setTimeout(resolve, 200));
+}
+
+/**
+ * Main test function
+ */
+async function runTest() {
+  console.log('Starting resources test...');
+
+  const alpha = await startResourceStandIn('alpha');
+  const beta = await startResourceStandIn('beta');
+  const upperAlpha = await startResourceStandIn('Alpha');
+  fs.writeFileSync(SERVERS_CONFIG_FILE, JSON.stringify({
+    tool_limit: 60,
+    servers: [
+      { name: 'alpha', url: `ws://127.0.0.1:${alpha.address().port}`, enabled: true },
+      { name: 'beta', url: `ws://127.0.0.1:${beta.address().port}`, enabled: true }
+    ]
+  }));
+
+  const sent = [];
+  setClientSink(notification => sent.push(notification));
+
+  try {
+    await startEnabledServers(JSON.parse(fs.readFileSync(SERVERS_CONFIG_FILE)).servers);
+    const initialize = await send({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-06-18' } });
+    assert.deepStrictEqual(initialize.result.capabilities.resources, { listChanged: true, subscribe: true });
+
+    const list = await send({ jsonrpc: '2.0', id: 2, method: 'resources/list', params: {} });
+    assert.deepStrictEqual(list.result.resources.map(resource => resource.uri), [
+      'mcp0-resource://alpha/file:///notes.md',
+      'mcp0-resource://beta/file:///notes.md'
+    ]);
+    const templates = await send({ jsonrpc: '2.0', id: 3, method: 'resources/templates/list', params: {} });
+    assert.deepStrictEqual(templates.result.resourceTemplates.map(template => template.uriTemplate), [
+      'mcp0-resource://alpha/file:///{path}',
+      'mcp0-resource://beta/file:///{path}'
+    ]);
+    console.log('✓ Resources with the same URI on two servers are listed under separate URIs');
+
+    const read = await send({ jsonrpc: '2.0', id: 4, method: 'resources/read', params: { uri: 'mcp0-resource://beta/file:///notes.md' } });
+    assert.strictEqual(read.id, 4);
+    assert.deepStrictEqual(read.result.contents, [{ uri: 'mcp0-resource://beta/file:///notes.md', text: 'beta notes' }]);
+    assert.strictEqual(beta.requests.find(request => request.method === 'resources/read').params.uri, 'file:///notes.md');
+    assert(!alpha.requests.some(request => request.method === 'resources/read'));
+    console.log('✓ resources/read reaches the owning server under its own URI');
+
+    const unknown = await send({ jsonrpc: '2.0', id: 5, method: 'resources/read', params: { uri: 'file:///notes.md' } });
+    assert.strictEqual(unknown.error.code, -32602);
+    console.log('✓ Unknown resource URIs are rejected');
+
+    await send({ jsonrpc: '2.0', id: 6, method: 'resources/subscribe', params: { uri: 'mcp0-resource://alpha/file:///notes.md' } });
+    assert.strictEqual(alpha.requests.find(request => request.method === 'resources/subscribe').params.uri, 'file:///notes.md');
+    await announceUpdate(beta);
+    await announceUpdate(alpha);
+    assert.deepStrictEqual(sent, [{
+      jsonrpc: '2.0',
+      method: 'notifications/resources/updated',
+      params: { uri: 'mcp0-resource://alpha/file:///notes.md' }
+    }]);
+    console.log('✓ Updates are relayed from the server that owns the subscription');
+
+    await send({ jsonrpc: '2.0', id: 7, method: 'resources/unsubscribe', params: { uri: 'mcp0-resource://alpha/file:///notes.md' } });
+    assert(alpha.requests.some(request => request.method === 'resources/unsubscribe'));
+    await announceUpdate(alpha);
+    assert.strictEqual(sent.length, 1);
+    console.log('✓ Updates stop after unsubscribing');
+
+    const config = JSON.parse(fs.readFileSync(SERVERS_CONFIG_FILE));
+    config.servers.push({ name: 'Alpha', url: `ws://127.0.0.1:${upperAlpha.address().port}`, enabled: true });
+    fs.writeFileSync(SERVERS_CONFIG_FILE, JSON.stringify(config));
+    const colliding = (await send({ jsonrpc: '2.0', id: 8, method: 'resources/list', params: {} })).result.resources.map(resource => resource.uri);
+    assert.strictEqual(colliding.length, 3);
+    assert(colliding.includes('mcp0-resource://alpha/file:///notes.md'));
+    const upperUri = colliding.find(uri => /^mcp0-resource:\/\/alpha_[0-9a-f]{8}\/file:\/\/\/notes\.md$/.test(uri));
+    assert(upperUri, `No separate URI for Alpha in ${colliding.join(', ')}`);
+    const upperRead = await send({ jsonrpc: '2.0', id: 9, method: 'resources/read', params: { uri: upperUri } });
+    assert.deepStrictEqual(upperRead.result.contents, [{ uri: upperUri, text: 'Alpha notes' }]);
+    const lowerRead = await send({ jsonrpc: '2.0', id: 10, method: 'resources/read', params: { uri: 'mcp0-resource://alpha/file:///notes.md' } });
+    assert.strictEqual(lowerRead.result.contents[0].text, 'alpha notes');
+    console.log('✓ Servers whose names give the same prefix are listed and read under separate URIs');
+
+    console.log('✅ Test passed! Resources are aggregated across enabled servers.');
+  } finally {
+    stopAllServers();
+    alpha.close();
+    beta.close();
+    upperAlpha.close();
+    fs.rmSync(SERVERS_CONFIG_FILE, { force: true });
+    fs.rmSync(CATALOG_FILE, { force: true });
+  }
+}
+
+runTest().catch(error => {
+  console.error('❌ Test failed:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,150 @@
+/**
+ * Test for timeouts and retries
+ *
+ * This test runs a local stand-in MCP server that fails requests on purpose
+ * and checks that tools/list and idempotent tool calls are retried, that other
+ * tool calls are not, and that per-tool timeouts apply. It also checks that
+ * requests failing with the same error each report their own attempts.
+ */
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Point the catalog module at a temporary file before loading the client
+const CATALOG_FILE = path.join(os.tmpdir(), `ats-retry-catalog-${process.pid}.json`);
+process.env.TOOL_CATALOG_PATH = CATALOG_FILE;
+
+const { fetchToolsFromServer, forwardToolCall, stopAllServers } = require('../src/cascade/client');
+const { withRetry } = require('../src/cascade/retry');
+
+// Failures still to be returned, keyed by method or tool name
+const failures = new Map([['tools/list', 2], ['lookup', 1], ['charge', 1]]);
+
+// Requests received, keyed by method or tool name
+const received = new Map();
+
+const tools = [
+  { name: 'lookup', description: 'Read a record', annotations: { readOnlyHint: true } },
+  { name: 'charge', description: 'Charge a card' },
+  { name: 'slow', description: 'Take a while' }
+];
+
+/**
+ * Answer a JSON-RPC request
+ */
+function reply(res, id, result) {
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ jsonrpc: '2.0', id, result }));
+}
+
+/**
+ * Handle a request to the stand-in server
+ */
+function handleRequest(req, res) {
+  if (req.method !== 'POST') {
+    res.writeHead(405).end();
+    return;
+  }
+
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+  });
+  req.on('end', () => {
+    const message = JSON.parse(body);
+    const key = message.method === 'tools/call' ? message.params.name : message.method;
+    received.set(key, (received.get(key) || 0) + 1);
+
+    if (message.id === undefined) {
+      res.writeHead(202).end();
+      return;
+    }
+
+    if (failures.get(key) > 0) {
+      failures.set(key, failures.get(key) - 1);
+      res.writeHead(503).end('Try again later');
+      return;
+    }
+
+    if (message.method === 'initialize') {
+      return reply(res, message.id, {
+        protocolVersion: message.params.protocolVersion,
+        capabilities: { tools: {} },
+        serverInfo: { name: 'flaky', version: '1.0.0' }
+      });
+    }
+
+    if (message.method === 'tools/list') {
+      return reply(res, message.id, { tools });
+    }
+
+    const result = { content: [{ type: 'text', text: `${key} done` }] };
+    setTimeout(() => reply(res, message.id, result), key === 'slow' ? 300 : 0);
+  });
+}
+
+/**
+ * Main test function
+ */
+async function runTest() {
+  console.log('Starting timeout and retry test...');
+
+  const standIn = http.createServer(handleRequest);
+  await new Promise(resolve => standIn.listen(0, '127.0.0.1', resolve));
+  const server = {
+    name: 'flaky',
+    url: `http://127.0.0.1:${standIn.address().port}/mcp`,
+    enabled: true,
+    retry: { maxAttempts: 3, initialDelayMs: 10, maxDelayMs: 50 },
+    tools: {
+      slow: { timeoutMs: 100, idempotent: true, retry: { maxAttempts: 2 } }
+    }
+  };
+
+  try {
+    const listed = await fetchToolsFromServer(server);
+    assert.strictEqual(listed.length, 3);
+    assert.strictEqual(received.get('tools/list'), 3);
+    console.log('✓ tools/list is retried with backoff');
+
+    const lookup = await forwardToolCall(server, 'lookup', {}, 1);
+    assert.strictEqual(lookup.result.content[0].text, 'lookup done');
+    assert.strictEqual(received.get('lookup'), 2);
+    console.log('✓ Read-only tool call is retried');
+
+    await assert.rejects(forwardToolCall(server, 'charge', {}, 2), /HTTP 503 .*\(1 attempt\)/);
+    assert.strictEqual(received.get('charge'), 1);
+    console.log('✓ Tool call without an idempotent hint is not retried');
+
+    await assert.rejects(forwardToolCall(server, 'slow', {}, 3), /Timeout .*\(2 attempts\)/);
+    assert.strictEqual(received.get('slow'), 2);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.strictEqual(received.get('notifications/cancelled'), 2);
+    console.log('✓ Per-tool timeout applies and timed-out attempts are cancelled');
+
+    // A session that ends fails all of its requests with one error
+    const shared = new Error('Server flaky exited with code 1');
+    shared.statusCode = 502;
+    const errors = await Promise.all([1, 2, 3].map(() =>
+      withRetry(server, 'Tool call', { maxAttempts: 1 }, () => Promise.reject(shared)).catch(error => error)
+    ));
+    assert.deepStrictEqual(errors.map(error => error.message), Array(3).fill('Server flaky exited with code 1 (1 attempt)'));
+    assert.strictEqual(errors[0].statusCode, 502);
+    assert.strictEqual(errors[0].cause, shared);
+    assert.strictEqual(shared.message, 'Server flaky exited with code 1');
+    console.log('✓ Requests failing with the same error each report their own attempts');
+
+    console.log('✅ Test passed! Timeouts and retries follow the configured policy.');
+  } finally {
+    stopAllServers();
+    standIn.close();
+    fs.rmSync(CATALOG_FILE, { force: true });
+  }
+}
+
+runTest().catch(error => {
+  console.error('❌ Test failed:', error.message);
+  process.exitCode = 1;
+});
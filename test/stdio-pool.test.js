@@ -0,0 +1,93 @@
+/**
+ * Test for the persistent stdio session pool
+ *
+ * This test verifies that child-process servers are started once, that
+ * concurrent tool calls are multiplexed over the same process, and that
+ * the session is re-established after the process dies.
+ */
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Point the config and catalog modules at temporary files before loading the client
+const MCP_CONFIG_FILE = path.join(os.tmpdir(), `ats-stdio-pool-${process.pid}.json`);
+const CATALOG_FILE = path.join(os.tmpdir(), `ats-stdio-pool-catalog-${process.pid}.json`);
+fs.writeFileSync(MCP_CONFIG_FILE, JSON.stringify({
+  mcpServers: {
+    mock: {
+      command: process.execPath,
+      args: [path.join(__dirname, 'mock-mcp-server.js')]
+    }
+  }
+}));
+process.env.MCP_CONFIG_PATH = MCP_CONFIG_FILE;
+process.env.TOOL_CATALOG_PATH = CATALOG_FILE;
+
+const { fetchToolsFromServer, forwardToolCall, stopAllServers } = require('../src/cascade/client');
+
+const server = { name: 'mock', url: 'mock', enabled: true };
+const perCallServer = { name: 'mock', url: 'mock', enabled: true, persistent: false };
+
+/**
+ * Call a tool and return the text of its first content item
+ */
+async function callText(target, toolName, params, id) {
+  const response = await forwardToolCall(target, toolName, params, id);
+  assert.strictEqual(response.id, id, 'Response should carry the client id');
+  return response.result.content[0].text;
+}
+
+/**
+ * Main test function
+ */
+async function runTest() {
+  console.log('Starting stdio session pool test...');
+
+  const tools = await fetchToolsFromServer(server);
+  assert.strictEqual(tools.length, 3);
+  console.log(`✓ Listed ${tools.length} tools over the pooled session`);
+
+  const firstPid = await callText(server, 'pid', {}, 1);
+  const secondPid = await callText(server, 'pid', {}, 2);
+  assert.strictEqual(firstPid, secondPid, 'Calls should reuse the same process');
+  console.log('✓ Consecutive calls reuse the same process');
+
+  // The slow call is sent first but must not block or steal the fast call's response
+  const [slow, fast] = await Promise.all([
+    callText(server, 'echo', { text: 'slow', delay: 300 }, 1),
+    callText(server, 'echo', { text: 'fast' }, 1)
+  ]);
+  assert.strictEqual(slow, 'slow');
+  assert.strictEqual(fast, 'fast');
+  console.log('✓ Concurrent calls are multiplexed');
+
+  await assert.rejects(forwardToolCall(server, 'crash', {}, 3));
+  const restartedPid = await callText(server, 'pid', {}, 4);
+  assert.notStrictEqual(restartedPid, firstPid, 'A new process should be started after a crash');
+  console.log('✓ Session is re-established after the process dies');
+
+  // A process that crashes again right after coming up is respawned with a longer backoff
+  await assert.rejects(forwardToolCall(server, 'crash', {}, 6));
+  const crashedAt = Date.now();
+  await callText(server, 'pid', {}, 7);
+  assert(Date.now() - crashedAt >= 900, 'The second respawn should wait for the doubled backoff');
+  console.log('✓ Repeated crashes back off even when the process initializes in between');
+
+  const perCallPid = await callText(perCallServer, 'pid', {}, 5);
+  assert.notStrictEqual(perCallPid, restartedPid, 'Per-call servers should not use the pool');
+  console.log('✓ Servers with persistent: false get a fresh process per call');
+
+  console.log('✅ Test passed! Stdio sessions are pooled and reconnected.');
+}
+
+runTest()
+  .catch(error => {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => {
+    stopAllServers();
+    fs.unlinkSync(MCP_CONFIG_FILE);
+    fs.rmSync(CATALOG_FILE, { force: true });
+  });
@@ -0,0 +1,210 @@
+/**
+ * Test for the Streamable HTTP upstream transport
+ *
+ * This test runs a local stand-in MCP server that answers with both plain
+ * JSON and SSE-framed responses, hands out session ids, expires them and
+ * accepts session teardown. It also checks that configured credentials are
+ * sent on every request but never written to the log, and that an event
+ * stream whose connection is reset is opened again.
+ */
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Point the catalog module at a temporary file before loading the client
+const CATALOG_FILE = path.join(os.tmpdir(), `ats-streamable-http-catalog-${process.pid}.json`);
+process.env.TOOL_CATALOG_PATH = CATALOG_FILE;
+
+// Credential the stand-in server expects, read by the client from the environment
+const TOKEN = 'stand-in-secret-token';
+process.env.STAND_IN_TOKEN = TOKEN;
+
+const { fetchToolsFromServer, forwardToolCall, stopAllServers } = require('../src/cascade/client');
+
+// Sessions known to the stand-in server
+const activeSessions = new Set();
+const deletedSessions = [];
+let nextSession = 1;
+
+/**
+ * Handle a request to the stand-in server
+ */
+function handleRequest(req, res) {
+  const sessionId = req.headers['mcp-session-id'];
+
+  if (req.headers.authorization !== `Bearer ${TOKEN}` || req.headers['x-team'] !== 'infra') {
+    res.writeHead(401).end();
+    return;
+  }
+
+  if (req.method === 'GET') {
+    res.writeHead(405).end();
+    return;
+  }
+
+  if (req.method === 'DELETE') {
+    activeSessions.delete(sessionId);
+    deletedSessions.push(sessionId);
+    res.writeHead(200).end();
+    return;
+  }
+
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+  });
+  req.on('end', () => {
+    const message = JSON.parse(body);
+
+    if (message.method === 'initialize') {
+      const newSession = `session-${nextSession++}`;
+      activeSessions.add(newSession);
+      res.writeHead(200, { 'Content-Type': 'application/json', 'Mcp-Session-Id': newSession });
+      res.end(JSON.stringify({
+        jsonrpc: '2.0',
+        id: message.id,
+        result: {
+          protocolVersion: message.params.protocolVersion,
+          capabilities: { tools: {} },
+          serverInfo: { name: 'stand-in', version: '1.0.0' }
+        }
+      }));
+      return;
+    }
+
+    if (!activeSessions.has(sessionId)) {
+      res.writeHead(404).end();
+      return;
+    }
+
+    if (message.id === undefined) {
+      res.writeHead(202).end();
+      return;
+    }
+
+    if (message.method === 'tools/list') {
+      // Answer over SSE, with an unrelated notification ahead of the response
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write(`event: message\ndata: ${JSON.stringify({ jsonrpc: '2.0', method: 'notifications/message', params: { level: 'info', data: 'listing' } })}\n\n`);
+      res.write(`id: 1\ndata: ${JSON.stringify({ jsonrpc: '2.0', id: message.id, result: { tools: [{ name: 'greet', description: 'Say hello' }] } })}\n\n`);
+      res.end();
+      return;
+    }
+
+    if (message.method === 'tools/call') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        jsonrpc: '2.0',
+        id: message.id,
+        result: { content: [{ type: 'text', text: `hello from ${sessionId}` }] }
+      }));
+    }
+  });
+}
+
+/**
+ * Start a stand-in server whose first event stream is reset right after it opens
+ */
+async function startStreamStandIn() {
+  const standIn = http.createServer((req, res) => {
+    if (req.method === 'GET') {
+      standIn.streams++;
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write(': open\n\n');
+      if (standIn.streams === 1) {
+        setTimeout(() => req.socket.destroy(), 50);
+      }
+      return;
+    }
+
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const message = JSON.parse(body);
+      if (message.id === undefined) {
+        res.writeHead(202).end();
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        jsonrpc: '2.0',
+        id: message.id,
+        result: message.method === 'initialize'
+          ? { protocolVersion: message.params.protocolVersion, capabilities: { tools: {} }, serverInfo: { name: 'streamer', version: '1.0.0' } }
+          : { tools: [] }
+      }));
+    });
+  });
+  standIn.streams = 0;
+  await new Promise(resolve => standIn.listen(0, '127.0.0.1', resolve));
+  return standIn;
+}
+
+/**
+ * Main test function
+ */
+async function runTest() {
+  console.log('Starting Streamable HTTP transport test...');
+
+  const standIn = http.createServer(handleRequest);
+  await new Promise(resolve => standIn.listen(0, '127.0.0.1', resolve));
+  const server = {
+    name: 'stand-in',
+    url: `http://127.0.0.1:${standIn.address().port}`,
+    enabled: true,
+    headers: { 'X-Team': 'infra' },
+    auth: { type: 'bearer', tokenEnv: 'STAND_IN_TOKEN' }
+  };
+
+  try {
+    const tools = await fetchToolsFromServer(server);
+    assert.deepStrictEqual(tools.map(tool => tool.name), ['stand-in_greet']);
+    console.log('✓ Tools listed from an SSE-framed response');
+
+    let response = await forwardToolCall(server, 'greet', {}, 42);
+    assert.strictEqual(response.id, 42);
+    assert.strictEqual(response.result.content[0].text, 'hello from session-1');
+    console.log('✓ Tool call answered with plain JSON within the session');
+
+    // The server forgets the session; the client must re-initialize
+    activeSessions.clear();
+    response = await forwardToolCall(server, 'greet', {}, 43);
+    assert.strictEqual(response.result.content[0].text, 'hello from session-2');
+    console.log('✓ Expired session is re-initialized');
+
+    stopAllServers();
+    await new Promise(resolve => setTimeout(resolve, 200));
+    assert.deepStrictEqual(deletedSessions, ['session-2']);
+    console.log('✓ Session is terminated with DELETE');
+
+    const logFile = fs.readFileSync(path.join(__dirname, '..', 'cascade-mcp-server.log'), 'utf8');
+    assert(!logFile.includes(TOKEN), 'The bearer token should be redacted from the log');
+    console.log('✓ Credentials are sent on every request and redacted from the log');
+
+    const streamStandIn = await startStreamStandIn();
+    try {
+      await fetchToolsFromServer({ name: 'streamer', url: `http://127.0.0.1:${streamStandIn.address().port}`, enabled: true });
+      await new Promise(resolve => setTimeout(resolve, 1500));
+      assert.strictEqual(streamStandIn.streams, 2, 'The reset event stream should be opened again');
+      console.log('✓ An event stream whose connection is reset is reopened');
+    } finally {
+      stopAllServers();
+      streamStandIn.close();
+    }
+
+    console.log('✅ Test passed! Streamable HTTP upstreams are supported.');
+  } finally {
+    standIn.close();
+    fs.rmSync(CATALOG_FILE, { force: true });
+  }
+}
+
+runTest().catch(error => {
+  console.error('❌ Test failed:', error.message);
+  stopAllServers();
+  process.exitCode = 1;
+});
@@ -0,0 +1,134 @@
+/**
+ * Test for per-server TLS settings
+ *
+ * This test creates a private CA with openssl, runs a local HTTPS stand-in
+ * server that requires a client certificate signed by it, and checks that the
+ * client connects only when the server's `tls` block supplies the CA bundle,
+ * the client certificate and the expected server name.
+ */
+const assert = require('assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const https = require('https');
+const os = require('os');
+const path = require('path');
+
+// Point the catalog module at a temporary file before loading the client
+const CATALOG_FILE = path.join(os.tmpdir(), `ats-tls-catalog-${process.pid}.json`);
+process.env.TOOL_CATALOG_PATH = CATALOG_FILE;
+
+const { fetchToolsFromServer, stopAllServers } = require('../src/cascade/client');
+
+// Certificates are written to a temporary directory
+const CERT_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ats-tls-'));
+
+/**
+ * Run openssl in the certificate directory
+ */
+function openssl(...args) {
+  execFileSync('openssl', args, { cwd: CERT_DIR, stdio: 'ignore' });
+}
+
+/**
+ * Create a CA plus a server and a client certificate signed by it
+ */
+function createCertificates() {
+  openssl('req', '-x509', '-newkey', 'rsa:2048', '-nodes', '-days', '1',
+    '-subj', '/CN=Test CA', '-keyout', 'ca.key', '-out', 'ca.pem');
+
+  fs.writeFileSync(path.join(CERT_DIR, 'server.ext'), 'subjectAltName=DNS:mcp.internal\n');
+  for (const name of ['server', 'client']) {
+    openssl('req', '-newkey', 'rsa:2048', '-nodes', '-subj', `/CN=${name}`,
+      '-keyout', `${name}.key`, '-out', `${name}.csr`);
+    openssl('x509', '-req', '-in', `${name}.csr`, '-CA', 'ca.pem', '-CAkey', 'ca.key',
+      '-CAcreateserial', '-days', '1', '-out', `${name}.pem`,
+      ...(name === 'server' ? ['-extfile', 'server.ext'] : []));
+  }
+}
+
+/**
+ * Handle a request to the stand-in server
+ */
+function handleRequest(req, res) {
+  if (req.method !== 'POST') {
+    res.writeHead(405).end();
+    return;
+  }
+
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+  });
+  req.on('end', () => {
+    const message = JSON.parse(body);
+    if (message.id === undefined) {
+      res.writeHead(202).end();
+      return;
+    }
+
+    const result = message.method === 'initialize'
+      ? { protocolVersion: message.params.protocolVersion, capabilities: { tools: {} }, serverInfo: { name: 'mtls', version: '1.0.0' } }
+      : { tools: [{ name: 'whoami', description: `Called by ${req.socket.getPeerCertificate().subject.CN}` }] };
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ jsonrpc: '2.0', id: message.id, result }));
+  });
+}
+
+/**
+ * Main test function
+ */
+async function runTest() {
+  console.log('Starting TLS settings test...');
+
+  createCertificates();
+  const cert = file => path.join(CERT_DIR, file);
+
+  const standIn = https.createServer({
+    key: fs.readFileSync(cert('server.key')),
+    cert: fs.readFileSync(cert('server.pem')),
+    ca: fs.readFileSync(cert('ca.pem')),
+    requestCert: true,
+    rejectUnauthorized: true
+  }, handleRequest);
+  await new Promise(resolve => standIn.listen(0, '127.0.0.1', resolve));
+  const url = `https://127.0.0.1:${standIn.address().port}/mcp`;
+
+  try {
+    await assert.rejects(fetchToolsFromServer({ name: 'mtls-none', url, enabled: true }));
+    console.log('✓ Server with a private CA is rejected without a CA bundle');
+
+    await assert.rejects(
+      fetchToolsFromServer({ name: 'mtls-partial', url, enabled: true, tls: { cert: cert('client.pem') } }),
+      /need both cert and key/
+    );
+    console.log('✓ Client certificate without a key is reported');
+
+    const server = {
+      name: 'mtls',
+      url,
+      enabled: true,
+      tls: {
+        ca: cert('ca.pem'),
+        cert: cert('client.pem'),
+        key: cert('client.key'),
+        servername: 'mcp.internal'
+      }
+    };
+    const tools = await fetchToolsFromServer(server);
+    assert.deepStrictEqual(tools.map(tool => tool.name), ['mtls_whoami']);
+    assert(tools[0].description.includes('Called by client'));
+    console.log('✓ Connected with the CA bundle, client certificate and server name');
+
+    console.log('✅ Test passed! Per-server TLS settings are applied.');
+  } finally {
+    stopAllServers();
+    standIn.close();
+    fs.rmSync(CERT_DIR, { recursive: true, force: true });
+    fs.rmSync(CATALOG_FILE, { force: true });
+  }
+}
+
+runTest().catch(error => {
+  console.error('❌ Test failed:', error.message);
+  process.exitCode = 1;
+});
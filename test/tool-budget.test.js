@@ -0,0 +1,123 @@
+/**
+ * Test for the tool budget
+ *
+ * This test runs three local stand-in WebSocket MCP servers with three, ten and
+ * three tools, and checks that `tool_limit` counts tools rather than servers:
+ * enabling a server whose tools do not fit is refused until some of them are
+ * disabled, servers enabled at the same time cannot overrun the limit together,
+ * and mcp0_servers_list shows each server's tool count and the headroom. It
+ * also checks that enabling tools that do not fit is refused, that a server
+ * whose tools cannot be counted is not enabled, and that tools a server adds
+ * later are left out of tools/list once they go over the limit.
+ */
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Point the config and catalog modules at temporary files before loading the modules
+const SERVERS_CONFIG_FILE = path.join(os.tmpdir(), `ats-tool-budget-${process.pid}.json`);
+const CATALOG_FILE = path.join(os.tmpdir(), `ats-tool-budget-catalog-${process.pid}.json`);
+process.env.SERVERS_CONFIG_PATH = SERVERS_CONFIG_FILE;
+process.env.TOOL_CATALOG_PATH = CATALOG_FILE;
+
+const { getCoreTools } = require('../src/cascade/tools-manager');
+const { stopAllServers } = require('../src/cascade/client');
+const { startStandIn, send, callTool } = require('./ws-stand-in');
+
+/**
+ * Make tools with the given names
+ */
+function toTools(toolNames) {
+  return toolNames.map(toolName => ({ name: toolName, description: toolName }));
+}
+
+/**
+ * Main test function
+ */
+async function runTest() {
+  console.log('Starting tool budget test...');
+
+  const small = await startStandIn('small', { tools: toTools(['one', 'two', 'three']) });
+  const bigTools = ['a1', 'a2', 'a3', 'a4', 'a5', 'b1', 'b2', 'b3', 'b4', 'b5'];
+  const big = await startStandIn('big', { tools: toTools(bigTools) });
+  const extra = await startStandIn('extra', { tools: toTools(['four', 'five', 'six']) });
+  const coreCount = getCoreTools().length;
+  fs.writeFileSync(SERVERS_CONFIG_FILE, JSON.stringify({
+    tool_limit: coreCount + 8,
+    servers: [
+      { name: 'small', url: `ws://127.0.0.1:${small.address().port}`, enabled: true },
+      { name: 'big', url: `ws://127.0.0.1:${big.address().port}`, enabled: false },
+      { name: 'extra', url: `ws://127.0.0.1:${extra.address().port}`, enabled: false },
+      { name: 'gone', url: 'ws://127.0.0.1:1', enabled: false }
+    ]
+  }));
+
+  try {
+    await send({ jsonrpc: '2.0', id: 'list', method: 'tools/list', params: {} });
+
+    const refused = await callTool('mcp0_servers_enable', { name: 'big' });
+    assert.strictEqual(refused.error.code, -32602);
+    assert(refused.error.message.includes('would add 10 tools, but only 5'));
+    assert.strictEqual(JSON.parse(fs.readFileSync(SERVERS_CONFIG_FILE)).servers[1].enabled, false);
+    console.log('✓ Enabling a server whose tools do not fit is refused');
+
+    const before = (await callTool('mcp0_servers_list', {})).result.data;
+    assert.deepStrictEqual(before.servers.map(server => server.tool_count), [3, 10, null, null]);
+    assert.strictEqual(before.tool_count, coreCount + 3);
+    assert.strictEqual(before.remaining, 5);
+    console.log('✓ mcp0_servers_list shows tool counts and the remaining headroom');
+
+    await callTool('mcp0_tools_disable', { server: 'big', tool: 'b*' });
+    const [enabled, crowded] = await Promise.all([
+      callTool('mcp0_servers_enable', { name: 'big' }),
+      callTool('mcp0_servers_enable', { name: 'extra' })
+    ]);
+    assert.strictEqual(enabled.result.data.server.tool_count, 5);
+    assert.strictEqual(crowded.error.code, -32602);
+    assert.strictEqual(JSON.parse(fs.readFileSync(SERVERS_CONFIG_FILE)).servers[2].enabled, false);
+    await new Promise(resolve => setTimeout(resolve, 300));
+
+    const after = (await callTool('mcp0_servers_list', {})).result.data;
+    assert.strictEqual(after.tool_count, coreCount + 8);
+    assert.strictEqual(after.remaining, 0);
+    console.log('✓ A server fits once enough of its tools are disabled');
+    console.log('✓ Servers enabled at the same time are checked against the limit one after the other');
+
+    const overfull = await callTool('mcp0_tools_enable', { server: 'big', tool: 'b*' });
+    assert.strictEqual(overfull.error.code, -32602);
+    assert(overfull.error.message.includes('would give server \'big\' 10 tools, 5 more than'));
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(SERVERS_CONFIG_FILE)).servers[1].excludeTools, ['b*']);
+    assert.strictEqual((await callTool('mcp0_servers_list', {})).result.data.tool_count, coreCount + 8);
+    console.log('✓ Enabling tools of an enabled server that do not fit is refused');
+
+    bigTools.push('a6');
+    await callTool('mcp0_refresh_tools', {});
+    const listed = (await send({ jsonrpc: '2.0', id: 'relist', method: 'tools/list', params: {} })).result.tools;
+    assert.strictEqual(listed.length, coreCount + 8);
+    assert(listed.some(tool => tool.name === 'big_a5'));
+    assert(!listed.some(tool => tool.name === 'big_a6'));
+    console.log('✓ Tools a server adds over the limit are left out of tools/list');
+
+    await callTool('mcp0_servers_disable', { name: 'big' });
+    const uncounted = await callTool('mcp0_servers_enable', { name: 'gone' });
+    assert.strictEqual(uncounted.error.code, -32602);
+    assert(uncounted.error.message.includes('could not be counted'));
+    assert.strictEqual(JSON.parse(fs.readFileSync(SERVERS_CONFIG_FILE)).servers[3].enabled, false);
+    console.log('✓ A server whose tools cannot be counted is not enabled');
+
+    console.log('✅ Test passed! tool_limit is enforced on the number of tools.');
+  } finally {
+    stopAllServers();
+    small.close();
+    big.close();
+    extra.close();
+    fs.rmSync(SERVERS_CONFIG_FILE, { force: true });
+    fs.rmSync(CATALOG_FILE, { force: true });
+  }
+}
+
+runTest().catch(error => {
+  console.error('❌ Test failed:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,116 @@
+/**
+ * Test for per-server tool filters
+ *
+ * This test runs a local stand-in WebSocket MCP server with four browser tools
+ * and checks that `includeTools` and `excludeTools` decide which of them are
+ * listed and can be called, and that mcp0_tools_enable and mcp0_tools_disable
+ * change the filters in servers.json.
+ */
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Point the config and catalog modules at temporary files before loading the modules
+const SERVERS_CONFIG_FILE = path.join(os.tmpdir(), `ats-tool-filters-${process.pid}.json`);
+const CATALOG_FILE = path.join(os.tmpdir(), `ats-tool-filters-catalog-${process.pid}.json`);
+process.env.SERVERS_CONFIG_PATH = SERVERS_CONFIG_FILE;
+process.env.TOOL_CATALOG_PATH = CATALOG_FILE;
+
+const { getCoreTools } = require('../src/cascade/tools-manager');
+const { stopAllServers } = require('../src/cascade/client');
+const { startStandIn, send } = require('./ws-stand-in');
+
+/**
+ * Start a stand-in server with browser tools, recording the tools called
+ */
+async function startBrowserStandIn() {
+  const names = ['browser_navigate', 'browser_snapshot', 'browser_click', 'browser_type'];
+  const standIn = await startStandIn('browser', {
+    tools: names.map(name => ({ name, description: name })),
+    handlers: {
+      'tools/call': message => {
+        standIn.calls.push(message.params.name);
+        return { content: [{ type: 'text', text: 'ok' }] };
+      }
+    }
+  });
+  standIn.calls = [];
+  return standIn;
+}
+
+/**
+ * Get the names of the listed server tools
+ */
+async function listServerTools() {
+  const response = await send({ jsonrpc: '2.0', id: 'list', method: 'tools/list', params: {} });
+  return response.result.tools.slice(getCoreTools().length).map(tool => tool.name).sort();
+}
+
+/**
+ * Call a core tool to change the browser server's filters and wait for the refresh
+ */
+async function changeFilters(toolName, tool) {
+  const response = await send({ jsonrpc: '2.0', id: toolName, method: 'tools/call', params: { name: toolName, parameters: { server: 'browser', tool } } });
+  await new Promise(resolve => setTimeout(resolve, 300));
+  return response;
+}
+
+/**
+ * Main test function
+ */
+async function runTest() {
+  console.log('Starting tool filters test...');
+
+  const standIn = await startBrowserStandIn();
+  fs.writeFileSync(SERVERS_CONFIG_FILE, JSON.stringify({
+    tool_limit: 60,
+    servers: [{
+      name: 'browser',
+      url: `ws://127.0.0.1:${standIn.address().port}`,
+      enabled: true,
+      includeTools: ['browser_navigate', 'browser_s*', 'browser_type'],
+      excludeTools: ['*_type']
+    }]
+  }));
+
+  try {
+    assert.deepStrictEqual(await listServerTools(), ['browser_browser_navigate', 'browser_browser_snapshot']);
+    console.log('✓ Only included tools that are not excluded are listed');
+
+    const rejected = await send({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'browser_browser_click', parameters: {} } });
+    assert.strictEqual(rejected.error.code, -32602);
+    assert.deepStrictEqual(standIn.calls, []);
+    const allowed = await send({ jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'browser_browser_navigate', parameters: {} } });
+    assert.strictEqual(allowed.result.content[0].text, 'ok');
+    console.log('✓ Calls to filtered tools are rejected');
+
+    await changeFilters('mcp0_tools_enable', 'browser_click');
+    assert.deepStrictEqual(await listServerTools(), ['browser_browser_click', 'browser_browser_navigate', 'browser_browser_snapshot']);
+    await changeFilters('mcp0_tools_disable', 'browser_navigate');
+    assert.deepStrictEqual(await listServerTools(), ['browser_browser_click', 'browser_browser_snapshot']);
+    const saved = JSON.parse(fs.readFileSync(SERVERS_CONFIG_FILE)).servers[0];
+    assert.deepStrictEqual(saved.includeTools, ['browser_navigate', 'browser_s*', 'browser_type', 'browser_click']);
+    assert.deepStrictEqual(saved.excludeTools, ['*_type', 'browser_navigate']);
+    console.log('✓ mcp0_tools_enable and mcp0_tools_disable edit the filters in servers.json');
+
+    const blocked = await changeFilters('mcp0_tools_enable', 'browser_type');
+    assert.strictEqual(blocked.error.code, -32602);
+    assert(blocked.error.message.includes("'*_type'"));
+    await changeFilters('mcp0_tools_enable', '*_type');
+    assert((await listServerTools()).includes('browser_browser_type'));
+    console.log('✓ Tools excluded by a pattern are enabled through that pattern');
+
+    console.log('✅ Test passed! Tool filters decide which tools are exposed.');
+  } finally {
+    stopAllServers();
+    standIn.close();
+    fs.rmSync(SERVERS_CONFIG_FILE, { force: true });
+    fs.rmSync(CATALOG_FILE, { force: true });
+  }
+}
+
+runTest().catch(error => {
+  console.error('❌ Test failed:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,127 @@
+/**
+ * Test for tool search
+ *
+ * This test runs three local stand-in WebSocket MCP servers, one enabled and two
+ * disabled, and checks that mcp0_tools_search ranks the tools of both by their
+ * names, descriptions and parameter names, reports whether their server is
+ * enabled, that a server enabled during a search keeps running, and that the
+ * catalog is kept on disk for servers that cannot be reached later.
+ */
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Point the config and catalog modules at temporary files before loading the modules
+const SERVERS_CONFIG_FILE = path.join(os.tmpdir(), `ats-tool-search-${process.pid}.json`);
+const CATALOG_FILE = path.join(os.tmpdir(), `ats-tool-search-catalog-${process.pid}.json`);
+process.env.SERVERS_CONFIG_PATH = SERVERS_CONFIG_FILE;
+process.env.TOOL_CATALOG_PATH = CATALOG_FILE;
+
+const { stopAllServers } = require('../src/cascade/client');
+const { startStandIn, callTool } = require('./ws-stand-in');
+
+/**
+ * Start a stand-in server with the given tools, answering the first tools/list after `delay` milliseconds
+ */
+function startSearchStandIn(name, tools, delay = 0) {
+  let listed = false;
+  return startStandIn(name, {
+    handlers: {
+      'tools/list': (message, socket) => {
+        setTimeout(() => socket.send(JSON.stringify({ jsonrpc: '2.0', id: message.id, result: { tools } })), listed ? 0 : delay);
+        listed = true;
+      },
+      'tools/call': message => ({ content: [{ type: 'text', text: `${name} ${message.params.name}` }] })
+    }
+  });
+}
+
+/**
+ * Call mcp0_tools_search and wait for its response
+ */
+function search(parameters) {
+  return callTool('mcp0_tools_search', parameters);
+}
+
+/**
+ * Main test function
+ */
+async function runTest() {
+  console.log('Starting tool search test...');
+
+  const files = await startSearchStandIn('files', [
+    { name: 'read_file', description: 'Read the contents of a file', inputSchema: { type: 'object', properties: { path: { type: 'string' } } } },
+    { name: 'list_directory', description: 'List the entries of a directory', inputSchema: { type: 'object', properties: { path: { type: 'string' } } } }
+  ]);
+  const weather = await startSearchStandIn('weather', [
+    { name: 'getForecast', description: 'Get the weather forecast', inputSchema: { type: 'object', properties: { city: { type: 'string' } } } },
+    { name: 'get_alerts', description: 'Get severe weather alerts for a region', inputSchema: { type: 'object', properties: { region: { type: 'string' } } } }
+  ]);
+  const maps = await startSearchStandIn('maps', [
+    { name: 'route', description: 'Plan a route between two places', inputSchema: { type: 'object', properties: { from: { type: 'string' } } } }
+  ], 300);
+  fs.writeFileSync(SERVERS_CONFIG_FILE, JSON.stringify({
+    tool_limit: 60,
+    servers: [
+      { name: 'files', url: `ws://127.0.0.1:${files.address().port}`, enabled: true },
+      { name: 'weather', url: `ws://127.0.0.1:${weather.address().port}`, enabled: false, excludeTools: ['get_alerts'] }
+    ]
+  }));
+
+  try {
+    const forecast = (await search({ query: 'forecast for a city' })).result.data.tools;
+    assert.strictEqual(forecast[0].tool, 'getForecast');
+    assert.strictEqual(forecast[0].server, 'weather');
+    assert.strictEqual(forecast[0].server_enabled, false);
+    assert.strictEqual(forecast[0].name, null);
+    console.log('✓ Tools of disabled servers are found, with their server marked as not enabled');
+
+    const file = (await search({ query: 'read file', limit: 1 })).result.data.tools;
+    assert.deepStrictEqual(file.map(tool => [tool.name, tool.server_enabled]), [['files_read_file', true]]);
+    const alerts = (await search({ query: 'region' })).result.data.tools;
+    assert.deepStrictEqual(alerts.map(tool => [tool.tool, tool.tool_enabled]), [['get_alerts', false]]);
+    console.log('✓ Names, descriptions and parameter names are ranked, and tool filters are reported');
+
+    const missing = await search({});
+    assert.strictEqual(missing.error.code, -32602);
+    assert.deepStrictEqual((await search({ query: 'spreadsheet' })).result.data.tools, []);
+    console.log('✓ A query is required, and unmatched queries find nothing');
+
+    const config = JSON.parse(fs.readFileSync(SERVERS_CONFIG_FILE));
+    config.servers.push({ name: 'maps', url: `ws://127.0.0.1:${maps.address().port}`, enabled: false });
+    fs.writeFileSync(SERVERS_CONFIG_FILE, JSON.stringify(config));
+    const [route, enabled] = await Promise.all([
+      search({ query: 'route' }),
+      callTool('mcp0_servers_enable', { name: 'maps' })
+    ]);
+    assert.strictEqual(route.result.data.tools[0].tool, 'route');
+    assert.strictEqual(enabled.result.data.success, true);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.strictEqual(maps.clients.size, 1);
+    assert.deepStrictEqual((await callTool('maps_route', { from: 'home' })).result.content, [{ type: 'text', text: 'maps route' }]);
+    console.log('✓ A server enabled while a search fetches its tools is not stopped by the search');
+
+    stopAllServers();
+    weather.close();
+    const saved = JSON.parse(fs.readFileSync(CATALOG_FILE));
+    assert.deepStrictEqual(saved.weather.tools.map(tool => tool.name), ['getForecast', 'get_alerts']);
+    assert.deepStrictEqual(saved.weather.tools[0].parameters, ['city']);
+    assert.strictEqual((await search({ query: 'weather alerts' })).result.data.tools[0].tool, 'get_alerts');
+    console.log('✓ The catalog is kept on disk and searched when a server cannot be reached');
+
+    console.log('✅ Test passed! mcp0_tools_search finds tools across all servers.');
+  } finally {
+    stopAllServers();
+    files.close();
+    weather.close();
+    maps.close();
+    fs.rmSync(SERVERS_CONFIG_FILE, { force: true });
+    fs.rmSync(CATALOG_FILE, { force: true });
+  }
+}
+
+runTest().catch(error => {
+  console.error('❌ Test failed:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,110 @@
+/**
+ * Test for tools/list with slow upstream servers
+ *
+ * This test runs a fast and a slow local stand-in WebSocket MCP server. With
+ * `wait_for_ready`, initialize waits for both and the first tools/list is
+ * complete. When the slow server is refreshed, tools/list answers without it,
+ * marks the result as partial and sends list_changed once its tools arrive.
+ */
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Point the config and catalog modules at temporary files before loading the modules
+const SERVERS_CONFIG_FILE = path.join(os.tmpdir(), `ats-tools-list-${process.pid}.json`);
+const CATALOG_FILE = path.join(os.tmpdir(), `ats-tools-list-catalog-${process.pid}.json`);
+process.env.SERVERS_CONFIG_PATH = SERVERS_CONFIG_FILE;
+process.env.TOOL_CATALOG_PATH = CATALOG_FILE;
+
+const { processMessage } = require('../src/cascade/server');
+const { getCoreTools } = require('../src/cascade/tools-manager');
+const { setClientSink } = require('../src/cascade/notifications');
+const { stopAllServers } = require('../src/cascade/client');
+const { startStandIn, send } = require('./ws-stand-in');
+
+// How long the slow server takes to list its tools
+const SLOW_DELAY = 800;
+
+/**
+ * Start a stand-in server that lists one tool after a delay
+ */
+function startDelayedStandIn(name, delay) {
+  return startStandIn(name, {
+    handlers: {
+      'tools/list': (message, socket) => {
+        const result = { tools: [{ name: 'status', description: `Status of ${name}` }] };
+        setTimeout(() => socket.send(JSON.stringify({ jsonrpc: '2.0', id: message.id, result })), delay);
+      }
+    }
+  });
+}
+
+/**
+ * Get the names of the server tools in a tools/list result
+ */
+function serverToolNames(result) {
+  return result.tools.slice(getCoreTools().length).map(tool => tool.name).sort();
+}
+
+/**
+ * Main test function
+ */
+async function runTest() {
+  console.log('Starting tools/list test...');
+
+  const fast = await startDelayedStandIn('fast', 0);
+  const slow = await startDelayedStandIn('slow', SLOW_DELAY);
+  fs.writeFileSync(SERVERS_CONFIG_FILE, JSON.stringify({
+    tool_limit: 60,
+    wait_for_ready: true,
+    tools_list_timeout_ms: 300,
+    servers: [
+      { name: 'fast', url: `ws://127.0.0.1:${fast.address().port}`, enabled: true },
+      { name: 'slow', url: `ws://127.0.0.1:${slow.address().port}`, enabled: true }
+    ]
+  }));
+
+  const sent = [];
+  setClientSink(notification => sent.push(notification));
+
+  try {
+    const started = Date.now();
+    await send({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-06-18' } });
+    assert(Date.now() - started >= SLOW_DELAY, 'initialize should wait for the slow server');
+    await processMessage({ jsonrpc: '2.0', method: 'notifications/initialized' }, () => {}, () => {});
+
+    const complete = await send({ jsonrpc: '2.0', id: 2, method: 'tools/list', params: {} });
+    assert.deepStrictEqual(serverToolNames(complete.result), ['fast_status', 'slow_status']);
+    assert.strictEqual(complete.result._meta, undefined);
+    console.log('✓ With wait_for_ready the first tools/list is complete');
+
+    // Refresh, then list while the slow server is still answering
+    await send({ jsonrpc: '2.0', id: 3, method: 'tools/call', params: { name: 'mcp0_refresh_tools', parameters: {} } });
+    const partial = await send({ jsonrpc: '2.0', id: 4, method: 'tools/list', params: {} });
+    assert.deepStrictEqual(serverToolNames(partial.result), ['fast_status']);
+    assert.deepStrictEqual(partial.result._meta, { partial: true, pending_servers: ['slow'] });
+    assert.deepStrictEqual(sent, []);
+    console.log('✓ Slow servers are left out of a partial result after the deadline');
+
+    await new Promise(resolve => setTimeout(resolve, SLOW_DELAY + 200));
+    assert.deepStrictEqual(sent, [{ jsonrpc: '2.0', method: 'notifications/tools/list_changed' }]);
+
+    const refreshed = await send({ jsonrpc: '2.0', id: 5, method: 'tools/list', params: {} });
+    assert.deepStrictEqual(serverToolNames(refreshed.result), ['fast_status', 'slow_status']);
+    console.log('✓ list_changed is sent once the slow server\'s tools arrive');
+
+    console.log('✅ Test passed! tools/list returns the aggregated tools.');
+  } finally {
+    stopAllServers();
+    fast.close();
+    slow.close();
+    fs.rmSync(SERVERS_CONFIG_FILE, { force: true });
+    fs.rmSync(CATALOG_FILE, { force: true });
+  }
+}
+
+runTest().catch(error => {
+  console.error('❌ Test failed:', error.message);
+  process.exitCode = 1;
+});
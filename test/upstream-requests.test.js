@@ -0,0 +1,172 @@
+/**
+ * Test for requests from upstream servers to the client
+ *
+ * This test runs a local stand-in WebSocket MCP server that asks the client
+ * for a sampled message while handling a tool call, and checks that the request
+ * is forwarded to the client and its answer returned to the server, that
+ * requests the client cannot answer are rejected, that cancellations are passed
+ * on, and that the client's roots changes reach the server. It also checks that
+ * the tool call does not time out while the client answers, that the server is
+ * answered when the client takes too long, and that forwarded requests are
+ * cancelled when the session closes.
+ */
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Point the config and catalog modules at temporary files before loading the modules
+const SERVERS_CONFIG_FILE = path.join(os.tmpdir(), `ats-upstream-requests-${process.pid}.json`);
+const CATALOG_FILE = path.join(os.tmpdir(), `ats-upstream-requests-catalog-${process.pid}.json`);
+process.env.SERVERS_CONFIG_PATH = SERVERS_CONFIG_FILE;
+process.env.TOOL_CATALOG_PATH = CATALOG_FILE;
+
+const { processMessage } = require('../src/cascade/server');
+const { setClientSink } = require('../src/cascade/notifications');
+const { stopAllServers } = require('../src/cascade/client');
+const { startStandIn, send } = require('./ws-stand-in');
+
+/**
+ * Start a stand-in server whose `ask` tool samples a message from the client
+ */
+function startSamplingStandIn() {
+  const calls = new Map();
+  return startStandIn('alpha', {
+    tools: [{ name: 'ask', description: 'Ask the model' }],
+    handlers: {
+      'tools/call': (message, socket) => {
+        const sampleId = `sample-${calls.size + 1}`;
+        calls.set(sampleId, message.id);
+        socket.send(JSON.stringify({
+          jsonrpc: '2.0',
+          id: sampleId,
+          method: 'sampling/createMessage',
+          params: { messages: [{ role: 'user', content: { type: 'text', text: 'Name a colour' } }], maxTokens: 10 }
+        }));
+      }
+    },
+    onResponse: (message, socket) => {
+      // The client's answer to the sampling request completes the tool call
+      if (calls.has(message.id)) {
+        const text = message.result ? `The model said: ${message.result.content.text}` : `No answer: ${message.error.message}`;
+        socket.send(JSON.stringify({ jsonrpc: '2.0', id: calls.get(message.id), result: { content: [{ type: 'text', text }] } }));
+      }
+    }
+  });
+}
+
+/**
+ * Wait until a condition holds
+ */
+async function waitFor(condition) {
+  for (let i = 0; i < 50 && !condition(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  assert(condition(), 'Timed out waiting for condition');
+}
+
+/**
+ * Main test function
+ */
+async function runTest() {
+  console.log('Starting upstream requests test...');
+
+  const standIn = await startSamplingStandIn();
+  fs.writeFileSync(SERVERS_CONFIG_FILE, JSON.stringify({
+    tool_limit: 60,
+    wait_for_ready: true,
+    client_request_timeout_ms: 600,
+    servers: [{ name: 'alpha', url: `ws://127.0.0.1:${standIn.address().port}`, enabled: true, timeoutMs: 300 }]
+  }));
+
+  const sent = [];
+  setClientSink(message => sent.push(message));
+
+  try {
+    // The client can sample and has roots, but cannot answer elicitation
+    await send({
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'initialize',
+      params: { protocolVersion: '2025-06-18', capabilities: { sampling: {}, roots: { listChanged: true } } }
+    });
+    await processMessage({ jsonrpc: '2.0', method: 'notifications/initialized' }, () => {}, () => {});
+    assert.deepStrictEqual(standIn.requests.find(message => message.method === 'initialize').params.capabilities, { sampling: {}, roots: { listChanged: true } });
+    console.log('✓ Upstream servers are offered the capabilities the client announced');
+
+    const call = send({ jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'alpha_ask', parameters: {} } });
+    await waitFor(() => sent.some(message => message.method === 'sampling/createMessage'));
+    const sampling = sent.find(message => message.method === 'sampling/createMessage');
+    assert.notStrictEqual(sampling.id, undefined);
+    assert.strictEqual(sampling.params.messages[0].content.text, 'Name a colour');
+
+    // The client answers after the tool call's own timeout would have run out
+    await new Promise(resolve => setTimeout(resolve, 450));
+    await processMessage({
+      jsonrpc: '2.0',
+      id: sampling.id,
+      result: { role: 'assistant', content: { type: 'text', text: 'teal' }, model: 'test-model' }
+    }, () => {}, () => {});
+    const result = await call;
+    assert.strictEqual(result.result.content[0].text, 'The model said: teal');
+    assert.strictEqual(standIn.received.find(message => message.id === 'sample-1').result.model, 'test-model');
+    console.log('✓ sampling/createMessage is forwarded to the client and answered to the server');
+    console.log('✓ The tool call does not time out while the client answers');
+
+    standIn.socket.send(JSON.stringify({ jsonrpc: '2.0', id: 'elicit-1', method: 'elicitation/create', params: { message: 'Name?' } }));
+    await waitFor(() => standIn.received.some(message => message.id === 'elicit-1'));
+    assert.strictEqual(standIn.received.find(message => message.id === 'elicit-1').error.code, -32601);
+    assert(!sent.some(message => message.method === 'elicitation/create'));
+    console.log('✓ Requests the client cannot answer are rejected');
+
+    standIn.socket.send(JSON.stringify({ jsonrpc: '2.0', id: 'roots-1', method: 'roots/list' }));
+    await waitFor(() => sent.some(message => message.method === 'roots/list'));
+    const roots = sent.find(message => message.method === 'roots/list');
+    standIn.socket.send(JSON.stringify({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 'roots-1', reason: 'No longer needed' } }));
+    await waitFor(() => sent.some(message => message.method === 'notifications/cancelled'));
+    assert.deepStrictEqual(sent.find(message => message.method === 'notifications/cancelled').params, {
+      requestId: roots.id,
+      reason: 'No longer needed'
+    });
+
+    // A late answer to the cancelled request is not passed on
+    await processMessage({ jsonrpc: '2.0', id: roots.id, result: { roots: [] } }, () => {}, () => {});
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert(!standIn.received.some(message => message.id === 'roots-1'));
+    console.log('✓ Cancellations from the server are passed on to the client');
+
+    await processMessage({ jsonrpc: '2.0', method: 'notifications/roots/list_changed' }, () => {}, () => {});
+    await waitFor(() => standIn.received.some(message => message.method === 'notifications/roots/list_changed'));
+    console.log('✓ Roots changes are passed on to the server');
+
+    const unanswered = await send({ jsonrpc: '2.0', id: 3, method: 'tools/call', params: { name: 'alpha_ask', parameters: {} } });
+    assert.strictEqual(standIn.received.find(message => message.id === 'sample-2').error.code, -32001);
+    assert.strictEqual(unanswered.result.content[0].text, 'No answer: Client did not answer sampling/createMessage within 600ms');
+    const timedOut = sent.filter(message => message.method === 'sampling/createMessage')[1];
+    assert(sent.some(message => message.method === 'notifications/cancelled' &&
+      message.params.requestId === timedOut.id && message.params.reason === 'Request timed out'));
+    console.log('✓ The server is answered with an error when the client takes too long');
+
+    const orphaned = send({ jsonrpc: '2.0', id: 4, method: 'tools/call', params: { name: 'alpha_ask', parameters: {} } });
+    await waitFor(() => sent.filter(message => message.method === 'sampling/createMessage').length === 3);
+    const closed = sent.filter(message => message.method === 'sampling/createMessage')[2];
+    standIn.socket.close();
+    assert.notStrictEqual((await orphaned).error, undefined);
+    const isClosedCancel = message => message.method === 'notifications/cancelled' && message.params.requestId === closed.id;
+    await waitFor(() => sent.some(isClosedCancel));
+    assert.strictEqual(sent.find(isClosedCancel).params.reason, 'Session to alpha closed');
+    console.log('✓ Requests forwarded to the client are cancelled when the session closes');
+
+    console.log('✅ Test passed! Upstream requests reach the client and back.');
+  } finally {
+    stopAllServers();
+    standIn.close();
+    fs.rmSync(SERVERS_CONFIG_FILE, { force: true });
+    fs.rmSync(CATALOG_FILE, { force: true });
+  }
+}
+
+runTest().catch(error => {
+  console.error('❌ Test failed:', error.message);
+  process.exitCode = 1;
+});
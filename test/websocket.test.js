@@ -0,0 +1,96 @@
+/**
+ * Test for the WebSocket upstream transport
+ *
+ * This test runs a local stand-in WebSocket MCP server and verifies that
+ * requests share one connection and that a dropped connection is re-established,
+ * backing off when it keeps dropping.
+ */
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { WebSocketServer } = require('ws');
+
+// Point the catalog module at a temporary file before loading the client
+const CATALOG_FILE = path.join(os.tmpdir(), `ats-websocket-catalog-${process.pid}.json`);
+process.env.TOOL_CATALOG_PATH = CATALOG_FILE;
+
+const { fetchToolsFromServer, forwardToolCall, stopAllServers } = require('../src/cascade/client');
+
+/**
+ * Main test function
+ */
+async function runTest() {
+  console.log('Starting WebSocket transport test...');
+
+  const standIn = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+  await new Promise(resolve => standIn.on('listening', resolve));
+
+  let connections = 0;
+  standIn.on('connection', (socket) => {
+    const connection = ++connections;
+
+    socket.on('message', (data) => {
+      const message = JSON.parse(data.toString());
+      if (message.id === undefined) {
+        return;
+      }
+
+      let result;
+      if (message.method === 'initialize') {
+        result = {
+          protocolVersion: message.params.protocolVersion,
+          capabilities: { tools: {} },
+          serverInfo: { name: 'ws-stand-in', version: '1.0.0' }
+        };
+      } else if (message.method === 'tools/list') {
+        result = { tools: [{ name: 'whoami', description: 'Report the connection number' }] };
+      } else if (message.method === 'tools/call') {
+        result = { content: [{ type: 'text', text: `connection ${connection}` }] };
+      }
+
+      socket.send(JSON.stringify({ jsonrpc: '2.0', id: message.id, result }));
+    });
+  });
+
+  const server = { name: 'agent', url: `ws://127.0.0.1:${standIn.address().port}`, enabled: true };
+
+  try {
+    const tools = await fetchToolsFromServer(server);
+    assert.deepStrictEqual(tools.map(tool => tool.name), ['agent_whoami']);
+    console.log('✓ Tools listed over WebSocket');
+
+    let response = await forwardToolCall(server, 'whoami', {}, 7);
+    assert.strictEqual(response.id, 7);
+    assert.strictEqual(response.result.content[0].text, 'connection 1');
+    console.log('✓ Requests share one persistent connection');
+
+    // Drop the connection from the server side and wait for the reconnect
+    standIn.clients.forEach(socket => socket.terminate());
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    assert.strictEqual(connections, 2, 'The client should reconnect on its own');
+
+    response = await forwardToolCall(server, 'whoami', {}, 8);
+    assert.strictEqual(response.result.content[0].text, 'connection 2');
+    console.log('✓ Dropped connection is re-established');
+
+    // A connection dropped again right after it came up waits for a longer backoff
+    standIn.clients.forEach(socket => socket.terminate());
+    await new Promise(resolve => setTimeout(resolve, 700));
+    assert.strictEqual(connections, 2, 'The second reconnect should wait for the doubled backoff');
+    await new Promise(resolve => setTimeout(resolve, 800));
+    assert.strictEqual(connections, 3, 'The client should still reconnect');
+    console.log('✓ Repeated drops back off even when the handshake succeeds in between');
+
+    console.log('✅ Test passed! WebSocket upstreams are supported.');
+  } finally {
+    stopAllServers();
+    standIn.close();
+    fs.rmSync(CATALOG_FILE, { force: true });
+  }
+}
+
+runTest().catch(error => {
+  console.error('❌ Test failed:', error.message);
+  process.exitCode = 1;
+});
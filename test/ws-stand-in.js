@@ -0,0 +1,97 @@
+/**
+ * WebSocket stand-in MCP server used by the tests
+ * Answers initialize with the given capabilities, tools/list with the given
+ * tools and other requests through handlers keyed by method. The messages it
+ * receives and the socket of its latest connection are kept on the server.
+ * Tests load it after pointing the config modules at their temporary files,
+ * since it loads the server module to send requests to the switcher.
+ */
+const { WebSocketServer } = require('ws');
+const { processMessage } = require('../src/cascade/server');
+
+/**
+ * Start a stand-in server on a free local port
+ * A handler is called with the request and the socket, and returns the result
+ * to answer with, or undefined when it answers or leaves the request itself.
+ * Requests without a handler are answered with a method not found error.
+ * @param {string} name - Server name given in the initialize result
+ * @param {Object} [options] - Stand-in options
+ * @param {Object} [options.capabilities] - Capabilities to announce, `{ tools: {} }` unless given
+ * @param {string} [options.protocolVersion] - Protocol version to announce, the client's unless given
+ * @param {Array} [options.tools] - Tools to list, none unless given
+ * @param {Object} [options.handlers] - Request handlers keyed by method
+ * @param {Function} [options.onResponse] - Called with the client's responses to requests from the stand-in, and the socket
+ * @returns {Promise<WebSocketServer>} Server with the `received` messages, the `requests` among them and the latest `socket`
+ */
+async function startStandIn(name, options = {}) {
+  const { capabilities = { tools: {} }, protocolVersion, tools = [], onResponse } = options;
+  const handlers = {
+    'initialize': message => ({
+      protocolVersion: protocolVersion || message.params.protocolVersion,
+      capabilities,
+      serverInfo: { name, version: '1.0.0' }
+    }),
+    'tools/list': () => ({ tools }),
+    ...options.handlers
+  };
+
+  const standIn = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+  await new Promise(resolve => standIn.on('listening', resolve));
+
+  standIn.received = [];
+  standIn.requests = [];
+  standIn.on('connection', (socket) => {
+    standIn.socket = socket;
+    socket.on('message', (data) => {
+      const message = JSON.parse(data.toString());
+      standIn.received.push(message);
+      if (message.id === undefined) {
+        return;
+      }
+      if (message.method === undefined) {
+        if (onResponse) {
+          onResponse(message, socket);
+        }
+        return;
+      }
+      standIn.requests.push(message);
+
+      if (!handlers[message.method]) {
+        socket.send(JSON.stringify({ jsonrpc: '2.0', id: message.id, error: { code: -32601, message: `Method not found: ${message.method}` } }));
+        return;
+      }
+
+      const result = handlers[message.method](message, socket);
+      if (result !== undefined) {
+        socket.send(JSON.stringify({ jsonrpc: '2.0', id: message.id, result }));
+      }
+    });
+  });
+
+  return standIn;
+}
+
+/**
+ * Send a request to the switcher and wait for its response
+ * @param {Object} message - JSON-RPC request
+ * @returns {Promise<Object>} Response
+ */
+function send(message) {
+  return new Promise(resolve => processMessage(message, resolve, () => {}));
+}
+
+/**
+ * Call a tool through the switcher and wait for its response
+ * @param {string} name - Tool name
+ * @param {Object} parameters - Tool parameters
+ * @returns {Promise<Object>} Response
+ */
+function callTool(name, parameters) {
+  return send({ jsonrpc: '2.0', id: name, method: 'tools/call', params: { name, parameters } });
+}
+
+module.exports = {
+  startStandIn,
+  send,
+  callTool
+};